@@ -1,17 +1,75 @@
 // Configuration
+// Shared by the browser client and the Node game server (server/)
+
+// When the page is served by our own server.js on localhost, talk to the
+// local game server instead of the hosted backend
+const IS_LOCAL =
+  typeof window !== "undefined" &&
+  ["localhost", "127.0.0.1"].includes(window.location.hostname);
+
 const CONFIG = {
   // Server Configuration
-  SERVER_URL: "wss://jogo-s89j.onrender.com",
+  SERVER_URL: IS_LOCAL ? window.location.origin : "wss://jogo-s89j.onrender.com",
   WS_PATH: "/ws",
-  IS_LOCAL: false,
+  IS_LOCAL: IS_LOCAL,
+  
+  // Room Configuration
+  MIN_PLAYERS: 2,
+  MAX_PLAYERS: 4,
+  MAZE_SIZE: 10, // Maze cells per side (grid is 2 * size + 1, walls included)
+  MAZE_SIZE_MIN: 5,
+  MAZE_SIZE_MAX: 25,
+  MAZE_ALGORITHM: "backtracker",
+  MAZE_FLOORS_MAX: 3, // Stacked levels a generated maze can have
+  STAIRS_PER_FLOOR: 2, // Stairs between each pair of neighbouring levels
+  MAZE_ELEMENTS: true, // Room default - generated mazes get doors, keys, pressure plates and one-way gates
+  DOORS_PER_LEVEL: 2, // Locked doors (each with its own key) per maze level
+  SWITCHES_PER_LEVEL: 1, // Pressure plates per maze level, each toggling wall segments
+  GATES_PER_LEVEL: 2, // One-way gates per maze level (only placed on loops)
+  SHIFTING_MAZE: false, // Room default - sections of the maze rearrange during the match
+  SHIFT_INTERVAL: 30000, // ms between maze shifts
+  SHIFT_WARNING_TIME: 4000, // ms players are warned before a shift
+  SHIFT_REGION_CELLS: 3, // Side of the square region one shift rearranges, in maze cells
+  TREASURE_COUNT: 10,
+  // Treasure catalogue: points scored, model (A-Frame primitive), size
+  // (radius or half side) and colour, rarity (draw weight among the other
+  // treasures), unique types appear exactly once per maze, effect applies
+  // to the collector ("reveal_map" uncovers the whole level on the map)
+  TREASURE_TYPES: {
+    gem: { name: "Gema", points: 1, model: "octahedron", size: 0.5, color: "#FFFF00", rarity: 4 },
+    chest: { name: "Baú", points: 5, model: "box", size: 0.45, color: "#B87333", rarity: 1 },
+    relic: { name: "Relíquia", points: 15, model: "dodecahedron", size: 0.7, color: "#E040FB", rarity: 0, unique: true, effect: "reveal_map" },
+  },
+  DEFAULT_TREASURE_TYPE: "gem", // Type of treasures without one (e.g. from older level files)
+  GAME_TIME_LIMIT: 6 * 60 * 1000, // ms
+  RESUME_GRACE_PERIOD: 30000, // ms a disconnected player keeps their seat
+  MAP_SHOW_TREASURES: true, // Room default - treasures appear on the map once explored
+  MAP_SHOW_OPPONENTS: false, // Room default - other players appear on the map
+  
+  // Level Editor
+  EDITOR_DEFAULT_SIZE: 21, // Grid cells per side of a new level (walls included)
+  LEVEL_LIBRARY_KEY: "mazeRunnerLevels", // localStorage key of the saved levels
   
   // Game Configuration
   CELL_SIZE: 8.0,
   MOVE_SPEED: 1.0, // Grid units per second (reduced for better control)
-  COLLECT_RADIUS: 3.0,
+  COLLECT_RADIUS: 3.0, // Grid units - max distance the server accepts for collect_treasure
+  DOOR_OPEN_RADIUS: 1.2, // Grid units - how close the key holder must get to open a door
+  KEY_COLORS: [
+    { color: "#E53935", name: "vermelha" },
+    { color: "#1E88E5", name: "azul" },
+    { color: "#43A047", name: "verde" },
+    { color: "#8E24AA", name: "roxa" },
+  ],
+  
+  // Anti-cheat Configuration (server-side move validation)
+  MOVE_SPEED_TOLERANCE: 1.5, // Allowed speed over MOVE_SPEED (frame timing, network jitter)
+  MOVE_SLACK: 0.5, // Extra grid units allowed per move
   
   // Camera Configuration
   CAMERA_HEIGHT: 1.6, // Eye level on player's head
+  LEVEL_HEIGHT: 5, // World units between the floors of a multi-level maze
+  LEVEL_CLIMB_TIME: 600, // ms for the camera to climb or descend one level
   CAMERA_BASED_MOVEMENT: true, // Use camera direction for WASD (Minecraft style)
   
   // Movement Configuration (NEW)
@@ -19,8 +77,29 @@ const CONFIG = {
   COLLISION_CHECK_DISTANCE: 0.4, // How far ahead to check for walls
   PLAYER_RADIUS: 0.3, // Player collision radius
   
+  // Rendering Configuration
+  WALL_INSTANCING_THRESHOLD: 400, // Walls from which the maze is drawn as one InstancedMesh instead of <a-box> entities
+  WALL_MERGE_RUNS: false, // Draw each horizontal run of walls as one stretched instance (fewer instances, stretched texture)
+  ELEMENT_ANIMATION_TIME: 500, // ms for doors and switched walls to open or close
+  SHIFT_ANIMATION_TIME: 1200, // ms for shifting walls to rise or sink
+  SHIFT_WARNING_COLOR: "#FF7043", // Tint of the walls about to sink before a shift
+  
   // Network Configuration (NEW)
   POSITION_UPDATE_INTERVAL: 500, // Send position updates every 500ms (increased from 50ms to reduce spam)
+  REQUEST_TIMEOUT: 10000, // ms to wait for the reply to a WSClient.request()
+  NETWORK_CODECS: ["binary", "json"], // Wire encodings offered in hello, best first (js/shared/codec.js)
+  HEARTBEAT_INTERVAL: 3000, // ms between pings
+  HEARTBEAT_MAX_MISSED: 3, // Unanswered pings before the connection is considered dead
+  CLOCK_SYNC_SAMPLES: 8, // Recent pongs used to estimate the server clock offset
+  TIME_UP_GRACE: 3000, // ms to wait for the server's result after the deadline
+  RECONCILE_SNAP_DISTANCE: 1.5, // Grid units - larger corrections snap instead of blending
+  RECONCILE_SMOOTHING: 8, // Fraction of the remaining correction applied per second
+  MAX_PENDING_INPUTS: 64, // Unacknowledged moves kept for replay
+  INTERPOLATION_DELAY: 600, // ms - remote players are rendered this far in the past
+  EXTRAPOLATION_LIMIT: 250, // ms - how long to keep moving a remote player when packets are late
+  SNAPSHOT_BUFFER_SIZE: 10, // Snapshots kept per remote player
+  GAME_UPDATE_INTERVAL: 1000, // ms between game_update deltas from the server
+  GAME_UPDATE_HISTORY: 32, // Snapshots the server keeps as delta baselines
   
   // Sound Configuration
   FOOTSTEP_INTERVAL: 400, // ms (adjusted for continuous movement)
@@ -29,6 +108,11 @@ const CONFIG = {
   COUNTDOWN_START: 3,
   COUNTDOWN_INTERVAL: 1000, // ms
   
+  // Minimap
+  MINIMAP_SIZE: 180, // px, HUD canvas (also the VR map texture)
+  MINIMAP_UPDATE_INTERVAL: 200, // ms
+  MINIMAP_REVEAL_RADIUS: 3, // Grid steps of floor revealed around the player
+  
   // Player Colors
   PLAYER_COLORS: [
     "#FF6B6B",
@@ -42,5 +126,11 @@ const CONFIG = {
   ],
 };
 
-// Expose globally
-window.CONFIG = CONFIG;
\ No newline at end of file
+// Export
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = CONFIG;
+}
+
+if (typeof window !== 'undefined') {
+  window.CONFIG = CONFIG;
+}
\ No newline at end of file
@@ -46,15 +46,16 @@ class CameraController {
    * Position camera at player location (instant)
    * @param {number} gridX - Grid X coordinate
    * @param {number} gridZ - Grid Z coordinate
+   * @param {number} level - Maze level, default 0
    */
-  positionAtPlayer(gridX, gridZ) {
+  positionAtPlayer(gridX, gridZ, level = 0) {
     if (!this.camera) {
       Utils.logError("❌ Camera not initialized");
       return;
     }
 
     const { worldX, worldZ } = this.coordinateUtils.gridToWorld(gridX, gridZ);
-    const cameraHeight = CONFIG.CAMERA_HEIGHT || 1.6;
+    const cameraHeight = (CONFIG.CAMERA_HEIGHT || 1.6) + this.coordinateUtils.levelToWorldY(level);
     
     const target = this.getTargetElement();
     target.setAttribute('position', `${worldX} ${cameraHeight} ${worldZ}`);
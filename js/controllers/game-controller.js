@@ -16,8 +16,13 @@ class GameController {
     this.vrAutoWalkController = null;
     
     // Time limit
-    this.timeLimit = 6 * 60 * 1000;
     this.timeLimitTimeout = null;
+    
+    gamePhase.onEnter("countdown", () => this.initGame());
+    gamePhase.onEnter("playing", (previous) => {
+      // Resumed straight into a running match
+      if (previous === "waiting") this.initGame();
+    });
   }
 
   // ========================================
@@ -55,7 +60,7 @@ class GameController {
     // Position camera at player start
     const player = gameState.players[gameState.myPlayerId];
     if (player) {
-      this.cameraController.positionAtPlayer(player.x, player.z);
+      this.cameraController.positionAtPlayer(player.x, player.z, player.level);
       Utils.logInfo(`📹 Camera positioned at (${player.x}, ${player.z})`);
     }
     
@@ -102,6 +107,7 @@ class GameController {
     // Player manager camera sync
     playerManager.init(this.camera);
     playerManager.startCameraRotationSync();
+    playerManager.startInterpolation();
     
     Utils.logInfo("✅ Controllers initialized (VR enabled)");
   }
@@ -149,8 +155,9 @@ class GameController {
     if (uiManager.elements.treasureCount) {
       uiManager.elements.treasureCount.textContent = `0/${totalTreasures}`;
     }
-    
-    uiManager.showCountdown();
+    if (uiManager.elements.pointCount) {
+      uiManager.elements.pointCount.textContent = "0";
+    }
     
     Utils.logInfo("✅ World rendered");
   }
@@ -166,7 +173,7 @@ class GameController {
     Utils.logInfo("🔄 Starting game loop...");
     
     const loop = () => {
-      if (gameState.gameStarted) {
+      if (gamePhase.is("playing")) {
         uiManager.updateTimer();
       }
       requestAnimationFrame(loop);
@@ -187,17 +194,28 @@ class GameController {
   }
 
   /**
-   * Start time limit (6 minutes)
+   * Start time limit at the shared deadline (gameState.endTime)
    */
   startTimeLimit() {
-    Utils.logInfo("⏰ Starting 6-minute time limit...");
+    const remaining = Math.max(0, gameState.endTime - Date.now());
+    Utils.logInfo(`⏰ Starting time limit (${Math.round(remaining / 1000)}s)...`);
+    
+    if (this.timeLimitTimeout) {
+      clearTimeout(this.timeLimitTimeout);
+    }
     
     this.timeLimitTimeout = setTimeout(() => {
-      if (gameState.gameStarted) {
-        Utils.logInfo("⏱️ Time limit reached!");
-        this.handleTimeUp();
-      }
-    }, this.timeLimit);
+      if (!gamePhase.is("playing")) return;
+      Utils.logInfo("⏱️ Time limit reached!");
+      
+      // The server announces the winner; only decide locally if it stays silent
+      this.timeLimitTimeout = setTimeout(() => {
+        if (gamePhase.is("playing")) {
+          Utils.logWarn("⚠️ No result from server, deciding winner locally");
+          this.handleTimeUp();
+        }
+      }, CONFIG.TIME_UP_GRACE);
+    }, remaining);
   }
 
   /**
@@ -222,28 +240,29 @@ class GameController {
  * Handle time up event
  */
   async handleTimeUp() {  // ✅ ADICIONAR async
-    let winnerId = null;
-    let maxTreasures = -1;
-    let winnerName = "Ninguém";
-    
-    for (const [playerId, player] of Object.entries(gameState.players)) {
-      if (player.treasures > maxTreasures) {
-        maxTreasures = player.treasures;
-        winnerId = playerId;
-        winnerName = player.name;
+    let winner = null;
+    
+    // Same order as the server: most points, then most treasures
+    for (const player of Object.values(gameState.players)) {
+      const points = player.points || 0;
+      const treasures = player.treasures || 0;
+      if (!winner || points > winner.points ||
+          (points === winner.points && treasures > winner.treasures)) {
+        winner = { id: player.id, name: player.name, points, treasures };
       }
     }
     
-    const myTreasures = gameState.players[gameState.myPlayerId]?.treasures || 0;
+    const myPoints = gameState.players[gameState.myPlayerId]?.points || 0;
     
     // ✅ USAR await
     await this.handleGameWon({
       payload: {
-        playerId: winnerId,
-        playerName: winnerName,
-        treasures: maxTreasures,
+        playerId: winner ? winner.id : null,
+        playerName: winner ? winner.name : "Ninguém",
+        treasures: winner ? winner.treasures : 0,
+        points: winner ? winner.points : 0,
         timeUp: true,
-        myTreasures: myTreasures
+        myPoints: myPoints
       }
     });
   }
@@ -289,16 +308,22 @@ class GameController {
   async handleGameWon(data) {  // ✅ ADICIONAR async
     Utils.logInfo("🏆 Game won!");
     
+    // The server result and the local time-up fallback can both arrive
+    if (!gamePhase.can("finished")) {
+      Utils.logWarn(`⚠️ Result ignored in phase ${gamePhase.current}`);
+      return;
+    }
+    
     const payload = data.payload || data;
     const winnerId = payload.playerId || payload.winnerId;
     const winnerName = payload.playerName || payload.winnerName || 
                       gameState.players[winnerId]?.name || "Desconhecido";
     const isTimeUp = payload.timeUp || false;
-    const myTreasures = payload.myTreasures !== undefined 
-      ? payload.myTreasures 
-      : (gameState.players[gameState.myPlayerId]?.treasures || 0);
+    const myPoints = payload.myPoints !== undefined 
+      ? payload.myPoints 
+      : (gameState.players[gameState.myPlayerId]?.points || 0);
     
-    gameState.gameStarted = false;
+    gamePhase.transition("finished");
     
     // Stop ambient music
     if (playerManager && playerManager.stopAmbientMusic) {
@@ -319,16 +344,17 @@ class GameController {
     if (playerManager.stopCameraRotationSync) {
       playerManager.stopCameraRotationSync();
     }
+    playerManager.stopInterpolation();
     
     playerManager.playWinSound();
     
     // ✅ CORREÇÃO: Verificar se scoreIntegration existe e está inicializado
     if (window.scoreIntegration) {
       try {
-        Utils.logInfo(`📊 Saving player score: ${myTreasures} treasures`);
+        Utils.logInfo(`📊 Saving player score: ${myPoints} points`);
         
         // ✅ USAR await ao invés de .then()
-        const success = await scoreIntegration.saveScore(myTreasures);
+        const success = await scoreIntegration.saveScore(myPoints);
         
         if (success) {
           Utils.logInfo("✅ Score saved successfully - API will handle redirect");
@@ -336,16 +362,18 @@ class GameController {
           // Não fazer mais nada aqui
         } else {
           Utils.logWarn("⚠️ Score save failed, showing local win modal");
-          this.showLocalWinModal(winnerId, winnerName, isTimeUp, myTreasures, payload.treasures);
+          this.showLocalWinModal(winnerId, winnerName, isTimeUp, myPoints, payload.points || 0);
         }
       } catch (error) {
         Utils.logError("❌ Error saving score:", error);
-        this.showLocalWinModal(winnerId, winnerName, isTimeUp, myTreasures, payload.treasures);
+        this.showLocalWinModal(winnerId, winnerName, isTimeUp, myPoints, payload.points || 0);
       }
     } else {
       Utils.logWarn("⚠️ Score integration not available, showing local win modal");
-      this.showLocalWinModal(winnerId, winnerName, isTimeUp, myTreasures, payload.treasures);
+      this.showLocalWinModal(winnerId, winnerName, isTimeUp, myPoints, payload.points || 0);
     }
+    
+    gamePhase.transition("results");
   }
 
   /**
@@ -353,10 +381,10 @@ class GameController {
    * @param {string} winnerId
    * @param {string} winnerName
    * @param {boolean} isTimeUp
-   * @param {number} myTreasures
-   * @param {number} winnerTreasures
+   * @param {number} myPoints
+   * @param {number} winnerPoints
    */
-  showLocalWinModal(winnerId, winnerName, isTimeUp, myTreasures, winnerTreasures) {
+  showLocalWinModal(winnerId, winnerName, isTimeUp, myPoints, winnerPoints) {
 
     let timeStr = "N/A";
     if (gameState.startTime) {
@@ -393,8 +421,8 @@ class GameController {
     winModal.innerHTML = `
       <h1 style="color: white; font-size: 3em; margin: 0;">${message}</h1>
       <p style="color: white; font-size: 1.5em; margin: 20px 0;">Tempo: ${timeStr}</p>
-      <p style="color: white; font-size: 1.2em; margin: 10px 0;">Vencedor: ${winnerTreasures || 0} tesouros</p>
-      <p style="color: white; font-size: 1.2em; margin: 10px 0;">Você: ${myTreasures} tesouros</p>
+      <p style="color: white; font-size: 1.2em; margin: 10px 0;">Vencedor: ${winnerPoints || 0} pontos</p>
+      <p style="color: white; font-size: 1.2em; margin: 10px 0;">Você: ${myPoints} pontos</p>
       <button onclick="location.reload()" style="
         padding: 15px 40px;
         font-size: 1.2em;
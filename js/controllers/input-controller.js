@@ -43,7 +43,7 @@ class InputController {
    * @param {KeyboardEvent} e - Keyboard event
    */
   handleKeyDown(e) {
-    if (!gameState.gameStarted) return;
+    if (!gamePhase.is("playing")) return;
     
     const direction = this.getDirectionFromKey(e.key);
     
@@ -59,7 +59,7 @@ class InputController {
    * @param {KeyboardEvent} e - Keyboard event
    */
   handleKeyUp(e) {
-    if (!gameState.gameStarted) return;
+    if (!gamePhase.is("playing")) return;
     
     const direction = this.getDirectionFromKey(e.key);
     
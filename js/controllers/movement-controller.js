@@ -25,6 +25,16 @@ class MovementController {
     // Collision tracking
     this.lastCollisionTime = 0;
     this.collisionCooldown = 100; // ms
+    
+    // Client-side prediction
+    this.inputSeq = 0;
+    this.pendingInputs = []; // Sent but unacknowledged {seq, dx, dz}
+    this.unsentDelta = { dx: 0, dz: 0 }; // Movement since the last sent move
+    this.correction = { x: 0, z: 0 }; // Drift still being blended out
+    this.lastCorrectionTime = 0;
+    
+    // Stairs: camera height eases between levels
+    this.climb = null; // {fromY, toY, startedAt}
   }
 
   /**
@@ -48,8 +58,10 @@ class MovementController {
    */
   startMovementLoop() {
     const loop = (timestamp) => {
-      if (this.gameState.gameStarted) {
+      if (gamePhase.is("playing")) {
+        this.applyCorrection(timestamp);
         this.updateMovement(timestamp);
+        this.updateClimb();
       }
       this.movementLoopId = requestAnimationFrame(loop);
     };
@@ -112,34 +124,23 @@ class MovementController {
     const hasCollision = this.collisionUtils.checkWallCollisionWithRadius(
       newX, 
       newZ, 
-      CONFIG.PLAYER_RADIUS
+      CONFIG.PLAYER_RADIUS,
+      player.level || 0,
+      player
     );
     
     if (!hasCollision) {
+      // Record the input so it can be replayed after a server correction
+      this.unsentDelta.dx += newX - player.x;
+      this.unsentDelta.dz += newZ - player.z;
+      
+      const level = MazeLevels.nextLevel(this.gameState.levels, player.level || 0, player, { x: newX, z: newZ });
+      
       // Update position
       player.x = newX;
       player.z = newZ;
-      
-      // Convert to world coordinates
-      const { worldX, worldZ } = this.coordinateUtils.gridToWorld(newX, newZ);
-      const cameraHeight = CONFIG.CAMERA_HEIGHT || 1.6;
-      
-      // Update camera rig/camera
-      const target = this.cameraRig && this.cameraRig.id === 'rig' ? this.cameraRig : this.camera;
-      if (target) {
-        target.object3D.position.set(worldX, cameraHeight, worldZ);
-      }
-      
-      // Update player entity
-      const playerEl = document.getElementById(`player-${this.gameState.myPlayerId}`);
-      if (playerEl) {
-        playerEl.object3D.position.set(worldX, 0.8, worldZ);
-        
-        if (player.rotation !== undefined) {
-          const modelRotation = (player.rotation + 180) % 360;
-          playerEl.object3D.rotation.set(0, THREE.MathUtils.degToRad(modelRotation), 0);
-        }
-      }
+      if (level !== (player.level || 0)) this.changeLevel(player, level);
+      this.renderPosition(player);
       
       // Send position update to server (throttled)
       if (timestamp - this.lastNetworkUpdate >= CONFIG.POSITION_UPDATE_INTERVAL) {
@@ -174,7 +175,7 @@ class MovementController {
    * @param {string} direction - "north", "south", "east", "west"
    */
   setMovementDirection(direction) {
-    if (!this.gameState.gameStarted) return;
+    if (!gamePhase.is("playing")) return;
     
     this.currentDirection = direction;
     this.isMoving = true;
@@ -264,6 +265,81 @@ class MovementController {
     return { deltaX, deltaZ, moveAngle, cameraYaw };
   }
 
+  /**
+   * Move the camera and player entity to the player's grid position
+   * @param {object} player
+   */
+  renderPosition(player) {
+    const { worldX, worldZ } = this.coordinateUtils.gridToWorld(player.x, player.z);
+    const cameraHeight = CONFIG.CAMERA_HEIGHT || 1.6;
+    const levelY = this.getLevelY(player);
+    
+    // Update camera rig/camera
+    const target = this.cameraRig && this.cameraRig.id === 'rig' ? this.cameraRig : this.camera;
+    if (target) {
+      target.object3D.position.set(worldX, cameraHeight + levelY, worldZ);
+    }
+    
+    // Update player entity
+    const playerEl = document.getElementById(`player-${this.gameState.myPlayerId}`);
+    if (playerEl) {
+      playerEl.object3D.position.set(worldX, 0.8 + levelY, worldZ);
+      
+      if (player.rotation !== undefined) {
+        const modelRotation = (player.rotation + 180) % 360;
+        playerEl.object3D.rotation.set(0, THREE.MathUtils.degToRad(modelRotation), 0);
+      }
+    }
+  }
+
+  // ========================================
+  // LEVELS
+  // ========================================
+
+  /**
+   * Move the player to another level and start the climb animation
+   * @param {object} player
+   * @param {number} level
+   */
+  changeLevel(player, level) {
+    this.climb = {
+      fromY: this.getLevelY(player),
+      toY: this.coordinateUtils.levelToWorldY(level),
+      startedAt: performance.now(),
+    };
+    player.level = level;
+    
+    Utils.logInfo(`🪜 Now on level ${level}`);
+    eventBus.emit("player:level", { playerId: player.id, level: level });
+  }
+
+  /**
+   * Floor height under the player, eased while climbing
+   * @param {object} player
+   * @returns {number}
+   */
+  getLevelY(player) {
+    if (!this.climb) return this.coordinateUtils.levelToWorldY(player.level);
+    
+    const t = Math.min((performance.now() - this.climb.startedAt) / CONFIG.LEVEL_CLIMB_TIME, 1);
+    const eased = t * t * (3 - 2 * t);
+    return this.climb.fromY + (this.climb.toY - this.climb.fromY) * eased;
+  }
+
+  /**
+   * Keep rendering while a climb is running, even when standing still
+   */
+  updateClimb() {
+    if (!this.climb) return;
+    
+    const player = this.gameState.players[this.gameState.myPlayerId];
+    if (player) this.renderPosition(player);
+    
+    if (performance.now() - this.climb.startedAt >= CONFIG.LEVEL_CLIMB_TIME) {
+      this.climb = null;
+    }
+  }
+
   /**
    * Broadcast position to server
    * @param {number} x - X coordinate
@@ -271,25 +347,125 @@ class MovementController {
    * @param {number} rotation - Camera rotation
    */
   broadcastPosition(x, z, rotation) {
-    if (!this.socket || !this.socket.isConnected()) {
+    // While offline the move waits in the WSClient outbox, where only
+    // the newest one is kept
+    if (!this.socket) {
       return false;
     }
 
     const roundedX = Math.round(x * 100) / 100;
     const roundedZ = Math.round(z * 100) / 100;
     const roundedRotation = Math.round(rotation);
+    const seq = ++this.inputSeq;
 
-    const sent = this.socket.emit("move", {
+    this.socket.emit("move", {
       x: roundedX,
       z: roundedZ,
       direction: roundedRotation,
+      seq: seq,
     });
 
-    if (sent) {
-      Utils.logDebug(`✅ Broadcast: (${roundedX.toFixed(2)}, ${roundedZ.toFixed(2)}) rot=${roundedRotation}°`);
+    this.pendingInputs.push({ seq, dx: this.unsentDelta.dx, dz: this.unsentDelta.dz });
+    if (this.pendingInputs.length > CONFIG.MAX_PENDING_INPUTS) {
+      this.pendingInputs.shift();
+    }
+    this.unsentDelta = { dx: 0, dz: 0 };
+    
+    Utils.logDebug(`✅ Broadcast #${seq}: (${roundedX.toFixed(2)}, ${roundedZ.toFixed(2)}) rot=${roundedRotation}°`);
+    return true;
+  }
+
+  // ========================================
+  // SERVER RECONCILIATION
+  // ========================================
+
+  /**
+   * Reconcile the predicted position with an authoritative one.
+   * Inputs the server has not processed yet are replayed on top of
+   * its position; the remaining drift is blended out over a few frames.
+   * @param {number} x - Authoritative grid X
+   * @param {number} z - Authoritative grid Z
+   * @param {number} ackSeq - Last move sequence the server applied
+   * @param {boolean} snap - Skip blending (e.g. rejected move)
+   * @param {number} level - Authoritative level, sent with snaps
+   */
+  reconcile(x, z, ackSeq, snap = false, level) {
+    const player = this.gameState.players[this.gameState.myPlayerId];
+    if (!player) return;
+    
+    this.pendingInputs = this.pendingInputs.filter((input) => input.seq > ackSeq);
+    
+    // Replay unacknowledged movement from the server position
+    let predictedX = x;
+    let predictedZ = z;
+    [...this.pendingInputs, this.unsentDelta].forEach((input) => {
+      const nextX = predictedX + input.dx;
+      const nextZ = predictedZ + input.dz;
+      if (!this.collisionUtils.checkWallCollisionWithRadius(nextX, nextZ, CONFIG.PLAYER_RADIUS, level, { x: predictedX, z: predictedZ })) {
+        predictedX = nextX;
+        predictedZ = nextZ;
+      }
+    });
+    
+    const driftX = predictedX - player.x;
+    const driftZ = predictedZ - player.z;
+    const drift = Math.hypot(driftX, driftZ);
+    
+    if (snap || drift > CONFIG.RECONCILE_SNAP_DISTANCE) {
+      this.snapTo(predictedX, predictedZ, level);
+      return;
+    }
+    
+    if (drift > 0.01) {
+      Utils.logDebug(`🔧 Reconciling drift of ${drift.toFixed(2)} (ack #${ackSeq})`);
     }
+    this.correction = { x: driftX, z: driftZ };
+  }
+
+  /**
+   * Blend out part of the pending correction
+   * @param {number} timestamp - Current timestamp
+   */
+  applyCorrection(timestamp) {
+    const deltaTime = this.lastCorrectionTime ? (timestamp - this.lastCorrectionTime) / 1000 : 0;
+    this.lastCorrectionTime = timestamp;
+    
+    if (this.correction.x === 0 && this.correction.z === 0) return;
+    
+    const player = this.gameState.players[this.gameState.myPlayerId];
+    if (!player) return;
+    
+    // Finish tiny corrections in one go
+    const remaining = Math.hypot(this.correction.x, this.correction.z);
+    const amount = remaining < 0.01 ? 1 : Math.min(1, deltaTime * CONFIG.RECONCILE_SMOOTHING);
+    
+    player.x += this.correction.x * amount;
+    player.z += this.correction.z * amount;
+    this.correction.x *= 1 - amount;
+    this.correction.z *= 1 - amount;
+    
+    this.renderPosition(player);
+  }
 
-    return sent;
+  /**
+   * Snap player to an authoritative position (e.g. rejected move)
+   * @param {number} x - Grid X coordinate
+   * @param {number} z - Grid Z coordinate
+   * @param {number} level - Maze level, kept when omitted
+   */
+  snapTo(x, z, level) {
+    const player = this.gameState.players[this.gameState.myPlayerId];
+    if (!player) return;
+    
+    player.x = x;
+    player.z = z;
+    if (level !== undefined && level !== (player.level || 0)) this.changeLevel(player, level);
+    this.lastUpdateTime = 0;
+    this.correction = { x: 0, z: 0 };
+    
+    this.renderPosition(player);
+    
+    Utils.logInfo(`↩️ Snapped back to (${x.toFixed(2)}, ${z.toFixed(2)})`);
   }
 
   /**
@@ -317,11 +493,6 @@ class MovementController {
     this.stopMovementLoop();
     this.stopMovement();
   }
-
-  queueServerUpdate(){
-    // deprecated
-  }
-
 }
 
 // Export
@@ -152,7 +152,7 @@ class VRAutoWalkController {
    * Check if camera direction has changed significantly
    */
   checkCameraDirection() {
-    if (!this.isVRMode || !gameState.gameStarted) return;
+    if (!this.isVRMode || !gamePhase.is("playing")) return;
 
     const currentYaw = this.getCurrentCameraYaw();
     const angleDiff = this.getAngleDifference(this.lastLookDirection, currentYaw);
@@ -169,7 +169,7 @@ class VRAutoWalkController {
       
       // Brief pause before starting again
       setTimeout(() => {
-        if (this.isVRMode && gameState.gameStarted) {
+        if (this.isVRMode && gamePhase.is("playing")) {
           this.startAutoWalk();
         }
       }, 200);
@@ -224,7 +224,7 @@ class VRAutoWalkController {
       
       // Restart after a moment
       setTimeout(() => {
-        if (this.isVRMode && gameState.gameStarted) {
+        if (this.isVRMode && gamePhase.is("playing")) {
           Utils.logInfo("🔄 Restarting auto-walk after collision");
           this.startAutoWalk();
         }
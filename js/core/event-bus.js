@@ -0,0 +1,88 @@
+// ========================================
+// EVENT BUS
+// Typed publish/subscribe between GameState and the views.
+// Network handlers mutate GameState; managers subscribe to
+// the changes instead of being called by hand.
+// ========================================
+
+// Known events and the payload fields each one must carry
+const GAME_EVENTS = {
+  "players:changed": ["players", "removed"], // removed: ids that left
+  "treasure:collected": ["treasureId", "playerId"], // playerId is null when unknown (snapshot)
+  "treasures:loaded": ["treasures"],
+  "phase:changed": ["phase", "previous"],
+  "maze:loaded": ["maze", "levels", "mazeInfo"],
+  "player:level": ["playerId", "level"], // Local player took the stairs
+  "maze:shifting": ["level", "changes", "at"], // Shift announced; at is local time
+  "maze:changed": ["level", "changes"], // Cells of a level changed in place (shifting maze)
+  "elements:loaded": ["elements"],
+  "element:changed": ["element", "playerId"], // Door, key or barrier state from the server
+};
+
+class EventBus {
+  /**
+   * @param {object} events - Event name -> required payload fields
+   */
+  constructor(events) {
+    this.events = events;
+    this.listeners = {};
+  }
+
+  /**
+   * Subscribe to an event
+   * @param {string} event
+   * @param {function} callback - Receives the payload
+   * @returns {function} - Unsubscribes the callback
+   */
+  on(event, callback) {
+    this.assertKnown(event);
+
+    if (!this.listeners[event]) {
+      this.listeners[event] = [];
+    }
+    this.listeners[event].push(callback);
+
+    return () => this.off(event, callback);
+  }
+
+  off(event, callback) {
+    if (!this.listeners[event]) return;
+    this.listeners[event] = this.listeners[event].filter((cb) => cb !== callback);
+  }
+
+  /**
+   * Notify subscribers in the order they subscribed. A failing
+   * subscriber is logged and does not stop the others.
+   * @param {string} event
+   * @param {object} payload
+   */
+  emit(event, payload) {
+    this.assertKnown(event);
+
+    const missing = this.events[event].filter((field) => !(field in payload));
+    if (missing.length > 0) {
+      throw new TypeError(`${event} is missing ${missing.join(", ")}`);
+    }
+
+    (this.listeners[event] || []).forEach((callback) => {
+      try {
+        callback(payload);
+      } catch (e) {
+        Utils.logError(`❌ Error in ${event} subscriber:`, e);
+      }
+    });
+  }
+
+  assertKnown(event) {
+    if (!this.events[event]) {
+      throw new TypeError(`Unknown event: ${event}`);
+    }
+  }
+}
+
+// Create singleton instance
+const eventBus = new EventBus(GAME_EVENTS);
+
+// Expose globally
+window.eventBus = eventBus;
+window.EventBus = EventBus;
@@ -0,0 +1,177 @@
+// ========================================
+// GAME PHASE
+// State machine for the match lifecycle:
+// name_entry → lobby → waiting → countdown → playing → finished → results,
+// with a side trip lobby ⇄ editor
+// ========================================
+
+// Allowed transitions per phase. A guard (or null) must return true
+// for the transition to go through.
+const PHASE_TRANSITIONS = {
+  name_entry: {
+    lobby: () => !!gameState.myPlayerName,
+  },
+  lobby: {
+    waiting: () => !!gameState.room,
+    editor: null,
+  },
+  editor: {
+    lobby: null,
+  },
+  waiting: {
+    countdown: () => !!gameState.myPlayerId,
+    // Resumed into a match that started while we were away
+    playing: () => !!gameState.myPlayerId,
+  },
+  countdown: {
+    playing: null,
+    finished: null,
+  },
+  playing: {
+    finished: null,
+  },
+  finished: {
+    results: null,
+  },
+  results: {},
+};
+
+class IllegalTransitionError extends Error {
+  constructor(from, to, reason) {
+    super(`Illegal phase transition ${from} → ${to} (${reason})`);
+    this.name = "IllegalTransitionError";
+    this.from = from;
+    this.to = to;
+  }
+}
+
+class PhaseMachine {
+  /**
+   * @param {string} initial - Starting phase
+   * @param {object} transitions - Phase -> {nextPhase: guard|null}
+   */
+  constructor(initial, transitions) {
+    this.transitions = transitions;
+    this.current = initial;
+    this.enterHooks = {};
+    this.exitHooks = {};
+  }
+
+  /**
+   * @param {...string} phases
+   * @returns {boolean} - True if the current phase is one of them
+   */
+  is(...phases) {
+    return phases.includes(this.current);
+  }
+
+  /**
+   * The game world is on screen (countdown or playing)
+   * @returns {boolean}
+   */
+  inGame() {
+    return this.is("countdown", "playing");
+  }
+
+  /**
+   * @param {string} to
+   * @returns {boolean} - True if transition(to) would succeed
+   */
+  can(to) {
+    return this.rejectReason(to) === null;
+  }
+
+  /**
+   * Throw unless transition(to) would succeed
+   * @param {string} to
+   */
+  assertCan(to) {
+    const reason = this.rejectReason(to);
+    if (reason !== null) {
+      throw new IllegalTransitionError(this.current, to, reason);
+    }
+  }
+
+  /**
+   * Move to another phase: exit hooks, enter hooks, then phase:changed
+   * @param {string} to
+   * @throws {IllegalTransitionError}
+   */
+  transition(to) {
+    this.assertCan(to);
+
+    const from = this.current;
+    Utils.logInfo(`🎬 Phase: ${from} → ${to}`);
+
+    this.runHooks(this.exitHooks[from], to);
+    this.current = to;
+    this.runHooks(this.enterHooks[to], from);
+
+    eventBus.emit("phase:changed", { phase: to, previous: from });
+  }
+
+  /**
+   * @param {string} phase
+   * @param {function} callback - Receives the previous phase
+   * @returns {function} - Removes the hook
+   */
+  onEnter(phase, callback) {
+    return this.addHook(this.enterHooks, phase, callback);
+  }
+
+  /**
+   * @param {string} phase
+   * @param {function} callback - Receives the next phase
+   * @returns {function} - Removes the hook
+   */
+  onExit(phase, callback) {
+    return this.addHook(this.exitHooks, phase, callback);
+  }
+
+  // ========================================
+  // INTERNALS
+  // ========================================
+
+  /**
+   * @returns {string|null} - Why transition(to) would fail, or null
+   */
+  rejectReason(to) {
+    const allowed = this.transitions[this.current] || {};
+    if (!(to in allowed)) return "not allowed";
+
+    const guard = allowed[to];
+    if (guard && !guard()) return "guard refused";
+    return null;
+  }
+
+  addHook(hooks, phase, callback) {
+    if (!this.transitions[phase]) {
+      throw new TypeError(`Unknown phase: ${phase}`);
+    }
+
+    if (!hooks[phase]) hooks[phase] = [];
+    hooks[phase].push(callback);
+
+    return () => {
+      hooks[phase] = hooks[phase].filter((cb) => cb !== callback);
+    };
+  }
+
+  runHooks(hooks, other) {
+    (hooks || []).forEach((callback) => {
+      try {
+        callback(other);
+      } catch (e) {
+        Utils.logError(`❌ Error in phase hook (${this.current}):`, e);
+      }
+    });
+  }
+}
+
+// Create singleton instance
+const gamePhase = new PhaseMachine("name_entry", PHASE_TRANSITIONS);
+
+// Expose globally
+window.gamePhase = gamePhase;
+window.PhaseMachine = PhaseMachine;
+window.IllegalTransitionError = IllegalTransitionError;
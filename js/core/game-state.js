@@ -1,4 +1,6 @@
 // Game State Management
+// Mutators publish their changes on eventBus; managers subscribe
+// instead of being called by the network handlers
 class GameState {
   constructor() {
     this.reset();
@@ -11,11 +13,20 @@ class GameState {
     this.room = null;
     this.players = {};
     this.maze = [];
+    this.levels = []; // levels[level] grids; levels[0] is maze
+    this.mazeInfo = null;
+    this.settings = {
+      mapTreasures: CONFIG.MAP_SHOW_TREASURES,
+      mapOpponents: CONFIG.MAP_SHOW_OPPONENTS,
+    };
     this.treasures = [];
+    this.elements = []; // Doors, keys, plates, barriers and gates (MazeElements)
     this.cellSize = CONFIG.CELL_SIZE;
-    this.gameStarted = false;
     this.startTime = null;
+    this.endTime = null;
     this.isReady = false;
+    this.sessionToken = null;
+    this.snapshotSeq = null; // Last game_update applied
   }
   
   // Player methods
@@ -34,6 +45,11 @@ class GameState {
     Utils.logInfo("🏠 Room set:", roomCode);
   }
   
+  setSessionToken(token) {
+    this.sessionToken = token;
+    Utils.logInfo("🔑 Resume token received");
+  }
+  
   // FIXED: Merge players instead of replacing
   updatePlayers(newPlayers) {
     Utils.logInfo("👥 updatePlayers called (MERGE mode)");
@@ -59,12 +75,16 @@ class GameState {
     Object.values(this.players).forEach(p => {
       Utils.logInfo(`    - ${p.name}: ready=${p.ready ? '✅' : '⏸️'}`);
     });
+    
+    this.emitPlayersChanged([]);
   }
   
   addPlayer(player) {
     Utils.logInfo("➕ Adding player:", player.name);
     this.players[player.id] = player;
     Utils.logInfo("  ✅ Total players now:", Object.keys(this.players).length);
+    
+    this.emitPlayersChanged([]);
   }
   
   removePlayer(playerId) {
@@ -73,6 +93,8 @@ class GameState {
       const name = this.players[playerId].name;
       delete this.players[playerId];
       Utils.logInfo(`  ✅ Removed ${name}. Remaining:`, Object.keys(this.players).length);
+      
+      this.emitPlayersChanged([playerId]);
     } else {
       Utils.logWarn("  ⚠️ Player not found");
     }
@@ -84,69 +106,262 @@ class GameState {
     if (this.players[playerId]) {
       this.players[playerId].ready = ready;
       Utils.logInfo(`  ✅ ${this.players[playerId].name} is now ${ready ? 'READY ✅' : 'NOT READY ⏸️'}`);
+      
+      this.emitPlayersChanged([]);
     } else {
       Utils.logWarn(`  ⚠️ Player ${playerId} not found!`);
     }
   }
   
+  setPlayerConnected(playerId, connected) {
+    if (!this.players[playerId]) return;
+    
+    this.players[playerId].connected = connected;
+    this.emitPlayersChanged([]);
+  }
+  
+  /**
+   * @param {array} removed - Ids of players that just left
+   */
+  emitPlayersChanged(removed) {
+    eventBus.emit("players:changed", { players: this.players, removed: removed });
+  }
+  
   // Game methods
-  setMaze(maze) {
+  /**
+   * @param {array} maze - Ground level
+   * @param {object} mazeInfo - Optional, kept when omitted
+   * @param {array} levels - Every level of a multi-floor maze, optional
+   */
+  setMaze(maze, mazeInfo, levels) {
     this.maze = maze;
-    Utils.logInfo("🗺️ Maze set:", maze.length, "x", maze[0]?.length);
+    this.levels = levels && levels.length > 0 ? levels : [maze];
+    if (mazeInfo) this.mazeInfo = mazeInfo;
+    Utils.logInfo("🗺️ Maze set:", maze.length, "x", maze[0]?.length, "levels:", this.levels.length);
+    
+    eventBus.emit("maze:loaded", { maze: this.maze, levels: this.levels, mazeInfo: this.mazeInfo });
+  }
+  
+  /**
+   * Announce an upcoming maze shift so the views can warn players
+   * @param {number} level
+   * @param {array} changes - [{x, z, cell}]
+   * @param {number} at - Local time the shift happens
+   */
+  warnMazeShift(level, changes, at) {
+    Utils.logInfo(`⚠️ Maze shift on level ${level} in ${Math.max(at - Date.now(), 0)}ms`);
+    eventBus.emit("maze:shifting", { level: level, changes: changes, at: at });
+  }
+  
+  /**
+   * Change cells of a level in place (shifting maze)
+   * @param {number} level
+   * @param {array} changes - [{x, z, cell}]
+   */
+  applyMazeChanges(level, changes) {
+    const grid = this.levels[level];
+    if (!grid || changes.length === 0) return;
+    
+    MazeShift.apply(grid, changes);
+    // Single-floor mazes share the grid; multi-floor ones got a copy of level 0
+    if (level === 0 && this.maze !== grid) MazeShift.apply(this.maze, changes);
+    Utils.logInfo(`🔀 Maze level ${level} changed: ${changes.length} cells`);
+    
+    eventBus.emit("maze:changed", { level: level, changes: changes });
+  }
+  
+  /**
+   * Catch up with a maze that shifted while we were away
+   * @param {array} levels - The server's current levels
+   */
+  syncMaze(levels) {
+    levels.forEach((grid, level) => {
+      if (this.levels[level]) this.applyMazeChanges(level, MazeShift.diff(this.levels[level], grid));
+    });
+  }
+  
+  /**
+   * @param {number} level - Defaults to the level I am on
+   * @returns {array} - That level's grid
+   */
+  getLevel(level = this.getMyLevel()) {
+    return this.levels[level] || this.maze;
+  }
+  
+  getMyLevel() {
+    const me = this.players[this.myPlayerId];
+    return (me && me.level) || 0;
+  }
+  
+  setMazeInfo(mazeInfo) {
+    this.mazeInfo = mazeInfo;
+    Utils.logInfo("🌱 Maze info set:", mazeInfo.algorithm, mazeInfo.size, "seed", mazeInfo.seed);
+  }
+  
+  /**
+   * @param {object} settings - Room settings {mapTreasures, mapOpponents}
+   */
+  setRoomSettings(settings) {
+    this.settings = { ...this.settings, ...settings };
+    Utils.logInfo("⚙️ Room settings set:", this.settings);
   }
   
   setTreasures(treasures) {
     this.treasures = treasures;
     Utils.logInfo("💎 Treasures set:", treasures.length);
+    
+    eventBus.emit("treasures:loaded", { treasures: this.treasures });
   }
   
-  collectTreasure(treasureId, playerId) {
-    Utils.logInfo("💎 Collecting treasure:", treasureId, "by", playerId);
+  setElements(elements) {
+    this.elements = elements;
+    Utils.logInfo("🚪 Maze elements set:", elements.length);
     
-    const treasure = this.treasures.find((t) => t.id === treasureId);
-    if (treasure) {
-      treasure.collected = true;
-      treasure.collectedBy = playerId;
-      
-      if (playerId === this.myPlayerId) {
-        this.myTreasureCount++;
-        Utils.logInfo("  ✅ My treasure count:", this.myTreasureCount);
+    eventBus.emit("elements:loaded", { elements: this.elements });
+  }
+  
+  /**
+   * Apply an element_update from the server
+   * @param {array} changes - Elements with their new state
+   * @param {string} playerId - Who changed them, optional
+   */
+  updateElements(changes, playerId) {
+    changes.forEach((change) => {
+      const element = this.elements.find((e) => e.id === change.id);
+      if (!element) {
+        Utils.logWarn(`  ⚠️ Element ${change.id} not found`);
+        return;
       }
       
-      if (this.players[playerId]) {
-        this.players[playerId].treasures =
-          (this.players[playerId].treasures || 0) + 1;
-        Utils.logInfo(`  ✅ ${this.players[playerId].name} now has ${this.players[playerId].treasures} treasures`);
+      Object.assign(element, change);
+      eventBus.emit("element:changed", { element: element, playerId: playerId || null });
+    });
+  }
+  
+  /**
+   * Apply a game_update. Full snapshots replace the room state; deltas
+   * hold absolute values, so they apply on top of any snapshot at or
+   * after their baseline.
+   * @param {object} snapshot - game_update payload
+   * @returns {boolean} - False if the delta's baseline was never
+   *   applied (a gap)
+   */
+  applySnapshot(snapshot) {
+    if (!snapshot.full && (this.snapshotSeq === null || snapshot.baseSeq > this.snapshotSeq)) {
+      return false;
+    }
+    if (this.snapshotSeq !== null && snapshot.seq <= this.snapshotSeq) {
+      return true;
+    }
+    
+    if (snapshot.maze) this.setMaze(snapshot.maze, snapshot.mazeInfo, snapshot.levels);
+    if (snapshot.settings) this.setRoomSettings(snapshot.settings);
+    
+    // Messages like player_left may already have applied part of the change
+    const removed = snapshot.full
+      ? Object.keys(this.players).filter((id) => !snapshot.players[id])
+      : (snapshot.removedPlayers || []).filter((id) => this.players[id]);
+    removed.forEach((id) => this.removePlayer(id));
+    
+    if (snapshot.players) {
+      const players = { ...snapshot.players };
+      const mine = players[this.myPlayerId];
+      
+      // Our own position belongs to MovementController's prediction
+      if (gamePhase.inGame() && mine) {
+        const { x, z, direction, level, ...rest } = mine;
+        players[this.myPlayerId] = rest;
       }
+      this.updatePlayers(players);
     }
+    
+    // Players first, so subscribers see scores that match
+    if (snapshot.treasures) this.setTreasures(snapshot.treasures);
+    if (snapshot.elements) this.setElements(snapshot.elements);
+    
+    (snapshot.collected || []).forEach((treasureId) => {
+      const treasure = this.treasures.find((t) => t.id === treasureId);
+      if (treasure && !treasure.collected) {
+        treasure.collected = true;
+        eventBus.emit("treasure:collected", { treasureId: treasureId, playerId: null });
+      }
+    });
+    
+    this.snapshotSeq = snapshot.seq;
+    return true;
   }
   
-  startGame(data) {
-    Utils.logInfo("🎮 Starting game with data...");
-    
-    const payload = data.payload || data;
+  /**
+   * Catalogue entry of a treasure
+   * @param {object} treasure
+   * @returns {object} - See CONFIG.TREASURE_TYPES
+   */
+  getTreasureType(treasure) {
+    return CONFIG.TREASURE_TYPES[treasure && treasure.type] || CONFIG.TREASURE_TYPES[CONFIG.DEFAULT_TREASURE_TYPE];
+  }
+  
+  /**
+   * Record a treasure_collected from the server
+   * @param {string} treasureId
+   * @param {string} playerId
+   * @param {number} count - Collector's total, optional
+   * @param {number} points - Collector's points, optional
+   */
+  collectTreasure(treasureId, playerId, count, points) {
+    Utils.logInfo("💎 Collecting treasure:", treasureId, "by", playerId);
     
-    if (payload.maze) {
-      this.maze = payload.maze;
-      Utils.logInfo("  🗺️ Maze loaded");
+    const treasure = this.treasures.find((t) => t.id === treasureId);
+    if (!treasure) {
+      Utils.logWarn(`  ⚠️ Treasure ${treasureId} not found`);
+      return;
     }
     
-    if (payload.treasures) {
-      this.treasures = payload.treasures;
-      Utils.logInfo("  💎 Treasures loaded:", this.treasures.length);
+    // Our own pickups are already marked collected optimistically
+    treasure.collected = true;
+    treasure.collectedBy = playerId;
+    
+    const player = this.players[playerId];
+    if (player) {
+      player.treasures = count !== undefined ? count : (player.treasures || 0) + 1;
+      player.points = points !== undefined ? points : (player.points || 0) + this.getTreasureType(treasure).points;
+      Utils.logInfo(`  ✅ ${player.name} now has ${player.treasures} treasures, ${player.points} points`);
     }
     
-    if (payload.players) {
-      this.updatePlayers(payload.players);
-      Utils.logInfo("  👥 Players loaded:", Object.keys(this.players).length);
+    if (playerId === this.myPlayerId) {
+      this.myTreasureCount = player ? player.treasures : this.myTreasureCount + 1;
+      Utils.logInfo("  ✅ My treasure count:", this.myTreasureCount);
     }
     
-    this.gameStarted = true;
-    this.startTime = Date.now();
+    eventBus.emit("treasure:collected", { treasureId: treasureId, playerId: playerId });
+  }
+  
+  startGame(data) {
+    Utils.logInfo("🎮 Starting game with data...");
+    
+    const payload = data.payload || data;
+    
+    if (payload.players) this.updatePlayers(payload.players);
+    if (payload.maze) this.setMaze(payload.maze, payload.mazeInfo, payload.levels);
+    if (payload.settings) this.setRoomSettings(payload.settings);
+    if (payload.treasures) this.setTreasures(payload.treasures);
+    if (payload.elements) this.setElements(payload.elements);
+    
+    this.setMatchTimes(payload.startsAt, payload.endsAt);
     
     Utils.logInfo("✅ Game started!");
   }
   
+  /**
+   * Store match start and deadline on the local clock. Server
+   * timestamps go through clockSync so every player shares the deadline.
+   * @param {number} startsAt - Server time (ms), optional
+   * @param {number} endsAt - Server time (ms), optional
+   */
+  setMatchTimes(startsAt, endsAt) {
+    this.startTime = startsAt ? clockSync.toLocal(startsAt) : Date.now();
+    this.endTime = endsAt ? clockSync.toLocal(endsAt) : this.startTime + CONFIG.GAME_TIME_LIMIT;
+  }
+  
   toggleReady() {
     this.isReady = !this.isReady;
     Utils.logInfo("🔄 Toggled my ready status to:", this.isReady ? '✅ READY' : '⏸️ NOT READY');
@@ -155,6 +370,7 @@ class GameState {
     if (this.myPlayerId && this.players[this.myPlayerId]) {
       this.players[this.myPlayerId].ready = this.isReady;
       Utils.logInfo("  ✅ Updated ready status in players object");
+      this.emitPlayersChanged([]);
     }
     
     return this.isReady;
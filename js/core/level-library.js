@@ -0,0 +1,80 @@
+// ========================================
+// LEVEL LIBRARY
+// Levels saved from the editor, kept in localStorage.
+// Each level is {name, savedAt, maze} with a MazeIO document.
+// ========================================
+
+class LevelLibrary {
+  /**
+   * @param {string} storageKey - localStorage key
+   */
+  constructor(storageKey) {
+    this.storageKey = storageKey;
+  }
+
+  /**
+   * @returns {array} - Saved levels, newest first. Entries that are
+   *   no longer valid mazes are skipped.
+   */
+  list() {
+    let levels;
+    try {
+      levels = JSON.parse(localStorage.getItem(this.storageKey) || "[]");
+    } catch (e) {
+      Utils.logWarn("⚠️ Level library is corrupted, ignoring it:", e.message);
+      return [];
+    }
+    if (!Array.isArray(levels)) return [];
+
+    return levels
+      .filter((level) => level && typeof level.name === "string" && MazeIO.validate(level.maze).ok)
+      .sort((a, b) => b.savedAt - a.savedAt);
+  }
+
+  /**
+   * @param {string} name
+   * @returns {object|null}
+   */
+  get(name) {
+    return this.list().find((level) => level.name === name) || null;
+  }
+
+  /**
+   * Save a level, replacing any level with the same name
+   * @param {string} name
+   * @param {object} maze - MazeIO document
+   * @returns {object} - The saved level
+   * @throws {Error} - Invalid maze or storage full
+   */
+  save(name, maze) {
+    const check = MazeIO.validate(maze);
+    if (!check.ok) throw new Error(check.reason);
+
+    const level = { name: name, savedAt: Date.now(), maze: maze };
+    const levels = this.list().filter((l) => l.name !== name);
+    levels.unshift(level);
+    this.write(levels);
+
+    Utils.logInfo(`💾 Level saved: ${name}`);
+    return level;
+  }
+
+  /**
+   * @param {string} name
+   */
+  remove(name) {
+    this.write(this.list().filter((level) => level.name !== name));
+    Utils.logInfo(`🗑️ Level removed: ${name}`);
+  }
+
+  write(levels) {
+    localStorage.setItem(this.storageKey, JSON.stringify(levels));
+  }
+}
+
+// Create singleton instance
+const levelLibrary = new LevelLibrary(CONFIG.LEVEL_LIBRARY_KEY);
+
+// Expose globally
+window.levelLibrary = levelLibrary;
+window.LevelLibrary = LevelLibrary;
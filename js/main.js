@@ -9,6 +9,8 @@ let coordinateUtils = null;
 let collisionUtils = null;
 let mazeManager = null;
 let playerManager = null;
+let lastRoomsList = [];
+let customMaze = null; // MazeIO document uploaded or picked from the level library
 
 // ========================================
 // INITIALIZATION
@@ -42,6 +44,8 @@ function initializeGame() {
   
   // 3. Initialize UI
   uiManager.init();
+  editorManager.init();
+  minimapManager.init();
   
   // 4. Connect to server
   initSocket();
@@ -140,7 +144,7 @@ function setupNameScreen() {
       }
       
       gameState.setPlayerName(name);
-      uiManager.showLobbyScreen();
+      gamePhase.transition("lobby");
     });
   }
 }
@@ -151,6 +155,29 @@ function setupNameScreen() {
 function setupLobbyScreen() {
   const showRoomsBtn = document.getElementById("showRoomsBtn");
   const createBtn = document.getElementById("createBtn");
+  const algorithmSelect = document.getElementById("mazeAlgorithmSelect");
+  const mazeFileInput = document.getElementById("mazeFileInput");
+  const levelSelect = document.getElementById("levelSelect");
+  const openEditorBtn = document.getElementById("openEditorBtn");
+  const mapTreasures = document.getElementById("mapTreasuresInput");
+  const mapOpponents = document.getElementById("mapOpponentsInput");
+  const mazeElements = document.getElementById("mazeElementsInput");
+  const mazeShifting = document.getElementById("mazeShiftingInput");
+  
+  if (mapTreasures) mapTreasures.checked = CONFIG.MAP_SHOW_TREASURES;
+  if (mapOpponents) mapOpponents.checked = CONFIG.MAP_SHOW_OPPONENTS;
+  if (mazeElements) mazeElements.checked = CONFIG.MAZE_ELEMENTS;
+  if (mazeShifting) mazeShifting.checked = CONFIG.SHIFTING_MAZE;
+  
+  if (algorithmSelect && window.MazeGenerator) {
+    Object.entries(MazeGenerator.ALGORITHMS).forEach(([value, label]) => {
+      const option = document.createElement("option");
+      option.value = value;
+      option.textContent = label;
+      option.selected = value === CONFIG.MAZE_ALGORITHM;
+      algorithmSelect.appendChild(option);
+    });
+  }
   
   if (showRoomsBtn) {
     showRoomsBtn.addEventListener("click", () => {
@@ -163,6 +190,26 @@ function setupLobbyScreen() {
   if (createBtn) {
     createBtn.addEventListener("click", createRoom);
   }
+  
+  if (mazeFileInput) {
+    mazeFileInput.addEventListener("change", () => {
+      if (levelSelect) levelSelect.value = "";
+      importMazeFile(mazeFileInput.files[0]);
+    });
+  }
+  
+  if (levelSelect) {
+    refreshLevelSelect();
+    gamePhase.onEnter("lobby", refreshLevelSelect);
+    levelSelect.addEventListener("change", () => {
+      if (mazeFileInput) mazeFileInput.value = "";
+      selectLevel(levelSelect.value);
+    });
+  }
+  
+  if (openEditorBtn) {
+    openEditorBtn.addEventListener("click", () => gamePhase.transition("editor"));
+  }
 }
 
 /**
@@ -171,11 +218,16 @@ function setupLobbyScreen() {
 function setupRoomsScreen() {
   const refreshBtn = document.getElementById("refreshRoomsBtn");
   const backBtn = document.getElementById("backToLobbyBtn");
+  const hideUnavailable = document.getElementById("hideUnavailableRooms");
   
   if (refreshBtn) {
     refreshBtn.addEventListener("click", requestRoomsList);
   }
   
+  if (hideUnavailable) {
+    hideUnavailable.addEventListener("change", () => displayRoomsList(lastRoomsList));
+  }
+  
   if (backBtn) {
     backBtn.addEventListener("click", () => {
       document.getElementById("roomsListScreen").style.display = "none";
@@ -190,11 +242,18 @@ function setupRoomsScreen() {
 function setupWaitingRoom() {
   const readyBtn = document.getElementById("readyBtn");
   const leaveBtn = document.getElementById("leaveBtn");
+  const mazeExport = document.getElementById("mazeExport");
   
   if (readyBtn) {
     readyBtn.addEventListener("click", toggleReady);
   }
   
+  if (mazeExport) {
+    mazeExport.querySelectorAll("button").forEach((btn) => {
+      btn.addEventListener("click", () => exportMaze(btn.dataset.format));
+    });
+  }
+  
   if (leaveBtn) {
     leaveBtn.addEventListener("click", () => {
       if (socket && gameState.myPlayerId && gameState.room) {
@@ -249,16 +308,29 @@ function displayRoomsList(rooms) {
   const loadingDiv = document.getElementById("loadingRooms");
   const noRoomsDiv = document.getElementById("noRoomsMessage");
   const roomsList = document.getElementById("roomsList");
+  const hideUnavailable = document.getElementById("hideUnavailableRooms")?.checked;
   
   if (loadingDiv) loadingDiv.style.display = "none";
   
-  if (!rooms || rooms.length === 0) {
+  lastRoomsList = rooms || [];
+  
+  const entries = lastRoomsList
+    .map(normalizeRoomEntry)
+    .filter(room => !hideUnavailable || room.canJoin);
+  
+  if (entries.length === 0) {
     if (noRoomsDiv) {
-      noRoomsDiv.innerHTML = `
-        Nenhuma sala disponível no momento.
-        <br><br>
-        Crie uma nova sala!
-      `;
+      noRoomsDiv.innerHTML = lastRoomsList.length > 0
+        ? `
+          Todas as salas estão cheias ou em jogo.
+          <br><br>
+          Crie uma nova sala!
+        `
+        : `
+          Nenhuma sala disponível no momento.
+          <br><br>
+          Crie uma nova sala!
+        `;
       noRoomsDiv.style.display = "block";
     }
     if (roomsList) roomsList.innerHTML = "";
@@ -267,41 +339,28 @@ function displayRoomsList(rooms) {
   
   if (noRoomsDiv) noRoomsDiv.style.display = "none";
   
-  Utils.logDebug("📋 Displaying rooms:", rooms);
+  Utils.logDebug("📋 Displaying rooms:", entries);
   
   let html = "";
-  rooms.forEach(room => {
-    // Get room code
-    const code = room.code || room.Code || room.roomCode || room.RoomCode;
-    
-    // Count players - check if players is an object and count its keys
-    let playerCount = 0;
-    if (room.players && typeof room.players === 'object') {
-      playerCount = Object.keys(room.players).length;
-    } else if (room.playerCount !== undefined) {
-      playerCount = room.playerCount;
-    } else if (room.PlayerCount !== undefined) {
-      playerCount = room.PlayerCount;
-    }
-    
-    const maxPlayers = room.maxPlayers || room.MaxPlayers || room.max_players || 4;
-    const gameStarted = room.gameStarted || room.GameStarted || room.game_started || false;
-    
-    Utils.logDebug(`Room ${code}: ${playerCount}/${maxPlayers} players, started: ${gameStarted}`);
-    
-    const canJoin = !gameStarted && playerCount < maxPlayers;
-    const statusClass = gameStarted ? "started" : (playerCount >= maxPlayers ? "full" : "waiting");
-    const statusText = gameStarted ? "Em jogo" : (playerCount >= maxPlayers ? "Cheia" : "Aguardando");
+  entries.forEach(room => {
+    const statusClass = room.isPlaying ? "started" : (room.isFull ? "full" : "waiting");
+    const statusText = room.isPlaying ? "Em jogo" : (room.isFull ? "Cheia" : "Aguardando");
     
     html += `
-      <div class="room-card ${canJoin ? '' : 'disabled'}" 
-           data-room-code="${code}" 
-           ${canJoin ? 'onclick="joinRoomFromList(this)"' : ''}>
+      <div class="room-card ${room.canJoin ? '' : statusClass}" 
+           data-room-code="${room.code}" 
+           ${room.canJoin ? 'onclick="joinRoomFromList(this)"' : ''}>
         <div class="room-info">
-          <div class="room-code-display">${code.toUpperCase()}</div>
-          <div class="room-players">${playerCount}/${maxPlayers}</div>
+          <div class="room-code-display">${room.code.toUpperCase()}</div>
+          <div class="room-details">
+            ${room.hostName ? `<span class="room-detail"><span class="room-detail-icon">👑</span>${escapeHtml(room.hostName)}</span>` : ''}
+            ${room.createdAt ? `<span class="room-detail"><span class="room-detail-icon">🕒</span>${formatRoomAge(room.createdAt)}</span>` : ''}
+          </div>
+        </div>
+        <div class="room-status">
+          <div class="room-players ${room.isFull ? 'full' : ''}">${room.playerCount}/${room.maxPlayers}</div>
+          <div class="room-badge ${statusClass}">${statusText}</div>
         </div>
-        <div class="room-badge ${statusClass}">${statusText}</div>
       </div>
     `;
   });
@@ -309,6 +368,69 @@ function displayRoomsList(rooms) {
   if (roomsList) roomsList.innerHTML = html;
 }
 
+/**
+ * Normalize a room entry from either the local rooms API or the hosted backend
+ * @param {object} room
+ * @returns {object}
+ */
+function normalizeRoomEntry(room) {
+  const code = room.code || room.Code || room.roomCode || room.RoomCode;
+  
+  // Count players - check if players is an object and count its keys
+  let playerCount = 0;
+  if (room.players && typeof room.players === 'object') {
+    playerCount = Object.keys(room.players).length;
+  } else if (room.playerCount !== undefined) {
+    playerCount = room.playerCount;
+  } else if (room.PlayerCount !== undefined) {
+    playerCount = room.PlayerCount;
+  }
+  
+  const maxPlayers = room.maxPlayers || room.MaxPlayers || room.max_players || 4;
+  const isPlaying = room.status
+    ? room.status !== "waiting"
+    : !!(room.gameStarted || room.GameStarted || room.game_started);
+  const isFull = playerCount >= maxPlayers;
+  
+  Utils.logDebug(`Room ${code}: ${playerCount}/${maxPlayers} players, playing: ${isPlaying}`);
+  
+  return {
+    code,
+    playerCount,
+    maxPlayers,
+    isPlaying,
+    isFull,
+    canJoin: !isPlaying && !isFull,
+    hostName: room.hostName || room.host_name || null,
+    createdAt: room.createdAt || room.created_at || null,
+  };
+}
+
+/**
+ * Format room creation time as a short relative string
+ * @param {string} createdAt - ISO date
+ * @returns {string}
+ */
+function formatRoomAge(createdAt) {
+  const minutes = Math.floor((Date.now() - new Date(createdAt).getTime()) / 60000);
+  
+  if (isNaN(minutes)) return "";
+  if (minutes < 1) return "agora";
+  if (minutes < 60) return `há ${minutes} min`;
+  return `há ${Math.floor(minutes / 60)} h`;
+}
+
+/**
+ * Escape text for safe insertion into HTML
+ * @param {string} text
+ * @returns {string}
+ */
+function escapeHtml(text) {
+  const div = document.createElement("div");
+  div.textContent = text;
+  return div.innerHTML;
+}
+
 /**
  * Show rooms loading state
  */
@@ -363,11 +485,180 @@ function createRoom() {
   const playerId = "host-" + Math.random().toString(36).substr(2, 9);
   gameState.setPlayerId(playerId);
   
-  socket.emit("create_room", {
+  socket.request("create_room", {
     playerId: playerId,
     name: gameState.myPlayerName,
     maxPlayers: 4,
+    maze: customMaze ? { custom: customMaze } : getMazeOptions(),
+    settings: getRoomSettings(),
+  }, { expect: ["room_created"] })
+    .catch((err) => {
+      Utils.logError("❌ Failed to create room:", err);
+      alert(`Não foi possível criar a sala: ${err.message}`);
+    });
+}
+
+/**
+ * Read maze options chosen in the lobby
+ * @returns {object} - {algorithm, size, seed, floors, elements, shifting}
+ */
+function getMazeOptions() {
+  const algorithm = document.getElementById("mazeAlgorithmSelect")?.value;
+  const size = parseInt(document.getElementById("mazeSizeSelect")?.value, 10);
+  const seed = document.getElementById("mazeSeedInput")?.value.trim();
+  const floors = parseInt(document.getElementById("mazeFloorsSelect")?.value, 10);
+  const elements = document.getElementById("mazeElementsInput");
+  const shifting = document.getElementById("mazeShiftingInput");
+  
+  return {
+    algorithm: algorithm || CONFIG.MAZE_ALGORITHM,
+    size: size || CONFIG.MAZE_SIZE,
+    seed: seed || undefined,
+    floors: floors || 1,
+    elements: elements ? elements.checked : CONFIG.MAZE_ELEMENTS,
+    shifting: shifting ? shifting.checked : CONFIG.SHIFTING_MAZE,
+  };
+}
+
+/**
+ * Read the map options chosen in the lobby
+ * @returns {object} - {mapTreasures, mapOpponents}
+ */
+function getRoomSettings() {
+  const mapTreasures = document.getElementById("mapTreasuresInput");
+  const mapOpponents = document.getElementById("mapOpponentsInput");
+  
+  return {
+    mapTreasures: mapTreasures ? mapTreasures.checked : CONFIG.MAP_SHOW_TREASURES,
+    mapOpponents: mapOpponents ? mapOpponents.checked : CONFIG.MAP_SHOW_OPPONENTS,
+  };
+}
+
+// ========================================
+// MAZE IMPORT / EXPORT
+// ========================================
+
+/**
+ * Load the maze file chosen in the lobby (.json, .png, or ASCII art)
+ * for the next room we create
+ * @param {File} file
+ */
+async function importMazeFile(file) {
+  const statusEl = document.getElementById("mazeFileStatus");
+  customMaze = null;
+  if (statusEl) statusEl.textContent = "";
+  if (!file) return;
+  
+  const name = file.name.toLowerCase();
+  
+  try {
+    if (name.endsWith(".png")) {
+      customMaze = MazeIO.fromImageData(await readImagePixels(file));
+    } else if (name.endsWith(".json")) {
+      customMaze = MazeIO.fromJSON(await file.text());
+    } else {
+      customMaze = MazeIO.fromASCII(await file.text());
+    }
+    
+    Utils.logInfo(`📂 Custom maze loaded: ${file.name}`);
+    if (statusEl) {
+      statusEl.textContent = `📂 ${file.name}: ${customMaze.width}×${customMaze.height}, ` +
+        `${customMaze.spawns.length} inícios, ${customMaze.treasures.length} tesouros`;
+    }
+  } catch (err) {
+    Utils.logWarn(`⚠️ Invalid maze file ${file.name}: ${err.message}`);
+    if (statusEl) statusEl.textContent = `❌ ${file.name}: ${err.message}`;
+  }
+}
+
+/**
+ * List the editor's saved levels in the room options
+ */
+function refreshLevelSelect() {
+  const levelSelect = document.getElementById("levelSelect");
+  const selected = levelSelect.value;
+  
+  levelSelect.innerHTML = '<option value="">—</option>';
+  levelLibrary.list().forEach((level) => {
+    const option = document.createElement("option");
+    option.value = level.name;
+    option.textContent = level.name;
+    levelSelect.appendChild(option);
   });
+  
+  // Keep the choice unless the level was deleted in the editor
+  levelSelect.value = levelLibrary.get(selected) ? selected : "";
+  if (levelSelect.value !== selected) selectLevel("");
+}
+
+/**
+ * Use a saved level for the next room we create
+ * @param {string} name - Level name, or "" for a generated maze
+ */
+function selectLevel(name) {
+  const statusEl = document.getElementById("mazeFileStatus");
+  const level = name ? levelLibrary.get(name) : null;
+  
+  customMaze = level ? level.maze : null;
+  if (statusEl) {
+    statusEl.textContent = level
+      ? `✏️ ${level.name}: ${level.maze.width}×${level.maze.height}, ` +
+        `${level.maze.spawns.length} inícios, ${level.maze.treasures.length} tesouros`
+      : "";
+  }
+}
+
+/**
+ * @param {File} file - Image file
+ * @returns {Promise<ImageData>}
+ */
+async function readImagePixels(file) {
+  const bitmap = await createImageBitmap(file);
+  const canvas = document.createElement("canvas");
+  canvas.width = bitmap.width;
+  canvas.height = bitmap.height;
+  
+  const ctx = canvas.getContext("2d");
+  ctx.drawImage(bitmap, 0, 0);
+  return ctx.getImageData(0, 0, bitmap.width, bitmap.height);
+}
+
+/**
+ * Download the current room's maze. Maze files hold one level, so
+ * multi-floor mazes export their ground floor with stairs as path.
+ * @param {string} format - "json", "ascii" or "png"
+ */
+function exportMaze(format) {
+  if (gameState.maze.length === 0) return;
+  
+  const treasures = gameState.treasures.filter((t) => !t.level);
+  const doc = MazeIO.fromGame(MazeLevels.flatten(gameState.maze), treasures, gameState.mazeInfo?.spawns);
+  const fileName = `labirinto-${gameState.room || "sala"}`;
+  
+  if (format === "png") {
+    const image = MazeIO.toImageData(doc);
+    const canvas = document.createElement("canvas");
+    canvas.width = image.width;
+    canvas.height = image.height;
+    canvas.getContext("2d").putImageData(new ImageData(image.data, image.width, image.height), 0, 0);
+    canvas.toBlob((blob) => downloadBlob(blob, `${fileName}.png`));
+  } else if (format === "ascii") {
+    downloadBlob(new Blob([MazeIO.toASCII(doc) + "\n"], { type: "text/plain" }), `${fileName}.txt`);
+  } else {
+    downloadBlob(new Blob([MazeIO.toJSON(doc)], { type: "application/json" }), `${fileName}.json`);
+  }
+}
+
+/**
+ * @param {Blob} blob
+ * @param {string} fileName
+ */
+function downloadBlob(blob, fileName) {
+  const link = document.createElement("a");
+  link.href = URL.createObjectURL(blob);
+  link.download = fileName;
+  link.click();
+  setTimeout(() => URL.revokeObjectURL(link.href), 1000);
 }
 
 /**
@@ -400,6 +691,7 @@ function joinRoom(roomCode) {
   
   const roomPath = `/ws/${roomCode.toLowerCase()}`;
   const roomClient = new WSClient(CONFIG.SERVER_URL, roomPath, CONFIG.IS_LOCAL);
+  const lobbySocket = socket;
   
   roomClient.connect()
     .then((s) => {
@@ -414,15 +706,30 @@ function joinRoom(roomCode) {
       // Hide rooms list
       document.getElementById("roomsListScreen").style.display = "none";
       
-      // Send join
-      socket.emit("join", {
+      // Send join - the room state arrives as game_update
+      return socket.request("join", {
         playerId: gameState.myPlayerId,
         name: gameState.myPlayerName,
-      });
+      }, { expect: ["game_update", "player_joined"] });
+    })
+    .then(() => {
+      Utils.logInfo(`✅ Joined room ${roomCode}`);
+      
+      // Only the room socket may resume the session after a drop
+      if (lobbySocket && lobbySocket !== socket) {
+        lobbySocket.close();
+      }
     })
     .catch((err) => {
       Utils.logError("❌ Failed to join room:", err);
-      alert("Não foi possível conectar à sala");
+      alert(`Não foi possível entrar na sala: ${err.message}`);
+      
+      // Back to the rooms list on the lobby connection
+      roomClient.close();
+      socket = lobbySocket;
+      gameController.setSocket(socket);
+      gameState.setRoom(null);
+      document.getElementById("roomsListScreen").style.display = "block";
     });
 }
 
@@ -436,10 +743,17 @@ function toggleReady() {
   }
   
   const isReady = gameState.toggleReady();
-  uiManager.updateReadyButton(isReady);
-  uiManager.updatePlayerList();
   
-  socket.emit("ready", { ready: isReady });
+  socket.request("ready", { ready: isReady }, { expect: ["ready"] })
+    .catch((err) => {
+      Utils.logError("❌ Ready not confirmed:", err);
+      
+      // Revert the optimistic toggle
+      if (gameState.isReady === isReady) {
+        gameState.toggleReady();
+      }
+      alert(`Não foi possível atualizar o status: ${err.message}`);
+    });
 }
 
 
@@ -0,0 +1,475 @@
+// ========================================
+// EDITOR MANAGER
+// Level editor reachable from the lobby: paint walls and floor,
+// place spawns and treasures on a top-down grid, preview the
+// level in the 3D scene and save it to the level library
+// ========================================
+
+const EDITOR_COLORS = {
+  wall: "#333333",
+  floor: "#FFFFFF",
+  spawn: "#00C800",
+  treasure: "#FFD700",
+  unreachable: "#FF0000",
+  gridLine: "#DDDDDD",
+};
+
+class EditorManager {
+  constructor() {
+    this.elements = null;
+    this.size = CONFIG.EDITOR_DEFAULT_SIZE;
+    this.grid = [];
+    this.spawns = []; // [{x, z}] cell centers
+    this.treasures = [];
+    this.tool = "wall";
+    this.painting = false;
+    this.lastPainted = null; // "x,z" of the last cell painted while dragging
+    this.unreachable = []; // Points that fail the reachability check
+    this.previewing = false;
+
+    gamePhase.onEnter("editor", () => this.open());
+    gamePhase.onExit("editor", () => this.close());
+  }
+
+  // ========================================
+  // INITIALIZATION
+  // ========================================
+
+  init() {
+    this.elements = {
+      screen: document.getElementById("editorScreen"),
+      canvas: document.getElementById("editorCanvas"),
+      sizeInput: document.getElementById("editorSizeInput"),
+      tools: document.getElementById("editorTools"),
+      status: document.getElementById("editorStatus"),
+      nameInput: document.getElementById("editorLevelName"),
+      levelSelect: document.getElementById("editorLevelSelect"),
+      previewBar: document.getElementById("editorPreviewBar"),
+    };
+
+    if (!this.elements.screen || !this.elements.canvas) {
+      Utils.logError("❌ Editor screen not found");
+      return;
+    }
+
+    this.bindControls();
+    this.newLevel(this.size);
+
+    Utils.logInfo("✅ EditorManager initialized");
+  }
+
+  bindControls() {
+    const { canvas, sizeInput, tools } = this.elements;
+    const on = (id, callback) => {
+      const el = document.getElementById(id);
+      if (el) el.addEventListener("click", callback);
+    };
+
+    canvas.addEventListener("pointerdown", (e) => {
+      this.painting = true;
+      this.lastPainted = null;
+      canvas.setPointerCapture(e.pointerId);
+      this.paintAt(e);
+    });
+    canvas.addEventListener("pointermove", (e) => {
+      // Spawns and treasures toggle, so only walls and floor drag-paint
+      if (this.painting && (this.tool === "wall" || this.tool === "floor")) this.paintAt(e);
+    });
+    canvas.addEventListener("pointerup", () => { this.painting = false; });
+    canvas.addEventListener("pointercancel", () => { this.painting = false; });
+
+    if (sizeInput) {
+      sizeInput.min = MazeIO.LIMITS.minGridSize;
+      sizeInput.max = MazeIO.LIMITS.maxGridSize;
+      sizeInput.addEventListener("change", () => this.resize(parseInt(sizeInput.value, 10)));
+    }
+
+    if (tools) {
+      tools.querySelectorAll("button").forEach((btn) => {
+        btn.addEventListener("click", () => this.setTool(btn.dataset.tool));
+      });
+    }
+
+    on("editorNewBtn", () => this.newLevel(this.size));
+    on("editorSaveBtn", () => this.saveLevel());
+    on("editorLoadBtn", () => this.loadLevel(this.elements.levelSelect.value));
+    on("editorDeleteBtn", () => this.deleteLevel(this.elements.levelSelect.value));
+    on("editorPreviewBtn", () => this.startPreview());
+    on("editorPreviewBackBtn", () => this.stopPreview());
+    on("editorBackBtn", () => gamePhase.transition("lobby"));
+  }
+
+  // ========================================
+  // SCREEN
+  // ========================================
+
+  open() {
+    if (!this.elements) return;
+
+    document.getElementById("lobbyScreen").style.display = "none";
+    this.elements.screen.style.display = "block";
+    this.refreshLevelSelect();
+    this.draw();
+  }
+
+  close() {
+    if (!this.elements) return;
+
+    this.stopPreview();
+    this.elements.screen.style.display = "none";
+  }
+
+  /**
+   * @param {string} tool - wall | floor | spawn | treasure
+   */
+  setTool(tool) {
+    this.tool = tool;
+    this.elements.tools.querySelectorAll("button").forEach((btn) => {
+      btn.classList.toggle("active", btn.dataset.tool === tool);
+    });
+  }
+
+  // ========================================
+  // EDITING
+  // ========================================
+
+  /**
+   * Empty level: walls on the border, floor inside
+   * @param {number} size - Grid cells per side
+   */
+  newLevel(size) {
+    this.size = this.clampSize(size);
+    this.grid = this.blankGrid(this.size);
+    this.spawns = [];
+    this.treasures = [];
+    if (this.elements.nameInput) this.elements.nameInput.value = "";
+    this.update();
+  }
+
+  /**
+   * Change the size, keeping the inner cells that still fit
+   * @param {number} size
+   */
+  resize(size) {
+    const newSize = this.clampSize(size);
+    const keep = (x, z) => x < this.size - 1 && z < this.size - 1 && !this.isBorder(x, z, this.size);
+
+    this.grid = this.blankGrid(newSize).map((row, z) =>
+      row.map((cell, x) => (!this.isBorder(x, z, newSize) && keep(x, z) ? this.grid[z][x] : cell))
+    );
+
+    const inside = (p) => !this.isBorder(Math.floor(p.x), Math.floor(p.z), newSize) &&
+      p.x < newSize - 1 && p.z < newSize - 1;
+    this.spawns = this.spawns.filter(inside);
+    this.treasures = this.treasures.filter(inside);
+
+    this.size = newSize;
+    this.update();
+  }
+
+  /**
+   * Apply the current tool to the cell under the pointer
+   * @param {PointerEvent} e
+   */
+  paintAt(e) {
+    const rect = this.elements.canvas.getBoundingClientRect();
+    const x = Math.floor(((e.clientX - rect.left) / rect.width) * this.size);
+    const z = Math.floor(((e.clientY - rect.top) / rect.height) * this.size);
+    const key = `${x},${z}`;
+
+    if (key === this.lastPainted) return;
+    this.lastPainted = key;
+
+    if (x < 0 || z < 0 || x >= this.size || z >= this.size) return;
+    if (this.isBorder(x, z, this.size)) {
+      this.setStatus("⚠️ A borda é sempre parede");
+      return;
+    }
+
+    const warning = this.paintCell(x, z);
+    this.update();
+    if (warning) this.setStatus(warning);
+  }
+
+  /**
+   * @returns {string|undefined} - Why nothing was placed
+   */
+  paintCell(x, z) {
+    const atCell = (p) => Math.floor(p.x) === x && Math.floor(p.z) === z;
+
+    switch (this.tool) {
+      case "wall":
+      case "floor":
+        this.grid[z][x] = this.tool === "wall" ? 1 : 0;
+        this.spawns = this.spawns.filter((p) => !atCell(p));
+        this.treasures = this.treasures.filter((p) => !atCell(p));
+        break;
+
+      case "spawn":
+      case "treasure": {
+        const key = this.tool === "spawn" ? "spawns" : "treasures";
+        const max = this.tool === "spawn" ? MazeIO.LIMITS.maxSpawns : MazeIO.LIMITS.maxTreasures;
+
+        // Clicking a marker again removes it
+        if (this[key].some(atCell)) {
+          this[key] = this[key].filter((p) => !atCell(p));
+          break;
+        }
+        if (this[key].length >= max) {
+          return `⚠️ Máximo de ${max} ${this.tool === "spawn" ? "inícios" : "tesouros"}`;
+        }
+
+        this.grid[z][x] = 0;
+        this.spawns = this.spawns.filter((p) => !atCell(p));
+        this.treasures = this.treasures.filter((p) => !atCell(p));
+        this[key].push({ x: x + 0.5, z: z + 0.5 });
+        break;
+      }
+    }
+  }
+
+  /**
+   * Revalidate and redraw after a change
+   */
+  update() {
+    const result = this.validateLevel();
+    this.unreachable = result.unreachable || [];
+
+    if (this.elements.sizeInput) this.elements.sizeInput.value = this.size;
+    this.setStatus(result.ok
+      ? `✅ Nível válido • ${this.size}×${this.size} • ${this.spawns.length} inícios • ${this.treasures.length} tesouros`
+      : `⚠️ ${result.reason}`);
+    this.draw();
+  }
+
+  // ========================================
+  // VALIDATION
+  // ========================================
+
+  /**
+   * @returns {object} - The level as a MazeIO document
+   */
+  toDocument() {
+    return MazeIO.fromGame(this.grid, this.treasures, this.spawns);
+  }
+
+  /**
+   * A level is playable when it is a valid maze file, has a spawn,
+   * and every treasure (and every other spawn) can be walked to
+   * from every spawn
+   * @returns {object} - {ok, reason, unreachable}
+   */
+  validateLevel() {
+    const check = MazeIO.validate(this.toDocument());
+    if (!check.ok) return { ok: false, reason: check.reason, unreachable: [] };
+
+    if (this.spawns.length === 0) {
+      return { ok: false, reason: "Coloque pelo menos um início", unreachable: [] };
+    }
+
+    const points = this.spawns.concat(this.treasures);
+    const unreachable = new Set();
+
+    this.spawns.forEach((spawn) => {
+      const distances = TreasurePlacement.distanceMap(this.grid, Math.floor(spawn.x), Math.floor(spawn.z));
+      points.forEach((p) => {
+        if (distances[Math.floor(p.z)][Math.floor(p.x)] === -1) unreachable.add(p);
+      });
+    });
+
+    if (unreachable.size > 0) {
+      return {
+        ok: false,
+        reason: `${unreachable.size} ponto(s) inalcançáveis a partir de algum início (em vermelho)`,
+        unreachable: Array.from(unreachable),
+      };
+    }
+
+    return { ok: true, unreachable: [] };
+  }
+
+  // ========================================
+  // DRAWING
+  // ========================================
+
+  draw() {
+    const canvas = this.elements && this.elements.canvas;
+    if (!canvas || this.grid.length === 0) return;
+
+    const ctx = canvas.getContext("2d");
+    const cell = canvas.width / this.size;
+
+    for (let z = 0; z < this.size; z++) {
+      for (let x = 0; x < this.size; x++) {
+        ctx.fillStyle = this.grid[z][x] === 1 ? EDITOR_COLORS.wall : EDITOR_COLORS.floor;
+        ctx.fillRect(x * cell, z * cell, cell, cell);
+        ctx.strokeStyle = EDITOR_COLORS.gridLine;
+        ctx.strokeRect(x * cell, z * cell, cell, cell);
+      }
+    }
+
+    const marker = (p, color) => {
+      ctx.fillStyle = color;
+      ctx.beginPath();
+      ctx.arc(p.x * cell, p.z * cell, cell * 0.35, 0, Math.PI * 2);
+      ctx.fill();
+
+      if (this.unreachable.includes(p)) {
+        ctx.strokeStyle = EDITOR_COLORS.unreachable;
+        ctx.lineWidth = 2;
+        ctx.strokeRect(Math.floor(p.x) * cell + 1, Math.floor(p.z) * cell + 1, cell - 2, cell - 2);
+        ctx.lineWidth = 1;
+      }
+    };
+
+    this.spawns.forEach((p) => marker(p, EDITOR_COLORS.spawn));
+    this.treasures.forEach((p) => marker(p, EDITOR_COLORS.treasure));
+  }
+
+  setStatus(text) {
+    if (this.elements.status) this.elements.status.textContent = text;
+  }
+
+  // ========================================
+  // PREVIEW
+  // ========================================
+
+  /**
+   * Show the level in the A-Frame scene, standing on the first spawn
+   */
+  startPreview() {
+    if (this.previewing) return;
+
+    this.previewing = true;
+    Utils.logInfo("👁️ Previewing level");
+
+    mazeManager.clear();
+    mazeManager.renderMaze(this.grid);
+    this.treasures.forEach((t, idx) => {
+      mazeManager.renderTreasure({ id: `preview-treasure-${idx + 1}`, x: t.x, z: t.z }, this.grid);
+    });
+
+    const rig = document.getElementById("rig");
+    const spawn = this.spawns[0] || { x: this.size / 2, z: this.size / 2 };
+    const half = (this.size * gameState.cellSize) / 2;
+    if (rig) {
+      rig.setAttribute("position", `${spawn.x * gameState.cellSize - half} ${CONFIG.CAMERA_HEIGHT} ${spawn.z * gameState.cellSize - half}`);
+    }
+
+    document.getElementById("lobby").classList.add("hidden");
+    if (this.elements.previewBar) this.elements.previewBar.classList.remove("hidden");
+  }
+
+  stopPreview() {
+    if (!this.previewing) return;
+
+    this.previewing = false;
+    mazeManager.clear();
+
+    const rig = document.getElementById("rig");
+    if (rig) rig.setAttribute("position", "0 1 0");
+
+    document.getElementById("lobby").classList.remove("hidden");
+    if (this.elements.previewBar) this.elements.previewBar.classList.add("hidden");
+  }
+
+  // ========================================
+  // LEVEL LIBRARY
+  // ========================================
+
+  saveLevel() {
+    const name = this.elements.nameInput ? this.elements.nameInput.value.trim() : "";
+    if (!name) {
+      this.setStatus("⚠️ Dê um nome ao nível");
+      return;
+    }
+
+    const result = this.validateLevel();
+    if (!result.ok) {
+      this.setStatus(`⚠️ ${result.reason}`);
+      return;
+    }
+
+    try {
+      levelLibrary.save(name, this.toDocument());
+      this.refreshLevelSelect(name);
+      this.setStatus(`💾 "${name}" salvo`);
+    } catch (e) {
+      Utils.logError("❌ Failed to save level:", e);
+      this.setStatus(`❌ Não foi possível salvar: ${e.message}`);
+    }
+  }
+
+  /**
+   * @param {string} name
+   */
+  loadLevel(name) {
+    const level = levelLibrary.get(name);
+    if (!level) return;
+
+    const maze = level.maze;
+    if (maze.width !== maze.height) {
+      this.setStatus("⚠️ O editor só abre labirintos quadrados");
+      return;
+    }
+
+    this.size = maze.height;
+    this.grid = maze.grid.map((row) => row.slice());
+    this.spawns = maze.spawns.slice();
+    this.treasures = maze.treasures.slice();
+    if (this.elements.nameInput) this.elements.nameInput.value = level.name;
+    this.update();
+  }
+
+  deleteLevel(name) {
+    if (!name || !confirm(`Excluir o nível "${name}"?`)) return;
+
+    levelLibrary.remove(name);
+    this.refreshLevelSelect();
+  }
+
+  /**
+   * @param {string} selected - Level name to select, optional
+   */
+  refreshLevelSelect(selected) {
+    const select = this.elements.levelSelect;
+    if (!select) return;
+
+    select.innerHTML = "";
+    levelLibrary.list().forEach((level) => {
+      const option = document.createElement("option");
+      option.value = level.name;
+      option.textContent = level.name;
+      option.selected = level.name === selected;
+      select.appendChild(option);
+    });
+  }
+
+  // ========================================
+  // HELPERS
+  // ========================================
+
+  clampSize(size) {
+    return Math.min(
+      Math.max(size || CONFIG.EDITOR_DEFAULT_SIZE, MazeIO.LIMITS.minGridSize),
+      MazeIO.LIMITS.maxGridSize
+    );
+  }
+
+  blankGrid(size) {
+    return Array.from({ length: size }, (_, z) =>
+      Array.from({ length: size }, (_, x) => (this.isBorder(x, z, size) ? 1 : 0))
+    );
+  }
+
+  isBorder(x, z, size) {
+    return x === 0 || z === 0 || x === size - 1 || z === size - 1;
+  }
+}
+
+// Create singleton instance
+const editorManager = new EditorManager();
+
+// Expose globally
+window.editorManager = editorManager;
+window.EditorManager = EditorManager;
@@ -10,6 +10,31 @@ class MazeManager {
     this.mazeContainer = null;
     this.treasuresContainer = null;
     this.rendered = false;
+    
+    // "level,row,col" -> {level, row, col, x, y, z, el} or {..., instanceId}
+    this.wallIndex = {};
+    this.wallHeight = 5;
+    this.stacked = false; // Rendering a multi-floor maze
+    this.wallMesh = null;
+    this.elementsContainer = null;
+    this.elementIndex = {}; // element id -> entity
+    
+    // Shifting mazes change walls in place instead of re-rendering
+    this.shifting = false;
+    this.freeInstances = []; // Hidden instances for walls that rise later
+    this.wallTweens = []; // Instanced walls rising or sinking
+    this.shiftMarkers = null; // Warnings on the floor where walls will rise
+    
+    // A maze that arrives mid-game replaces the rendered one
+    eventBus.on("maze:loaded", () => {
+      if (gamePhase.inGame()) this.renderMaze();
+    });
+    eventBus.on("elements:loaded", () => {
+      if (gamePhase.inGame() && this.rendered) this.renderElements();
+    });
+    eventBus.on("element:changed", ({ element }) => this.updateElement(element));
+    eventBus.on("maze:shifting", ({ level, changes }) => this.warnShift(level, changes));
+    eventBus.on("maze:changed", ({ level, changes }) => this.applyWallChanges(level, changes));
   }
 
   // ========================================
@@ -38,22 +63,16 @@ class MazeManager {
   /**
    * Convert maze grid to wall positions
    * @param {array} mazeGrid - 2D array
-   * @returns {array} - Array of {x, z} positions
+   * @param {number} level - Level the grid is, 0 for single-floor mazes
+   * @returns {array} - Array of {level, row, col, x, y, z} in row-major order
    */
-  convertMazeToWalls(mazeGrid) {
+  convertMazeToWalls(mazeGrid, level = 0) {
     const walls = [];
-    const cellSize = this.gameState.cellSize;
 
     for (let row = 0; row < mazeGrid.length; row++) {
       for (let col = 0; col < mazeGrid[row].length; col++) {
         if (mazeGrid[row][col] === 1) {
-          const offsetX = (mazeGrid[0].length * cellSize) / 2;
-          const offsetZ = (mazeGrid.length * cellSize) / 2;
-
-          walls.push({
-            x: col * cellSize - offsetX + cellSize / 2,
-            z: row * cellSize - offsetZ + cellSize / 2,
-          });
+          walls.push(this.cellToWall(mazeGrid, row, col, level));
         }
       }
     }
@@ -62,9 +81,46 @@ class MazeManager {
   }
 
   /**
-   * Render maze walls
+   * Wall position for one grid cell
+   * @param {array} mazeGrid - Grid the cell belongs to
+   * @param {number} row
+   * @param {number} col
+   * @param {number} level
+   * @returns {object} - {level, row, col, x, y, z}
+   */
+  cellToWall(mazeGrid, row, col, level = 0) {
+    const cellSize = this.gameState.cellSize;
+    const offsetX = (mazeGrid[0].length * cellSize) / 2;
+    const offsetZ = (mazeGrid.length * cellSize) / 2;
+
+    return {
+      level: level,
+      row: row,
+      col: col,
+      x: col * cellSize - offsetX + cellSize / 2,
+      y: this.getWallY(level),
+      z: row * cellSize - offsetZ + cellSize / 2,
+    };
+  }
+
+  /**
+   * Height of the center of the walls on a level
+   * @param {number} level
+   * @returns {number}
+   */
+  getWallY(level = 0) {
+    return this.stacked ? this.coordinateUtils.levelToWorldY(level) + this.wallHeight / 2 : 1.5;
+  }
+
+  /**
+   * Render maze walls. Small mazes get one <a-box> per wall; large
+   * ones a single InstancedMesh (one draw call). Multi-floor mazes
+   * also get a floor slab per upper level and stairs between them,
+   * and the game maze gets its doors, keys, plates and gates.
+   * @param {array} grid - Single grid to render (the editor previews
+   *   its own); defaults to every level in gameState
    */
-  renderMaze() {
+  renderMaze(grid) {
     if (!this.mazeContainer) {
       this.init();
       if (!this.mazeContainer) return;
@@ -72,31 +128,626 @@ class MazeManager {
 
     Utils.logInfo("🎨 Rendering maze...");
     this.mazeContainer.innerHTML = "";
+    this.disposeWallMesh();
+    this.wallIndex = {};
+    this.wallTweens = [];
+    this.shiftMarkers = null;
 
-    if (!this.gameState.maze || this.gameState.maze.length === 0) {
+    const levels = grid ? [grid] : this.gameState.levels;
+    if (!levels || levels.length === 0 || levels[0].length === 0) {
       Utils.logWarn("⚠️ Maze not loaded");
       return;
     }
 
-    const walls = this.convertMazeToWalls(this.gameState.maze);
+    // Stacked walls must meet the floor above; a lone floor keeps its old look
+    this.stacked = levels.length > 1;
+    this.wallHeight = this.stacked ? CONFIG.LEVEL_HEIGHT : 5;
+    this.shifting = !grid && !!(this.gameState.mazeInfo && this.gameState.mazeInfo.shifting);
 
-    walls.forEach((wall) => {
-      const wallEl = document.createElement("a-box");
-      wallEl.setAttribute("position", `${wall.x} 1.5 ${wall.z}`);
-      wallEl.setAttribute("width", this.gameState.cellSize.toString());
-      wallEl.setAttribute("height", "5");
-      wallEl.setAttribute("depth", this.gameState.cellSize.toString());
-      wallEl.setAttribute("src", "#wall-texture");
-      wallEl.setAttribute("shadow", "cast: true; receive: true");
-      wallEl.setAttribute("class", "wall");
-      wallEl.setAttribute("static-body", "");
-      this.mazeContainer.appendChild(wallEl);
-    });
+    const walls = [];
+    levels.forEach((levelGrid, level) => walls.push(...this.convertMazeToWalls(levelGrid, level)));
+
+    if (walls.length >= CONFIG.WALL_INSTANCING_THRESHOLD) {
+      this.renderInstancedWalls(walls);
+    } else {
+      this.renderWallEntities(walls);
+    }
+
+    if (this.stacked) this.renderLevels(levels);
+    if (!grid) this.renderElements();
 
     this.rendered = true;
+  }
+
+  /**
+   * One <a-box> entity per wall
+   * @param {array} walls - From convertMazeToWalls
+   */
+  renderWallEntities(walls) {
+    walls.forEach((wall) => this.addWallEntity(wall));
+
     Utils.logInfo(`✅ Rendered ${walls.length} walls`);
   }
 
+  /**
+   * @param {object} wall - From cellToWall
+   * @returns {Element}
+   */
+  addWallEntity(wall) {
+    const wallEl = document.createElement("a-box");
+    wallEl.setAttribute("position", `${wall.x} ${wall.y} ${wall.z}`);
+    wallEl.setAttribute("width", this.gameState.cellSize.toString());
+    wallEl.setAttribute("height", this.wallHeight.toString());
+    wallEl.setAttribute("depth", this.gameState.cellSize.toString());
+    wallEl.setAttribute("src", "#wall-texture");
+    wallEl.setAttribute("shadow", "cast: true; receive: true");
+    wallEl.setAttribute("class", "wall");
+    wallEl.setAttribute("static-body", "");
+    this.mazeContainer.appendChild(wallEl);
+
+    this.wallIndex[`${wall.level},${wall.row},${wall.col}`] = { ...wall, el: wallEl };
+    return wallEl;
+  }
+
+  /**
+   * All walls as instances of one box mesh
+   * @param {array} walls - From convertMazeToWalls
+   */
+  renderInstancedWalls(walls) {
+    const cellSize = this.gameState.cellSize;
+    // Shifting walls come and go one cell at a time, so they are never merged
+    const runs = CONFIG.WALL_MERGE_RUNS && !this.shifting
+      ? this.mergeWallRuns(walls)
+      : walls.map((wall) => ({ x: wall.x, y: wall.y, z: wall.z, cells: [wall] }));
+    const spare = this.shifting ? MazeShift.maxChanges(CONFIG.SHIFT_REGION_CELLS) : 0;
+
+    const texture = new THREE.TextureLoader().load(
+      document.getElementById("wall-texture")?.getAttribute("src") || ""
+    );
+    texture.colorSpace = THREE.SRGBColorSpace;
+
+    const mesh = new THREE.InstancedMesh(
+      new THREE.BoxGeometry(cellSize, this.wallHeight, cellSize),
+      new THREE.MeshStandardMaterial({ map: texture }),
+      runs.length + spare
+    );
+    mesh.castShadow = true;
+    mesh.receiveShadow = true;
+
+    const matrix = new THREE.Matrix4();
+    const white = new THREE.Color("#FFFFFF");
+
+    runs.forEach((run, instanceId) => {
+      matrix.makeScale(run.cells.length, 1, 1);
+      matrix.setPosition(run.x, run.y, run.z);
+      mesh.setMatrixAt(instanceId, matrix);
+      mesh.setColorAt(instanceId, white);
+
+      run.cells.forEach((wall) => {
+        this.wallIndex[`${wall.level},${wall.row},${wall.col}`] = { ...wall, instanceId: instanceId };
+      });
+    });
+
+    this.freeInstances = [];
+    for (let instanceId = runs.length; instanceId < runs.length + spare; instanceId++) {
+      mesh.setMatrixAt(instanceId, new THREE.Matrix4().makeScale(0, 0, 0));
+      mesh.setColorAt(instanceId, white);
+      this.freeInstances.push(instanceId);
+    }
+    mesh.instanceMatrix.needsUpdate = true;
+
+    const wallsEl = document.createElement("a-entity");
+    wallsEl.setAttribute("class", "wall");
+    this.mazeContainer.appendChild(wallsEl);
+    wallsEl.setObject3D("mesh", mesh);
+    this.wallMesh = mesh;
+
+    Utils.logInfo(`✅ Rendered ${walls.length} walls as ${runs.length} instances`);
+  }
+
+  /**
+   * Group horizontally adjacent walls into runs
+   * @param {array} walls - Row-major, from convertMazeToWalls
+   * @returns {array} - Array of {x, y, z, cells} with x at the run's center
+   */
+  mergeWallRuns(walls) {
+    const runs = [];
+    let run = null;
+
+    walls.forEach((wall) => {
+      const last = run && run.cells[run.cells.length - 1];
+
+      if (last && last.level === wall.level && last.row === wall.row && last.col + 1 === wall.col) {
+        run.cells.push(wall);
+        run.x = (run.cells[0].x + wall.x) / 2;
+      } else {
+        run = { x: wall.x, y: wall.y, z: wall.z, cells: [wall] };
+        runs.push(run);
+      }
+    });
+
+    return runs;
+  }
+
+  /**
+   * Look up the wall at a grid cell
+   * @param {number} row
+   * @param {number} col
+   * @param {number} level - Default 0
+   * @returns {object|null} - {level, row, col, x, y, z} plus el (entity)
+   *   or instanceId (instanced mesh)
+   */
+  getWall(row, col, level = 0) {
+    return this.wallIndex[`${level},${row},${col}`] || null;
+  }
+
+  /**
+   * Tint the wall at a grid cell. With WALL_MERGE_RUNS the whole
+   * run shares the tint.
+   * @param {number} row
+   * @param {number} col
+   * @param {string} color - CSS color
+   * @param {number} level - Default 0
+   * @returns {boolean} - False if there is no wall there
+   */
+  setWallColor(row, col, color, level = 0) {
+    const wall = this.getWall(row, col, level);
+    if (!wall) return false;
+
+    if (wall.el) {
+      wall.el.setAttribute("color", color);
+    } else {
+      this.wallMesh.setColorAt(wall.instanceId, new THREE.Color(color));
+      this.wallMesh.instanceColor.needsUpdate = true;
+    }
+    return true;
+  }
+
+  // ========================================
+  // LEVELS
+  // ========================================
+
+  /**
+   * Floor slabs for the upper levels (the ceiling of the level below),
+   * open over STAIRS_DOWN stairwells, and a flight of steps on every
+   * STAIRS_UP cell
+   * @param {array} levels
+   */
+  renderLevels(levels) {
+    const cellSize = this.gameState.cellSize;
+    const offset = (levels[0].length * cellSize) / 2;
+    const cellX = (col) => col * cellSize - offset + cellSize / 2;
+    const cellZ = (row) => row * cellSize - offset + cellSize / 2;
+    let slabs = 0;
+
+    levels.forEach((grid, level) => {
+      const floorY = this.coordinateUtils.levelToWorldY(level);
+
+      grid.forEach((cells, row) => {
+        // One slab per run of cells between stairwells
+        let start = null;
+        for (let col = 0; col <= cells.length; col++) {
+          const open = col === cells.length || cells[col] === MazeLevels.CELL.STAIRS_DOWN;
+          if (level > 0 && !open && start === null) start = col;
+          if (start === null || !open) continue;
+
+          const slab = document.createElement("a-box");
+          slab.setAttribute("position", `${(cellX(start) + cellX(col - 1)) / 2} ${floorY - 0.1} ${cellZ(row)}`);
+          slab.setAttribute("width", ((col - start) * cellSize).toString());
+          slab.setAttribute("height", "0.2");
+          slab.setAttribute("depth", cellSize.toString());
+          slab.setAttribute("src", "#grass-texture");
+          slab.setAttribute("shadow", "receive: true");
+          slab.setAttribute("class", "level-floor");
+          this.mazeContainer.appendChild(slab);
+          slabs++;
+          start = null;
+        }
+
+        cells.forEach((cell, col) => {
+          if (cell === MazeLevels.CELL.STAIRS_UP) this.renderStairs(cellX(col), floorY, cellZ(row));
+        });
+      });
+    });
+
+    Utils.logInfo(`✅ Rendered ${levels.length} levels (${slabs} floor slabs)`);
+  }
+
+  /**
+   * Steps filling one cell, rising LEVEL_HEIGHT towards +z
+   * @param {number} x - Cell center
+   * @param {number} floorY - Floor of the lower level
+   * @param {number} z - Cell center
+   */
+  renderStairs(x, floorY, z) {
+    const cellSize = this.gameState.cellSize;
+    const steps = 5;
+    const depth = cellSize / steps;
+    const stairs = document.createElement("a-entity");
+    stairs.setAttribute("class", "stairs");
+
+    for (let i = 0; i < steps; i++) {
+      const height = (CONFIG.LEVEL_HEIGHT * (i + 1)) / steps;
+      const step = document.createElement("a-box");
+      step.setAttribute("position", `${x} ${floorY + height / 2} ${z - cellSize / 2 + depth * (i + 0.5)}`);
+      step.setAttribute("width", cellSize.toString());
+      step.setAttribute("height", height.toString());
+      step.setAttribute("depth", depth.toString());
+      step.setAttribute("color", "#8B7355");
+      step.setAttribute("shadow", "cast: true; receive: true");
+      stairs.appendChild(step);
+    }
+
+    this.mazeContainer.appendChild(stairs);
+  }
+
+  // ========================================
+  // SHIFTING WALLS
+  // ========================================
+
+  /**
+   * Warn about a shift: walls about to sink are tinted and the floor
+   * blinks where new walls will rise
+   * @param {number} level
+   * @param {array} changes - [{x, z, cell}]
+   */
+  warnShift(level, changes) {
+    if (!this.rendered || !this.mazeContainer) return;
+
+    this.clearShiftMarkers();
+    this.shiftMarkers = document.createElement("a-entity");
+    this.shiftMarkers.setAttribute("class", "shift-markers");
+    this.mazeContainer.appendChild(this.shiftMarkers);
+
+    const grid = this.gameState.getLevel(level);
+    const floorY = this.coordinateUtils.levelToWorldY(level);
+
+    changes.forEach(({ x: col, z: row, cell }) => {
+      if (cell !== 1) {
+        this.setWallColor(row, col, CONFIG.SHIFT_WARNING_COLOR, level);
+        return;
+      }
+
+      const wall = this.cellToWall(grid, row, col, level);
+      const marker = document.createElement("a-plane");
+      marker.setAttribute("position", `${wall.x} ${floorY + 0.02} ${wall.z}`);
+      marker.setAttribute("rotation", "-90 0 0");
+      marker.setAttribute("width", this.gameState.cellSize.toString());
+      marker.setAttribute("height", this.gameState.cellSize.toString());
+      marker.setAttribute("material", `color: ${CONFIG.SHIFT_WARNING_COLOR}; opacity: 0.2; transparent: true`);
+      marker.setAttribute("animation", {
+        property: "material.opacity",
+        to: 0.7,
+        dir: "alternate",
+        loop: true,
+        dur: 400,
+        easing: "easeInOutSine",
+      });
+      this.shiftMarkers.appendChild(marker);
+    });
+  }
+
+  clearShiftMarkers() {
+    if (this.shiftMarkers && this.shiftMarkers.parentNode) {
+      this.shiftMarkers.parentNode.removeChild(this.shiftMarkers);
+    }
+    this.shiftMarkers = null;
+  }
+
+  /**
+   * Raise and sink walls after a shift without rebuilding the maze
+   * @param {number} level
+   * @param {array} changes - [{x, z, cell}], already applied to gameState
+   */
+  applyWallChanges(level, changes) {
+    if (!this.rendered || !this.mazeContainer) return;
+
+    this.clearShiftMarkers();
+    const grid = this.gameState.getLevel(level);
+
+    changes.forEach(({ x: col, z: row, cell }) => {
+      if (cell === 1) {
+        this.raiseWall(this.cellToWall(grid, row, col, level));
+      } else {
+        this.sinkWall(row, col, level);
+      }
+    });
+  }
+
+  /**
+   * @param {object} wall - From cellToWall
+   */
+  raiseWall(wall) {
+    if (this.getWall(wall.row, wall.col, wall.level)) return;
+
+    const floorY = wall.y - this.wallHeight / 2;
+
+    if (!this.wallMesh) {
+      const wallEl = this.addWallEntity(wall);
+      wallEl.setAttribute("position", `${wall.x} ${floorY} ${wall.z}`);
+      wallEl.setAttribute("scale", "1 0.01 1");
+      this.animateWallEntity(wallEl, wall.y, 1);
+      return;
+    }
+
+    const instanceId = this.freeInstances.pop();
+    if (instanceId === undefined) {
+      Utils.logWarn("⚠️ No spare wall instances left, rebuilding the maze");
+      this.renderMaze();
+      return;
+    }
+
+    const entry = { ...wall, instanceId: instanceId };
+    this.wallIndex[`${wall.level},${wall.row},${wall.col}`] = entry;
+    this.wallMesh.setColorAt(instanceId, new THREE.Color("#FFFFFF"));
+    this.wallMesh.instanceColor.needsUpdate = true;
+    this.tweenWall(entry, 0, 1);
+  }
+
+  sinkWall(row, col, level) {
+    const wall = this.getWall(row, col, level);
+    if (!wall) return;
+
+    delete this.wallIndex[`${level},${row},${col}`];
+    const floorY = wall.y - this.wallHeight / 2;
+
+    if (wall.el) {
+      this.animateWallEntity(wall.el, floorY, 0.01);
+      setTimeout(() => {
+        if (wall.el.parentNode) wall.el.parentNode.removeChild(wall.el);
+      }, CONFIG.SHIFT_ANIMATION_TIME);
+      return;
+    }
+
+    this.tweenWall(wall, 1, 0, () => this.freeInstances.push(wall.instanceId));
+  }
+
+  animateWallEntity(wallEl, y, scale) {
+    const position = wallEl.getAttribute("position");
+    const animation = { dur: CONFIG.SHIFT_ANIMATION_TIME, easing: "easeInOutQuad" };
+
+    wallEl.setAttribute("animation__shift", { ...animation, property: "position", to: `${position.x} ${y} ${position.z}` });
+    wallEl.setAttribute("animation__shiftscale", { ...animation, property: "scale", to: `1 ${scale} 1` });
+  }
+
+  /**
+   * Grow or shrink an instanced wall from the floor up
+   * @param {object} wall - Index entry with instanceId
+   * @param {number} from - Height scale, 0 (flat) to 1
+   * @param {number} to
+   * @param {function} done - Called once finished, optional
+   */
+  tweenWall(wall, from, to, done) {
+    this.wallTweens.push({ wall, from, to, done, start: performance.now() });
+    if (this.wallTweens.length === 1) requestAnimationFrame((now) => this.stepWallTweens(now));
+  }
+
+  stepWallTweens(now) {
+    if (!this.wallMesh) {
+      this.wallTweens = [];
+      return;
+    }
+
+    const matrix = new THREE.Matrix4();
+    this.wallTweens = this.wallTweens.filter((tween) => {
+      const t = Math.min(Math.max((now - tween.start) / CONFIG.SHIFT_ANIMATION_TIME, 0), 1);
+      const scale = tween.from + (tween.to - tween.from) * t;
+      const { wall } = tween;
+
+      matrix.makeScale(1, scale, 1);
+      matrix.setPosition(wall.x, wall.y - (this.wallHeight / 2) * (1 - scale), wall.z);
+      this.wallMesh.setMatrixAt(wall.instanceId, matrix);
+
+      if (t === 1 && tween.done) tween.done();
+      return t < 1;
+    });
+    this.wallMesh.instanceMatrix.needsUpdate = true;
+
+    if (this.wallTweens.length > 0) requestAnimationFrame((next) => this.stepWallTweens(next));
+  }
+
+  disposeWallMesh() {
+    if (!this.wallMesh) return;
+
+    this.wallMesh.geometry.dispose();
+    if (this.wallMesh.material.map) this.wallMesh.material.map.dispose();
+    this.wallMesh.material.dispose();
+    this.wallMesh = null;
+  }
+
+  // ========================================
+  // MAZE ELEMENTS
+  // ========================================
+
+  /**
+   * Render every door, key, plate, barrier and gate in gameState
+   */
+  renderElements() {
+    if (!this.mazeContainer) return;
+
+    if (this.elementsContainer && this.elementsContainer.parentNode) {
+      this.elementsContainer.parentNode.removeChild(this.elementsContainer);
+    }
+    this.elementsContainer = document.createElement("a-entity");
+    this.elementsContainer.setAttribute("class", "maze-elements");
+    this.mazeContainer.appendChild(this.elementsContainer);
+    this.elementIndex = {};
+
+    const elements = this.gameState.elements || [];
+    elements.forEach((element) => {
+      const el = this.createElement(element);
+      if (!el) return;
+
+      el.setAttribute("id", `element-${element.id}`);
+      this.elementsContainer.appendChild(el);
+      this.elementIndex[element.id] = el;
+    });
+
+    if (elements.length > 0) Utils.logInfo(`✅ Rendered ${elements.length} maze elements`);
+  }
+
+  /**
+   * Entity for one element, already in its current state
+   * @param {object} element - From MazeElements
+   * @returns {Element|null}
+   */
+  createElement(element) {
+    const cellSize = this.gameState.cellSize;
+    const { offsetX, offsetZ } = this.coordinateUtils.calculateOffset();
+    const x = element.x * cellSize - offsetX;
+    const z = element.z * cellSize - offsetZ;
+    const floorY = this.coordinateUtils.levelToWorldY(element.level);
+    const wallY = this.getWallY(element.level);
+    const keyColor = CONFIG.KEY_COLORS[element.color % CONFIG.KEY_COLORS.length];
+    const { DOOR, KEY, PLATE, BARRIER, GATE } = MazeElements.TYPES;
+
+    let el = null;
+
+    switch (element.type) {
+      case DOOR: {
+        // A panel across the corridor that slides into the side wall
+        const grid = this.gameState.getLevel(element.level);
+        const alongX = grid[Math.floor(element.z)][Math.floor(element.x) - 1] !== 1;
+        el = document.createElement("a-box");
+        el.setAttribute("width", (cellSize * 0.2).toString());
+        el.setAttribute("height", this.wallHeight.toString());
+        el.setAttribute("depth", cellSize.toString());
+        el.setAttribute("rotation", alongX ? "0 0 0" : "0 90 0");
+        el.setAttribute("color", keyColor.color);
+        el.setAttribute("shadow", "cast: true; receive: true");
+        el.dataset.closed = `${x} ${wallY} ${z}`;
+        el.dataset.opened = alongX ? `${x} ${wallY} ${z + cellSize}` : `${x + cellSize} ${wallY} ${z}`;
+        el.setAttribute("position", element.open ? el.dataset.opened : el.dataset.closed);
+        break;
+      }
+      case BARRIER: {
+        // A wall block that sinks flat into the floor
+        el = document.createElement("a-box");
+        el.setAttribute("width", cellSize.toString());
+        el.setAttribute("height", this.wallHeight.toString());
+        el.setAttribute("depth", cellSize.toString());
+        el.setAttribute("src", "#wall-texture");
+        el.setAttribute("color", "#C8A27A");
+        el.setAttribute("shadow", "cast: true; receive: true");
+        el.dataset.closed = `${x} ${wallY} ${z}`;
+        el.dataset.opened = `${x} ${floorY} ${z}`;
+        el.setAttribute("position", element.open ? el.dataset.opened : el.dataset.closed);
+        el.setAttribute("scale", element.open ? "1 0.01 1" : "1 1 1");
+        break;
+      }
+      case KEY:
+        el = document.createElement("a-torus");
+        el.setAttribute("position", `${x} ${floorY + 1.2} ${z}`);
+        el.setAttribute("radius", "0.3");
+        el.setAttribute("radius-tubular", "0.06");
+        el.setAttribute("color", keyColor.color);
+        el.setAttribute("emissive", keyColor.color);
+        el.setAttribute("emissiveIntensity", "0.5");
+        el.setAttribute("visible", !element.heldBy);
+        el.setAttribute("animation", {
+          property: "rotation",
+          to: "0 360 0",
+          loop: true,
+          dur: 2000,
+          easing: "linear",
+        });
+        break;
+      case PLATE:
+        el = document.createElement("a-cylinder");
+        el.setAttribute("position", `${x} ${floorY + 0.05} ${z}`);
+        el.setAttribute("radius", (cellSize * 0.35).toString());
+        el.setAttribute("height", "0.1");
+        el.setAttribute("color", "#9E9E9E");
+        el.setAttribute("shadow", "receive: true");
+        break;
+      case GATE: {
+        // See-through panel with an arrow on the floor showing the way through
+        el = document.createElement("a-entity");
+        el.setAttribute("position", `${x} ${floorY} ${z}`);
+
+        const panel = document.createElement("a-box");
+        panel.setAttribute("position", `0 ${this.wallHeight / 2} 0`);
+        panel.setAttribute("width", element.dx !== 0 ? "0.05" : cellSize.toString());
+        panel.setAttribute("height", this.wallHeight.toString());
+        panel.setAttribute("depth", element.dx !== 0 ? cellSize.toString() : "0.05");
+        panel.setAttribute("material", "color: #00BCD4; opacity: 0.3; transparent: true");
+        el.appendChild(panel);
+
+        // Cones point up; tip forward (+z), then turn towards the gate direction
+        const yaw = (Math.atan2(element.dx, element.dz) * 180) / Math.PI;
+        const arrow = document.createElement("a-cone");
+        arrow.setAttribute("position", "0 0.1 0");
+        arrow.setAttribute("rotation", `90 ${yaw} 0`);
+        arrow.setAttribute("radius-bottom", "0.4");
+        arrow.setAttribute("radius-top", "0");
+        arrow.setAttribute("height", "0.8");
+        arrow.setAttribute("color", "#00BCD4");
+        el.appendChild(arrow);
+        break;
+      }
+      default:
+        Utils.logWarn(`⚠️ Unknown maze element type: ${element.type}`);
+    }
+
+    if (el) el.setAttribute("class", `maze-element ${element.type}`);
+    return el;
+  }
+
+  /**
+   * Animate an element into its new state
+   * @param {object} element - Already updated in gameState
+   */
+  updateElement(element) {
+    const el = this.elementIndex[element.id];
+    if (!el) return;
+
+    const { DOOR, KEY, BARRIER } = MazeElements.TYPES;
+    const animation = {
+      property: "position",
+      to: element.open ? el.dataset.opened : el.dataset.closed,
+      dur: CONFIG.ELEMENT_ANIMATION_TIME,
+      easing: "easeInOutQuad",
+    };
+
+    if (element.type === KEY) {
+      el.setAttribute("visible", !element.heldBy);
+    } else if (element.type === DOOR) {
+      el.setAttribute("animation__state", animation);
+    } else if (element.type === BARRIER) {
+      el.setAttribute("animation__state", animation);
+      el.setAttribute("animation__scale", {
+        property: "scale",
+        to: element.open ? "1 0.01 1" : "1 1 1",
+        dur: CONFIG.ELEMENT_ANIMATION_TIME,
+        easing: "easeInOutQuad",
+      });
+      this.pressPlates(element.id);
+    }
+  }
+
+  /**
+   * Push down the plates wired to a barrier that just switched
+   * @param {string} barrierId
+   */
+  pressPlates(barrierId) {
+    (this.gameState.elements || [])
+      .filter((e) => e.type === MazeElements.TYPES.PLATE && e.targets.includes(barrierId))
+      .forEach((plate) => {
+        const el = this.elementIndex[plate.id];
+        if (!el) return;
+
+        el.setAttribute("animation__press", {
+          property: "scale",
+          from: "1 1 1",
+          to: "1 0.3 1",
+          dir: "alternate",
+          loop: 1,
+          dur: CONFIG.ELEMENT_ANIMATION_TIME / 2,
+          easing: "easeOutQuad",
+        });
+      });
+  }
+
   // ========================================
   // TREASURE RENDERING
   // ========================================
@@ -131,13 +782,17 @@ class MazeManager {
   }
 
   /**
-   * Render a single treasure
+   * Render a single treasure, shaped and coloured by its type. Also used
+   * by TreasureManager and the editor preview.
    * @param {object} treasure
+   * @param {array} grid - Maze it belongs to, defaults to gameState.maze
+   * @param {Element} container - Defaults to the #treasures entity
    */
-  renderTreasure(treasure) {
+  renderTreasure(treasure, grid = gameState.maze, container = this.treasuresContainer) {
+    const levelY = this.coordinateUtils.levelToWorldY(treasure.level);
     // Use EXACT SAME calculation as walls
     const cellSize = gameState.cellSize;
-    const mazeSize = gameState.maze ? gameState.maze.length : 25;
+    const mazeSize = grid ? grid.length : 25;
     const offsetX = (mazeSize * cellSize) / 2;
     const offsetZ = (mazeSize * cellSize) / 2;
 
@@ -145,19 +800,36 @@ class MazeManager {
     const worldX = treasure.x * cellSize - offsetX;
     const worldZ = treasure.z * cellSize - offsetZ;
 
-    const treasureEl = document.createElement('a-octahedron');
+    const type = gameState.getTreasureType(treasure);
+    const treasureEl = document.createElement(`a-${type.model}`);
     
     treasureEl.setAttribute('id', treasure.id);
-    treasureEl.setAttribute('position', `${worldX} 1.8 ${worldZ}`);
-    treasureEl.setAttribute('radius', '0.5');
-    treasureEl.setAttribute('color', '#FFFF00');
+    treasureEl.setAttribute('position', `${worldX} ${levelY + 1.8} ${worldZ}`);
+    if (type.model === 'box') {
+      treasureEl.setAttribute('width', type.size * 2);
+      treasureEl.setAttribute('height', type.size * 1.4);
+      treasureEl.setAttribute('depth', type.size * 1.4);
+    } else {
+      treasureEl.setAttribute('radius', type.size);
+    }
+    treasureEl.setAttribute('color', type.color);
     treasureEl.setAttribute('metalness', '0.2');
     treasureEl.setAttribute('roughness', '0.8');
-    treasureEl.setAttribute('emissive', '#FFFF00');
+    treasureEl.setAttribute('emissive', type.color);
     treasureEl.setAttribute('emissiveIntensity', '0.8');
-    treasureEl.setAttribute('class', 'treasure');
+    treasureEl.setAttribute('class', `treasure treasure-${treasure.type || CONFIG.DEFAULT_TREASURE_TYPE}`);
     treasureEl.setAttribute('shadow', 'cast: true');
     
+    // Unique treasures light up their corridor so they stand out
+    if (type.unique) {
+      treasureEl.setAttribute('light', {
+        type: 'point',
+        color: type.color,
+        intensity: 1.2,
+        distance: cellSize * 2
+      });
+    }
+    
     // Rotation animation
     treasureEl.setAttribute('animation', {
       property: 'rotation',
@@ -170,14 +842,14 @@ class MazeManager {
     // Hover animation (up and down)
     treasureEl.setAttribute('animation__hover', {
       property: 'position',
-      to: `${worldX} 2.2 ${worldZ}`,
+      to: `${worldX} ${levelY + 2.2} ${worldZ}`,
       dir: 'alternate',
       loop: true,
       dur: 1000,
       easing: 'easeInOutSine'
     });
     
-    this.treasuresContainer.appendChild(treasureEl);
+    container.appendChild(treasureEl);
     
     Utils.logDebug(`✨ Rendered treasure ${treasure.id} at (${treasure.x}, ${treasure.z}) -> world (${worldX}, ${worldZ})`);
   }
@@ -230,6 +902,9 @@ class MazeManager {
     if (this.mazeContainer) {
       this.mazeContainer.innerHTML = "";
     }
+    this.disposeWallMesh();
+    this.wallIndex = {};
+    this.elementIndex = {};
     if (this.treasuresContainer) {
       this.treasuresContainer.innerHTML = "";
     }
@@ -0,0 +1,364 @@
+// ========================================
+// MINIMAP MANAGER
+// Top-down map of the level the player is on, with fog of war.
+// Drawn on a HUD canvas on desktop and on a plane in front of
+// the camera in VR; M (or gazing at the VR map) toggles the full map.
+// ========================================
+
+const MINIMAP_COLORS = {
+  fog: "rgba(10, 10, 20, 0.9)",
+  wall: "#555555",
+  floor: "#DDDDDD",
+  stairs: "#8B7355",
+  barrier: "#A0785A",
+  gate: "#00BCD4",
+  treasure: "#FFD700",
+  me: "#40E0D0",
+};
+
+class MinimapManager {
+  constructor(gameState) {
+    this.gameState = gameState;
+    this.camera = null;
+    this.canvas = null; // HUD minimap, also the VR plane texture
+    this.fullCanvas = null;
+    this.fullMap = null;
+    this.vrPlane = null;
+    this.updateInterval = null;
+    this.explored = []; // explored[level][z][x] - cells revealed so far
+    this.fullMapOpen = false;
+
+    eventBus.on("maze:loaded", ({ levels }) => this.resetFog(levels));
+    eventBus.on("player:level", () => {
+      if (this.updateInterval) this.update();
+    });
+
+    gamePhase.onEnter("countdown", () => this.start());
+    gamePhase.onEnter("playing", (previous) => {
+      // Resumed straight into a running match
+      if (previous === "waiting") this.start();
+    });
+    gamePhase.onEnter("finished", () => this.stop());
+  }
+
+  // ========================================
+  // INITIALIZATION
+  // ========================================
+
+  init() {
+    this.canvas = document.getElementById("minimap");
+    this.fullCanvas = document.getElementById("fullMapCanvas");
+    this.fullMap = document.getElementById("fullMap");
+
+    if (!this.canvas) {
+      Utils.logError("❌ Minimap canvas not found");
+      return;
+    }
+
+    this.canvas.width = CONFIG.MINIMAP_SIZE;
+    this.canvas.height = CONFIG.MINIMAP_SIZE;
+
+    document.addEventListener("keydown", (e) => {
+      if (e.key.toLowerCase() !== "m" || !gamePhase.inGame()) return;
+      if (e.target.tagName === "INPUT") return;
+      this.toggleFullMap();
+    });
+
+    if (this.fullMap) {
+      this.fullMap.addEventListener("click", () => this.toggleFullMap());
+    }
+
+    Utils.logInfo("✅ MinimapManager initialized");
+  }
+
+  /**
+   * Show the minimap and start following the camera
+   */
+  start() {
+    if (!this.canvas) return;
+
+    this.camera = document.querySelector("[camera]");
+    this.createVRPlane();
+    this.canvas.classList.remove("hidden");
+
+    this.stop();
+    this.updateInterval = setInterval(() => this.update(), CONFIG.MINIMAP_UPDATE_INTERVAL);
+    this.update();
+
+    Utils.logInfo("🗺️ Minimap started");
+  }
+
+  stop() {
+    if (this.updateInterval) {
+      clearInterval(this.updateInterval);
+      this.updateInterval = null;
+    }
+    if (this.fullMapOpen) this.toggleFullMap();
+  }
+
+  /**
+   * Map plane parented to the camera, shown only in VR. It is
+   * .clickable, so gazing at it toggles the full map.
+   */
+  createVRPlane() {
+    if (this.vrPlane || !this.camera) return;
+
+    const plane = document.createElement("a-plane");
+    plane.setAttribute("id", "minimap-vr");
+    plane.setAttribute("class", "clickable");
+    plane.setAttribute("width", "0.3");
+    plane.setAttribute("height", "0.3");
+    plane.setAttribute("position", "-0.35 -0.25 -0.8");
+    plane.setAttribute("material", "shader: flat; src: #minimap; transparent: true; opacity: 0.85");
+    plane.setAttribute("visible", "false");
+    plane.addEventListener("click", () => this.toggleFullMap());
+    this.camera.appendChild(plane);
+    this.vrPlane = plane;
+
+    const scene = document.querySelector("a-scene");
+    if (scene) {
+      scene.addEventListener("enter-vr", () => plane.setAttribute("visible", "true"));
+      scene.addEventListener("exit-vr", () => plane.setAttribute("visible", "false"));
+      if (scene.is("vr-mode")) plane.setAttribute("visible", "true");
+    }
+  }
+
+  // ========================================
+  // FOG OF WAR
+  // ========================================
+
+  /**
+   * @param {array} levels - Grids of the new maze; everything starts hidden
+   */
+  resetFog(levels) {
+    this.explored = levels.map((grid) => grid.map((row) => new Array(row.length).fill(false)));
+  }
+
+  /**
+   * Reveal the floor reachable within MINIMAP_REVEAL_RADIUS steps
+   * and the walls around it
+   * @param {number} gridX
+   * @param {number} gridZ
+   * @param {number} level
+   */
+  reveal(gridX, gridZ, level) {
+    const maze = this.gameState.getLevel(level);
+    const explored = this.explored[level];
+    if (!explored || !maze[gridZ] || maze[gridZ][gridX] === undefined || maze[gridZ][gridX] === 1) return;
+
+    const steps = { [`${gridX},${gridZ}`]: 0 };
+    const queue = [{ x: gridX, z: gridZ }];
+
+    for (let head = 0; head < queue.length; head++) {
+      const { x, z } = queue[head];
+      const distance = steps[`${x},${z}`];
+
+      for (let dz = -1; dz <= 1; dz++) {
+        for (let dx = -1; dx <= 1; dx++) {
+          if (explored[z + dz] && explored[z + dz][x + dx] !== undefined) {
+            explored[z + dz][x + dx] = true;
+          }
+        }
+      }
+
+      if (distance >= CONFIG.MINIMAP_REVEAL_RADIUS) continue;
+
+      [[1, 0], [-1, 0], [0, 1], [0, -1]].forEach(([dx, dz]) => {
+        const key = `${x + dx},${z + dz}`;
+        const cell = maze[z + dz] && maze[z + dz][x + dx];
+        if (cell !== undefined && cell !== 1 && steps[key] === undefined) {
+          steps[key] = distance + 1;
+          queue.push({ x: x + dx, z: z + dz });
+        }
+      });
+    }
+  }
+
+  /**
+   * Reveal a whole level at once (relic effect)
+   * @param {number} level
+   */
+  revealLevel(level) {
+    const explored = this.explored[level];
+    if (!explored) return;
+
+    explored.forEach((row) => row.fill(true));
+    Utils.logInfo(`🗺️ Map level ${level} revealed`);
+  }
+
+  isExplored(x, z, level = 0) {
+    const row = this.explored[level] && this.explored[level][Math.floor(z)];
+    return !!row && !!row[Math.floor(x)];
+  }
+
+  // ========================================
+  // DRAWING
+  // ========================================
+
+  update() {
+    const levels = this.gameState.levels;
+    if (!this.camera || levels.length === 0 || levels[0].length === 0) return;
+    if (this.explored.length !== levels.length || this.explored[0].length !== levels[0].length) {
+      this.resetFog(levels);
+    }
+
+    const level = this.gameState.getMyLevel();
+    const position = this.camera.object3D.getWorldPosition(new THREE.Vector3());
+    const { gridX, gridZ } = coordinateUtils.worldToGrid(position.x, position.z);
+    this.reveal(gridX, gridZ, level);
+
+    const { offsetX, offsetZ } = coordinateUtils.calculateOffset();
+    const me = {
+      x: (position.x + offsetX) / this.gameState.cellSize,
+      z: (position.z + offsetZ) / this.gameState.cellSize,
+      level: level,
+      yaw: this.camera.object3D.rotation.y,
+    };
+
+    this.draw(this.canvas, me);
+    if (this.fullMapOpen && this.fullCanvas) this.draw(this.fullCanvas, me);
+
+    // Canvas textures are not re-uploaded on their own
+    const mesh = this.vrPlane && this.vrPlane.getObject3D("mesh");
+    if (mesh && mesh.material.map) mesh.material.map.needsUpdate = true;
+  }
+
+  /**
+   * @param {HTMLCanvasElement} canvas
+   * @param {object} me - {x, z} in grid units, level, yaw in radians
+   */
+  draw(canvas, me) {
+    const maze = this.gameState.getLevel(me.level);
+    const explored = this.explored[me.level];
+    const settings = this.gameState.settings;
+    const ctx = canvas.getContext("2d");
+    const cell = canvas.width / Math.max(maze.length, maze[0].length);
+
+    ctx.clearRect(0, 0, canvas.width, canvas.height);
+
+    for (let z = 0; z < maze.length; z++) {
+      for (let x = 0; x < maze[z].length; x++) {
+        if (!explored[z][x]) {
+          ctx.fillStyle = MINIMAP_COLORS.fog;
+        } else if (maze[z][x] === 1) {
+          ctx.fillStyle = MINIMAP_COLORS.wall;
+        } else {
+          ctx.fillStyle = maze[z][x] === 0 ? MINIMAP_COLORS.floor : MINIMAP_COLORS.stairs;
+        }
+        ctx.fillRect(x * cell, z * cell, Math.ceil(cell), Math.ceil(cell));
+      }
+    }
+
+    const dot = (x, z, color, radius) => {
+      ctx.fillStyle = color;
+      ctx.beginPath();
+      ctx.arc(x * cell, z * cell, radius, 0, Math.PI * 2);
+      ctx.fill();
+    };
+
+    this.drawElements(ctx, me, cell, dot);
+
+    if (settings.mapTreasures) {
+      this.gameState.treasures
+        .filter((t) => !t.collected && (t.level || 0) === me.level && this.isExplored(t.x, t.z, me.level))
+        .forEach((t) => {
+          // Chests and the relic keep their own colour so they stand out
+          const color = t.type && t.type !== CONFIG.DEFAULT_TREASURE_TYPE
+            ? this.gameState.getTreasureType(t).color
+            : MINIMAP_COLORS.treasure;
+          dot(t.x, t.z, color, Math.max(2, cell * 0.3));
+        });
+    }
+
+    if (settings.mapOpponents) {
+      Object.values(this.gameState.players)
+        .filter((p) => p.id !== this.gameState.myPlayerId && p.connected !== false)
+        .filter((p) => (p.level || 0) === me.level && Number.isFinite(p.x) && this.isExplored(p.x, p.z, me.level))
+        .forEach((p) => dot(p.x, p.z, this.getPlayerColor(p.id), Math.max(3, cell * 0.4)));
+    }
+
+    this.drawMe(ctx, me, cell);
+  }
+
+  /**
+   * Closed doors and barriers fill their cell, gates get a line
+   * across the way they cannot be crossed, loose keys a dot
+   */
+  drawElements(ctx, me, cell, dot) {
+    const { DOOR, KEY, BARRIER, GATE } = MazeElements.TYPES;
+    const keyColor = (element) => CONFIG.KEY_COLORS[element.color % CONFIG.KEY_COLORS.length].color;
+
+    (this.gameState.elements || [])
+      .filter((e) => (e.level || 0) === me.level && this.isExplored(e.x, e.z, me.level))
+      .forEach((element) => {
+        const left = Math.floor(element.x) * cell;
+        const top = Math.floor(element.z) * cell;
+
+        if ((element.type === DOOR || element.type === BARRIER) && !element.open) {
+          ctx.fillStyle = element.type === DOOR ? keyColor(element) : MINIMAP_COLORS.barrier;
+          ctx.fillRect(left, top, Math.ceil(cell), Math.ceil(cell));
+        } else if (element.type === GATE) {
+          // Drawn on the side the gate lets players out of
+          ctx.fillStyle = MINIMAP_COLORS.gate;
+          const thickness = Math.max(1, cell * 0.2);
+          if (element.dx !== 0) {
+            ctx.fillRect(element.dx > 0 ? left + cell - thickness : left, top, thickness, Math.ceil(cell));
+          } else {
+            ctx.fillRect(left, element.dz > 0 ? top + cell - thickness : top, Math.ceil(cell), thickness);
+          }
+        } else if (element.type === KEY && !element.heldBy) {
+          dot(element.x, element.z, keyColor(element), Math.max(2, cell * 0.25));
+        }
+      });
+  }
+
+  /**
+   * Arrow pointing where the camera looks (yaw 0 faces -z, up on the map)
+   */
+  drawMe(ctx, me, cell) {
+    const size = Math.max(5, cell * 0.6);
+
+    ctx.save();
+    ctx.translate(me.x * cell, me.z * cell);
+    ctx.rotate(-me.yaw);
+    ctx.fillStyle = MINIMAP_COLORS.me;
+    ctx.beginPath();
+    ctx.moveTo(0, -size);
+    ctx.lineTo(size * 0.7, size * 0.7);
+    ctx.lineTo(-size * 0.7, size * 0.7);
+    ctx.closePath();
+    ctx.fill();
+    ctx.restore();
+  }
+
+  getPlayerColor(playerId) {
+    const colorIdx = window.playerManager ? playerManager.getPlayerColorIndex(playerId) : 0;
+    return CONFIG.PLAYER_COLORS[colorIdx % CONFIG.PLAYER_COLORS.length];
+  }
+
+  // ========================================
+  // FULL MAP
+  // ========================================
+
+  toggleFullMap() {
+    this.fullMapOpen = !this.fullMapOpen;
+
+    if (this.fullMap) this.fullMap.classList.toggle("hidden", !this.fullMapOpen);
+
+    // In VR the plane moves to the middle of the view and grows
+    if (this.vrPlane) {
+      this.vrPlane.setAttribute("position", this.fullMapOpen ? "0 0 -0.8" : "-0.35 -0.25 -0.8");
+      this.vrPlane.setAttribute("width", this.fullMapOpen ? "0.7" : "0.3");
+      this.vrPlane.setAttribute("height", this.fullMapOpen ? "0.7" : "0.3");
+    }
+
+    if (this.fullMapOpen) this.update();
+  }
+}
+
+// Create singleton instance
+const minimapManager = new MinimapManager(gameState);
+
+// Expose globally
+window.minimapManager = minimapManager;
+window.MinimapManager = MinimapManager;
@@ -25,6 +25,25 @@ class PlayerManager {
     this.camera = null;
     this.rotationUpdateInterval = null;
     this.lastCameraRotation = 0;
+    
+    // Remote player snapshots {time, x, z, rotation}
+    this.snapshots = {};
+    this.interpolationLoopId = null;
+    
+    this.subscribe();
+  }
+
+  /**
+   * Keep avatars in step with the player list
+   */
+  subscribe() {
+    eventBus.on("players:changed", ({ removed }) => {
+      removed.forEach((playerId) => this.removePlayerEntity(playerId));
+      
+      if (gamePhase.inGame()) {
+        this.updatePlayerEntities();
+      }
+    });
   }
 
   // ========================================
@@ -145,7 +164,7 @@ class PlayerManager {
     }
     
     this.rotationUpdateInterval = setInterval(() => {
-      if (!this.gameState.gameStarted || !this.gameState.myPlayerId) return;
+      if (!gamePhase.is("playing") || !this.gameState.myPlayerId) return;
       
       const cameraRotation = this.camera.getAttribute('rotation');
       if (!cameraRotation) return;
@@ -188,6 +207,130 @@ class PlayerManager {
     }
   }
 
+  // ========================================
+  // REMOTE PLAYER INTERPOLATION
+  // ========================================
+
+  /**
+   * Buffer an authoritative position for a remote player
+   * @param {string} playerId
+   * @param {number} x - Grid X
+   * @param {number} z - Grid Z
+   * @param {number} rotation - Yaw in degrees
+   */
+  addSnapshot(playerId, x, z, rotation) {
+    if (!document.getElementById(`player-${playerId}`)) {
+      this.updatePlayerEntity(playerId);
+    }
+    
+    const buffer = this.snapshots[playerId] || (this.snapshots[playerId] = []);
+    buffer.push({ time: performance.now(), x, z, rotation: rotation || 0 });
+    
+    if (buffer.length > CONFIG.SNAPSHOT_BUFFER_SIZE) {
+      buffer.shift();
+    }
+  }
+
+  /**
+   * Start rendering remote players from their snapshot buffers
+   */
+  startInterpolation() {
+    this.stopInterpolation();
+    
+    const loop = () => {
+      if (gamePhase.inGame()) {
+        this.renderRemotePlayers(performance.now() - CONFIG.INTERPOLATION_DELAY);
+      }
+      this.interpolationLoopId = requestAnimationFrame(loop);
+    };
+    
+    this.interpolationLoopId = requestAnimationFrame(loop);
+    Utils.logInfo("🔄 Remote player interpolation started");
+  }
+
+  /**
+   * Stop the interpolation loop
+   */
+  stopInterpolation() {
+    if (this.interpolationLoopId) {
+      cancelAnimationFrame(this.interpolationLoopId);
+      this.interpolationLoopId = null;
+    }
+  }
+
+  /**
+   * Place every remote player where it was at renderTime
+   * @param {number} renderTime - performance.now() based timestamp
+   */
+  renderRemotePlayers(renderTime) {
+    Object.keys(this.snapshots).forEach((playerId) => {
+      if (playerId === this.gameState.myPlayerId) return;
+      
+      const state = this.sampleSnapshots(this.snapshots[playerId], renderTime);
+      const playerEl = document.getElementById(`player-${playerId}`);
+      if (!state || !playerEl) return;
+      
+      const { worldX, worldZ } = this.coordinateUtils.gridToWorld(state.x, state.z);
+      const player = this.gameState.players[playerId];
+      const levelY = this.coordinateUtils.levelToWorldY(player && player.level);
+      playerEl.object3D.position.set(worldX, 0.8 + levelY, worldZ);
+      
+      const modelRotation = (state.rotation + 180) % 360;
+      playerEl.object3D.rotation.set(0, THREE.MathUtils.degToRad(modelRotation), 0);
+    });
+  }
+
+  /**
+   * Interpolate between the snapshots around renderTime, or
+   * extrapolate from the last two for a short while when late
+   * @param {array} buffer - Snapshots ordered by time
+   * @param {number} renderTime
+   * @returns {object|null} - {x, z, rotation}
+   */
+  sampleSnapshots(buffer, renderTime) {
+    if (!buffer || buffer.length === 0) return null;
+    
+    const first = buffer[0];
+    if (buffer.length === 1 || renderTime <= first.time) {
+      return first;
+    }
+    
+    for (let i = buffer.length - 1; i > 0; i--) {
+      const from = buffer[i - 1];
+      const to = buffer[i];
+      if (renderTime >= from.time && renderTime <= to.time) {
+        return this.lerpSnapshot(from, to, (renderTime - from.time) / (to.time - from.time));
+      }
+    }
+    
+    // Past the newest snapshot - keep the last velocity for a little while
+    const from = buffer[buffer.length - 2];
+    const to = buffer[buffer.length - 1];
+    const late = renderTime - to.time;
+    if (late > CONFIG.EXTRAPOLATION_LIMIT || to.time === from.time) {
+      return to;
+    }
+    
+    return this.lerpSnapshot(from, to, 1 + late / (to.time - from.time));
+  }
+
+  /**
+   * Blend two snapshots, taking the short way round for yaw
+   * @param {object} from
+   * @param {object} to
+   * @param {number} t - 0..1 interpolates, > 1 extrapolates
+   * @returns {object} - {x, z, rotation}
+   */
+  lerpSnapshot(from, to, t) {
+    const turn = ((to.rotation - from.rotation + 540) % 360) - 180;
+    
+    return {
+      x: from.x + (to.x - from.x) * t,
+      z: from.z + (to.z - from.z) * t,
+      rotation: from.rotation + turn * Math.min(t, 1),
+    };
+  }
+
   // ========================================
   // PLAYER COLORS
   // ========================================
@@ -260,8 +403,18 @@ class PlayerManager {
       this.updatePlayerLabel(playerId);
     }
 
+    // Remote players are placed by the interpolation loop once their
+    // buffer exists; the first call seeds it with the current position
+    if (playerId !== this.gameState.myPlayerId) {
+      if (this.snapshots[playerId]) return;
+      this.snapshots[playerId] = [
+        { time: performance.now(), x: player.x, z: player.z, rotation: player.rotation || 0 },
+      ];
+    }
+
     // Update position
     const { worldX, worldZ } = this.coordinateUtils.gridToWorld(player.x, player.z);
+    const y = 0.8 + this.coordinateUtils.levelToWorldY(player.level);
     
     const currentPos = playerEl.getAttribute('position');
     if (currentPos) {
@@ -271,14 +424,14 @@ class PlayerManager {
       if (Math.abs(oldX - worldX) > 0.01 || Math.abs(oldZ - worldZ) > 0.01) {
         playerEl.setAttribute('animation__move', {
           property: 'position',
-          from: `${oldX} 0.8 ${oldZ}`,
-          to: `${worldX} 0.8 ${worldZ}`,
+          from: `${oldX} ${currentPos.y} ${oldZ}`,
+          to: `${worldX} ${y} ${worldZ}`,
           dur: 150,
           easing: 'easeOutQuad'
         });
       }
     } else {
-      playerEl.setAttribute('position', `${worldX} 0.8 ${worldZ}`);
+      playerEl.setAttribute('position', `${worldX} ${y} ${worldZ}`);
     }
 
     // Update rotation (skip for my own player - handled by camera sync)
@@ -387,6 +540,8 @@ class PlayerManager {
     if (this.playerColorMap[playerId] !== undefined) {
       delete this.playerColorMap[playerId];
     }
+    
+    delete this.snapshots[playerId];
   }
 
   // ========================================
@@ -14,9 +14,25 @@ class TreasureManager {
     this.treasuresContainer = null;
     this.collectSound = null;
     
+    this.subscribe();
+    
     Utils.logInfo("💎 TreasureManager initialized");
   }
 
+  /**
+   * Follow treasure changes in gameState
+   */
+  subscribe() {
+    eventBus.on("treasure:collected", (data) => this.handleTreasureCollected(data));
+    
+    eventBus.on("treasures:loaded", ({ treasures }) => {
+      if (!gamePhase.inGame()) return;
+      
+      const me = gameState.players[gameState.myPlayerId];
+      this.resync(treasures, me ? me.treasures : 0);
+    });
+  }
+
   // ========================================
   // INITIALIZATION
   // ========================================
@@ -122,6 +138,20 @@ class TreasureManager {
     Utils.logInfo(`📊 Treasures: ${availableCount} available, ${collectedCount} collected`);
   }
 
+  /**
+   * Replace local treasure state with the server's after a resume
+   * @param {Array} treasuresData - Treasures with collected flags
+   * @param {number} myCount - Treasures collected by this player
+   */
+  resync(treasuresData, myCount) {
+    this.setTreasures(treasuresData);
+    this.renderTreasures();
+    
+    this.myTreasureCount = myCount || 0;
+    gameState.myTreasureCount = this.myTreasureCount;
+    this.updateTreasureCountUI();
+  }
+
   /**
    * Get treasure by ID
    * @param {string} treasureId
@@ -217,55 +247,12 @@ class TreasureManager {
   }
 
   /**
-   * Render a single treasure
+   * Render a single treasure (through MazeManager, which also draws
+   * the editor preview)
    * @param {object} treasure
    */
   renderTreasure(treasure) {
-    // Use EXACT SAME calculation as walls
-    const cellSize = gameState.cellSize;
-    const mazeSize = gameState.maze ? gameState.maze.length : 25;
-    const offsetX = (mazeSize * cellSize) / 2;
-    const offsetZ = (mazeSize * cellSize) / 2;
-
-    // Treasures come as grid coordinates
-    const worldX = treasure.x * cellSize - offsetX;
-    const worldZ = treasure.z * cellSize - offsetZ;
-
-    const treasureEl = document.createElement('a-octahedron');
-    
-    treasureEl.setAttribute('id', treasure.id);
-    treasureEl.setAttribute('position', `${worldX} 1.8 ${worldZ}`);
-    treasureEl.setAttribute('radius', '0.5');
-    treasureEl.setAttribute('color', '#FFFF00');
-    treasureEl.setAttribute('metalness', '0.2');
-    treasureEl.setAttribute('roughness', '0.8');
-    treasureEl.setAttribute('emissive', '#FFFF00');
-    treasureEl.setAttribute('emissiveIntensity', '0.8');
-    treasureEl.setAttribute('class', 'treasure');
-    treasureEl.setAttribute('shadow', 'cast: true');
-    
-    // Rotation animation
-    treasureEl.setAttribute('animation', {
-      property: 'rotation',
-      to: '0 360 0',
-      loop: true,
-      dur: 3000,
-      easing: 'linear'
-    });
-    
-    // Hover animation (up and down)
-    treasureEl.setAttribute('animation__hover', {
-      property: 'position',
-      to: `${worldX} 2.2 ${worldZ}`,
-      dir: 'alternate',
-      loop: true,
-      dur: 1000,
-      easing: 'easeInOutSine'
-    });
-    
-    this.treasuresContainer.appendChild(treasureEl);
-    
-    Utils.logDebug(`✨ Rendered treasure ${treasure.id} at (${treasure.x}, ${treasure.z}) -> world (${worldX}, ${worldZ})`);
+    mazeManager.renderTreasure(treasure, gameState.maze, this.treasuresContainer);
   }
 
   /**
@@ -314,7 +301,7 @@ class TreasureManager {
  * Check proximity to treasures and auto-collect
  */
   checkProximity() {
-    if (!gameState.gameStarted) return;
+    if (!gamePhase.is("playing")) return;
     if (!gameState.myPlayerId) return;
     
     const myPlayer = gameState.players[gameState.myPlayerId];
@@ -351,9 +338,11 @@ class TreasureManager {
    * Calculate distance between player and treasure
    * @param {object} player - Player with x, z coordinates
    * @param {object} treasure - Treasure with x, z coordinates
-   * @returns {number}
+   * @returns {number} - Infinity when they are on different levels
    */
   calculateDistance(player, treasure) {
+    if ((player.level || 0) !== (treasure.level || 0)) return Infinity;
+    
     const dx = Math.abs(player.x - treasure.x);
     const dz = Math.abs(player.z - treasure.z);
     return Math.sqrt(dx * dx + dz * dz);
@@ -390,24 +379,16 @@ class TreasureManager {
       return;
     }
     
-    if (!socket.isConnected || !socket.isConnected()) {
-      Utils.logError("❌ Cannot collect - not connected to server");
-      treasure.collected = false; // Reverte
-      return;
-    }
-    
-    // Send collection event to server
-    const sent = socket.emit("collect_treasure", {
+    // Send collection event to server (queued through short disconnects);
+    // treasure_collected itself is handled by handleTreasureCollected
+    socket.request("collect_treasure", {
       playerId: gameState.myPlayerId,
       treasureId: treasureId
+    }, { expect: ["treasure_collected"] }).catch((err) => {
+      Utils.logError(`❌ collect_treasure failed: ${err.message}`);
+      this.handleCollectRejected({ treasureId, reason: err.reason || "not_delivered" });
     });
     
-    if (!sent) {
-      Utils.logError("❌ Failed to send collect_treasure message");
-      treasure.collected = false; // Reverte
-      return;
-    }
-    
     Utils.logInfo(`✅ Collection request sent for ${treasureId}`);
     
     // Remove do DOM imediatamente
@@ -418,28 +399,24 @@ class TreasureManager {
   }
 
   /**
- * Handle treasure collection confirmation from server
- * @param {object} data - Server response {treasureId, playerId, treasures}
+ * Handle a treasure:collected from gameState (which already
+ * marked the treasure and updated the collector's score)
+ * @param {object} data - {treasureId, playerId}
  */
   handleTreasureCollected(data) {
     Utils.logInfo("💎 Treasure collected event received:", data);
     
     const treasureId = data.treasureId;
     const playerId = data.playerId;
-    
-    // Mark as collected locally
-    const treasure = this.getTreasure(treasureId);
-    if (treasure) {
-      treasure.collected = true;
-      treasure.collectedBy = playerId;
-    }
+    const treasure = this.getTreasure(treasureId) || gameState.treasures.find(t => t.id === treasureId);
+    const type = gameState.getTreasureType(treasure);
     
     // Remove from scene (se ainda não foi removido)
     this.removeTreasureFromScene(treasureId);
     
     // If I collected it
     if (playerId === gameState.myPlayerId) {
-      this.myTreasureCount++;
+      this.myTreasureCount = gameState.myTreasureCount;
       
       Utils.logInfo(`📊 My treasure count: ${this.myTreasureCount}/${this.treasures.length}`);
       
@@ -447,25 +424,59 @@ class TreasureManager {
       this.updateTreasureCountUI();
       
       // Show feedback
-      this.showCollectionFeedback();
+      this.showCollectionFeedback(type);
       
       // Play sound
       this.playCollectSound();
+      
+      if (type.effect) {
+        this.applyEffect(type, treasure);
+      }
     }
+  }
+
+  /**
+   * Apply the effect of a treasure to the local player
+   * @param {object} type - Catalogue entry with an effect
+   * @param {object} treasure
+   */
+  applyEffect(type, treasure) {
+    Utils.logInfo(`✨ Treasure effect: ${type.effect}`);
     
-    // Update player's treasure count
-    if (gameState.players[playerId]) {
-      const newCount = data.treasures !== undefined ? data.treasures : (gameState.players[playerId].treasures || 0) + 1;
-      gameState.players[playerId].treasures = newCount;
-      
-      Utils.logInfo(`📊 ${gameState.players[playerId].name} now has ${newCount} treasures`);
+    if (type.effect === 'reveal_map') {
+      if (window.minimapManager) {
+        minimapManager.revealLevel(treasure ? treasure.level || 0 : gameState.getMyLevel());
+      }
+      if (window.uiManager) {
+        uiManager.showFloatingText('🗺️ Mapa revelado!', type.color);
+      }
+      return;
     }
     
-    // ATUALIZAR LEADERBOARD (CRÍTICO!)
-    if (window.uiManager) {
-      uiManager.updateLeaderboard();
-      Utils.logInfo("✅ Leaderboard updated");
+    Utils.logWarn(`⚠️ Unknown treasure effect: ${type.effect}`);
+  }
+
+  /**
+   * Handle collect_treasure rejected by the server
+   * @param {object} data - {treasureId, reason}
+   */
+  handleCollectRejected(data) {
+    Utils.logWarn(`🚫 Collection of ${data.treasureId} rejected: ${data.reason}`);
+    
+    // Someone else got there first - treasure_collected will follow
+    if (data.reason === "already_collected") return;
+    
+    const treasure = this.getTreasure(data.treasureId);
+    if (!treasure || !treasure.collected) return;
+    
+    // Put it back in the scene
+    treasure.collected = false;
+    
+    const staleEl = document.getElementById(treasure.id);
+    if (staleEl && staleEl.parentNode) {
+      staleEl.parentNode.removeChild(staleEl);
     }
+    this.renderTreasure(treasure);
   }
 
   // ========================================
@@ -473,7 +484,7 @@ class TreasureManager {
   // ========================================
 
   /**
-   * Update treasure count in UI
+   * Update treasure count and points in UI
    */
   updateTreasureCountUI() {
     const treasureCountEl = document.getElementById('treasureCount');
@@ -485,12 +496,19 @@ class TreasureManager {
     } else {
       Utils.logWarn("⚠️ Treasure count element not found");
     }
+    
+    const pointCountEl = document.getElementById('pointCount');
+    if (pointCountEl) {
+      const me = gameState.players[gameState.myPlayerId];
+      pointCountEl.textContent = `${me ? me.points || 0 : 0}`;
+    }
   }
 
   /**
    * Show visual feedback when collecting treasure
+   * @param {object} type - Catalogue entry of the collected treasure
    */
-  showCollectionFeedback() {
+  showCollectionFeedback(type = gameState.getTreasureType(null)) {
     const feedback = document.createElement('div');
     feedback.style.cssText = `
       position: fixed;
@@ -499,13 +517,13 @@ class TreasureManager {
       transform: translate(-50%, -50%);
       font-size: 48px;
       font-weight: bold;
-      color: #FFD700;
-      text-shadow: 0 0 20px rgba(255, 215, 0, 0.8);
+      color: ${type.color};
+      text-shadow: 0 0 20px ${type.color};
       animation: collectFeedback 1s ease-out;
       pointer-events: none;
       z-index: 10000;
     `;
-    feedback.textContent = '💎 +1 Tesouro!';
+    feedback.textContent = `💎 ${type.name} +${type.points} ${type.points === 1 ? 'ponto' : 'pontos'}!`;
     
     document.body.appendChild(feedback);
     
@@ -3,6 +3,53 @@ class UIManager {
   constructor() {
     this.elements = null;
     this.initialized = false;
+    this.connectionStatus = null;
+    
+    this.subscribe();
+  }
+
+  /**
+   * Redraw lobby and HUD from gameState changes and switch
+   * screens with the game phase
+   */
+  subscribe() {
+    eventBus.on("players:changed", () => {
+      this.updatePlayerList();
+      
+      if (gamePhase.inGame()) {
+        this.updateLeaderboard();
+        return;
+      }
+      
+      // Sync my ready button
+      const myPlayer = gameState.players[gameState.myPlayerId];
+      if (myPlayer) {
+        this.updateReadyButton(myPlayer.ready);
+      }
+    });
+    
+    eventBus.on("treasure:collected", () => this.updateLeaderboard());
+    eventBus.on("treasures:loaded", () => this.updateLeaderboard());
+    eventBus.on("maze:loaded", ({ mazeInfo }) => this.showMazeInfo(mazeInfo));
+    eventBus.on("element:changed", ({ element, playerId }) => {
+      if (playerId === gameState.myPlayerId) this.showElementFeedback(element);
+    });
+    eventBus.on("maze:shifting", () => {
+      this.showFloatingText("⚠️ O labirinto vai mudar!", CONFIG.SHIFT_WARNING_COLOR);
+    });
+    
+    gamePhase.onEnter("lobby", () => this.showLobbyScreen());
+    gamePhase.onEnter("waiting", () => this.showWaitingRoom(gameState.room));
+    
+    gamePhase.onEnter("countdown", () => {
+      this.showGameScreen();
+      this.showCountdown();
+    });
+    
+    gamePhase.onEnter("playing", (previous) => {
+      // Resumed straight into a running match
+      if (previous === "waiting") this.showGameScreen();
+    });
   }
 
   init() {
@@ -23,7 +70,9 @@ class UIManager {
       playerList: document.getElementById("playerList"),
       leaderboardList: document.getElementById("leaderboardList"),
       treasureCount: document.getElementById("treasureCount"),
+      pointCount: document.getElementById("pointCount"),
       timer: document.getElementById("timer"),
+      networkQuality: document.getElementById("networkQuality"),
       countdown: document.getElementById("countdown"),
       roomCodeDisplay: document.getElementById("roomCodeDisplay"),
       roomCode: document.getElementById("roomCode"),
@@ -117,6 +166,17 @@ class UIManager {
     Utils.logInfo("✅ All lobby elements hidden, game scene visible");
   }
 
+  /**
+   * Swap the lobby for the 3D scene
+   */
+  showGameScreen() {
+    // Hide status indicator
+    const statusEl = document.getElementById("connectionStatus");
+    if (statusEl) statusEl.classList.add("hidden");
+    
+    this.hideLobby();
+  }
+
   showWaitingRoom(roomCode) {
     Utils.logInfo("🚪 Showing waiting room with code:", roomCode);
     
@@ -149,13 +209,118 @@ class UIManager {
     Utils.logInfo("✅ Waiting room display complete");
   }
 
-  updateConnectionStatus(status) {
+  /**
+   * Show maze algorithm, size, seed and treasure fairness in the
+   * waiting room so good mazes can be replayed
+   * @param {object|null} mazeInfo - {algorithm, size, seed, fairness};
+   *   uploaded mazes have width/height instead of size and no seed
+   */
+  showMazeInfo(mazeInfo) {
+    const mazeInfoEl = document.getElementById("mazeInfo");
+    if (!mazeInfoEl) return;
+    
+    if (!mazeInfo) {
+      mazeInfoEl.textContent = "";
+      return;
+    }
+    
+    const algorithms = window.MazeGenerator ? MazeGenerator.ALGORITHMS : {};
+    const algorithmName = mazeInfo.algorithm === "custom"
+      ? "Personalizado"
+      : algorithms[mazeInfo.algorithm] || mazeInfo.algorithm;
+    let text = mazeInfo.width
+      ? `🗺️ ${algorithmName} • ${mazeInfo.width}×${mazeInfo.height}`
+      : `🗺️ ${algorithmName} • ${mazeInfo.size}×${mazeInfo.size}`;
+    if (mazeInfo.floors > 1) text += ` • ${mazeInfo.floors} andares`;
+    if (mazeInfo.shifting) text += " • Mutante";
+    if (mazeInfo.seed) text += ` • Semente: ${mazeInfo.seed}`;
+    
+    // Treasure placement fairness reported by the server
+    const fairness = mazeInfo.fairness;
+    if (fairness) {
+      text += `\n⚖️ Equilíbrio: ${fairness.fairness}% • Distância mínima entre tesouros: ${fairness.minSpacing}`;
+      mazeInfoEl.title = fairness.spawns
+        .map((spawn, idx) => `Início ${idx + 1}: tesouro mais próximo a ${spawn.nearest} passos, média ${spawn.averageNearest}`)
+        .join("\n");
+    }
+    
+    mazeInfoEl.textContent = text;
+  }
+
+  /**
+   * @param {string} status - "connected", "stale" or "disconnected"
+   * @param {object} stats - Heartbeat {rtt, jitter, quality, stale}, optional
+   */
+  updateConnectionStatus(status, stats) {
     const statusEl = document.getElementById("connectionStatus");
-    if (statusEl) {
+    
+    // Only touch the banner on changes; it is hidden during a match
+    if (statusEl && status !== this.connectionStatus) {
       statusEl.textContent =
-        status === "connected" ? "🟢 Conectado" : "🔴 Desconectado";
-      statusEl.className = `status ${status}`;
+        status === "connected" ? "🟢 Conectado"
+          : status === "stale" ? "🟠 Conexão instável"
+          : "🔴 Desconectado";
+      // Swap only the status classes so a hidden banner stays hidden
+      statusEl.classList.remove("status-connecting", "connected", "stale", "disconnected");
+      statusEl.classList.add("status", status);
+    }
+    this.connectionStatus = status;
+    
+    this.updateNetworkQuality(status, stats);
+  }
+
+  /**
+   * Small latency indicator in the HUD
+   * @param {string} status
+   * @param {object} stats - {rtt, jitter, quality}
+   */
+  updateNetworkQuality(status, stats) {
+    const el = this.elements && this.elements.networkQuality;
+    if (!el) return;
+    
+    if (status === "disconnected") {
+      el.textContent = "🔴 offline";
+      el.className = "network-quality poor";
+      return;
     }
+    if (!stats || stats.rtt === null) return;
+    
+    const icons = { good: "🟢", fair: "🟡", poor: "🔴" };
+    const quality = status === "stale" ? "stale" : stats.quality;
+    
+    el.textContent = `${icons[stats.quality] || "⚪"} ${Math.round(stats.rtt)} ms`;
+    el.title = `Latência ${Math.round(stats.rtt)} ms, jitter ${Math.round(stats.jitter)} ms`;
+    el.className = `network-quality ${quality}`;
+  }
+
+  /**
+   * Cover the game while the socket reconnects
+   */
+  showReconnecting() {
+    const overlay = document.getElementById("reconnectOverlay");
+    if (!overlay) return;
+    
+    overlay.querySelector(".reconnect-message").textContent = "Reconectando…";
+    overlay.querySelector("button").style.display = "none";
+    overlay.classList.remove("hidden");
+  }
+
+  hideReconnecting() {
+    const overlay = document.getElementById("reconnectOverlay");
+    if (overlay) overlay.classList.add("hidden");
+  }
+
+  /**
+   * Resume is no longer possible - offer a reload
+   * @param {string} reason
+   */
+  showReconnectFailed(reason) {
+    const overlay = document.getElementById("reconnectOverlay");
+    if (!overlay) return;
+    
+    overlay.querySelector(".reconnect-message").textContent = `Conexão perdida: ${reason}`;
+    overlay.querySelector("button").style.display = "inline-block";
+    overlay.classList.remove("hidden");
   }
 
   updatePlayerList() {
@@ -184,7 +349,7 @@ class UIManager {
       }`;
 
       const nameSpan = document.createElement("span");
-      nameSpan.textContent = player.name;
+      nameSpan.textContent = player.connected === false ? `${player.name} 📴` : player.name;
       item.appendChild(nameSpan);
 
       const isReady = player.ready === true;
@@ -214,7 +379,7 @@ class UIManager {
 
     listEl.innerHTML = "";
     const playerArray = Object.values(gameState.players).sort(
-      (a, b) => (b.treasures || 0) - (a.treasures || 0)
+      (a, b) => (b.points || 0) - (a.points || 0) || (b.treasures || 0) - (a.treasures || 0)
     );
 
     playerArray.forEach((player, idx) => {
@@ -224,11 +389,11 @@ class UIManager {
       const rank =
         idx === 0 ? "🥇" : idx === 1 ? "🥈" : idx === 2 ? "🥉" : `${idx + 1}.`;
       const nameSpan = document.createElement("span");
-      nameSpan.textContent = `${rank} ${player.name}`;
+      nameSpan.textContent = `${rank} ${player.name}${player.connected === false ? " 📴" : ""}`;
 
       const scoreSpan = document.createElement("span");
-      const totalTreasures = gameState.treasures.length;
-      scoreSpan.textContent = `${player.treasures || 0}/${totalTreasures}`;
+      scoreSpan.textContent = `${player.points || 0} pts`;
+      scoreSpan.title = `${player.treasures || 0}/${gameState.treasures.length} tesouros`;
       scoreSpan.style.color =
         CONFIG.PLAYER_COLORS[
           playerArray.indexOf(player) % CONFIG.PLAYER_COLORS.length
@@ -245,14 +410,21 @@ class UIManager {
       const totalTreasures = gameState.treasures.length;
       this.elements.treasureCount.textContent = `${gameState.myTreasureCount}/${totalTreasures}`;
     }
+    if (this.elements.pointCount) {
+      const me = gameState.players[gameState.myPlayerId];
+      this.elements.pointCount.textContent = `${me ? me.points || 0 : 0}`;
+    }
   }
 
+  /**
+   * Show time left until the shared deadline
+   */
   updateTimer() {
-    if (!gameState.gameStarted || !gameState.startTime) return;
+    if (!gamePhase.is("playing") || !gameState.endTime) return;
 
-    const elapsed = Math.floor((Date.now() - gameState.startTime) / 1000);
-    const minutes = Math.floor(elapsed / 60);
-    const seconds = elapsed % 60;
+    const remaining = Math.max(0, Math.ceil((gameState.endTime - Date.now()) / 1000));
+    const minutes = Math.floor(remaining / 60);
+    const seconds = remaining % 60;
 
     if (this.elements.timer) {
       this.elements.timer.textContent = `${minutes}:${seconds
@@ -261,9 +433,20 @@ class UIManager {
     }
   }
 
+  /**
+   * Count down, then let the match start (countdown → playing)
+   */
   showCountdown() {
+    const go = () => {
+      // game_win may have ended the match during the countdown
+      if (gamePhase.is("countdown")) gamePhase.transition("playing");
+    };
+    
     const countdownEl = this.elements.countdown;
-    if (!countdownEl) return;
+    if (!countdownEl) {
+      go();
+      return;
+    }
 
     let count = CONFIG.COUNTDOWN_START;
     countdownEl.style.display = "block";
@@ -275,11 +458,10 @@ class UIManager {
         countdownEl.textContent = count;
       } else if (count === 0) {
         countdownEl.textContent = "VAI!";
+        go();
       } else {
         countdownEl.style.display = "none";
         clearInterval(interval);
-        gameState.gameStarted = true;
-        gameState.startTime = Date.now();
       }
     }, CONFIG.COUNTDOWN_INTERVAL);
   }
@@ -305,6 +487,49 @@ class UIManager {
     setTimeout(() => feedback.remove(), 1000);
   }
 
+  /**
+   * Tell the player they picked up a key or opened a door
+   * @param {object} element - Changed by this player
+   */
+  showElementFeedback(element) {
+    const { DOOR, KEY } = MazeElements.TYPES;
+    const color = CONFIG.KEY_COLORS[element.color % CONFIG.KEY_COLORS.length];
+    let text = null;
+    
+    if (element.type === KEY && element.heldBy === gameState.myPlayerId) {
+      text = `🔑 Chave ${color.name}`;
+    } else if (element.type === DOOR && element.open) {
+      text = `🚪 Porta ${color.name} aberta`;
+    }
+    if (text) this.showFloatingText(text, color.color);
+  }
+
+  /**
+   * Short message floating over the view
+   * @param {string} text
+   * @param {string} color - CSS color
+   */
+  showFloatingText(text, color) {
+    const feedback = document.createElement("div");
+    feedback.className = "collection-feedback";
+    feedback.textContent = text;
+    feedback.style.cssText = `
+      position: fixed;
+      top: 40%;
+      left: 50%;
+      transform: translate(-50%, -50%);
+      font-size: 2em;
+      font-weight: bold;
+      color: ${color};
+      text-shadow: 2px 2px 4px rgba(0,0,0,0.5);
+      pointer-events: none;
+      z-index: 10000;
+      animation: collectFeedback 1.5s ease-out forwards;
+    `;
+    document.body.appendChild(feedback);
+    setTimeout(() => feedback.remove(), 1500);
+  }
+
   updateReadyButton(isReady) {
     const readyBtn = document.getElementById("readyBtn");
     if (readyBtn) {
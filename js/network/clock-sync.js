@@ -0,0 +1,62 @@
+// ========================================
+// CLOCK SYNC
+// NTP-style estimate of the offset between the local clock and
+// the server's, fed by heartbeat pongs
+// ========================================
+
+class ClockSync {
+  constructor() {
+    this.samples = []; // {offset, rtt}
+    this.offset = 0; // serverTime - localTime (ms)
+    this.synced = false;
+  }
+
+  /**
+   * Add a measurement from a pong
+   * @param {object} pong - {serverTime, rtt}
+   */
+  addSample(pong) {
+    if (!Number.isFinite(pong.serverTime) || !Number.isFinite(pong.rtt)) return;
+
+    // The server stamped the pong roughly half a round trip ago
+    const offset = pong.serverTime + pong.rtt / 2 - Date.now();
+
+    this.samples.push({ offset, rtt: pong.rtt });
+    if (this.samples.length > CONFIG.CLOCK_SYNC_SAMPLES) {
+      this.samples.shift();
+    }
+
+    // The fastest round trip has the least asymmetric delay
+    const best = this.samples.reduce((a, b) => (b.rtt < a.rtt ? b : a));
+    this.offset = best.offset;
+
+    if (!this.synced) {
+      this.synced = true;
+      Utils.logInfo(`🕒 Clock synced, offset ${Math.round(this.offset)} ms`);
+    }
+  }
+
+  /**
+   * Current time on the server's clock
+   * @returns {number}
+   */
+  now() {
+    return Date.now() + this.offset;
+  }
+
+  /**
+   * Convert a server timestamp to the local clock
+   * @param {number} serverTime
+   * @returns {number}
+   */
+  toLocal(serverTime) {
+    return serverTime - this.offset;
+  }
+}
+
+// Create singleton instance
+const clockSync = new ClockSync();
+
+// Expose globally
+window.clockSync = clockSync;
+window.ClockSync = ClockSync;
@@ -0,0 +1,154 @@
+// ========================================
+// HEARTBEAT
+// Application-level ping/pong that measures round-trip time and
+// jitter, and drops a connection that stopped answering long
+// before the browser would fire onclose
+// ========================================
+
+// Round-trip thresholds (ms) for the quality indicator
+const QUALITY_LEVELS = [
+  { quality: "good", maxRtt: 100, maxJitter: 30 },
+  { quality: "fair", maxRtt: 250, maxJitter: 80 },
+];
+
+class Heartbeat {
+  /**
+   * @param {WSClient} client - Connection to monitor
+   */
+  constructor(client) {
+    this.client = client;
+    this.intervalId = null;
+    this.nextPingId = 0;
+    this.outstanding = new Map(); // ping id -> sent timestamp
+    this.missed = 0;
+    this.lastRtt = null;
+
+    // Servers without ping support never mark the connection stale
+    this.supported = false;
+
+    this.stats = { rtt: null, jitter: 0, quality: "unknown", stale: false };
+  }
+
+  /**
+   * Start pinging (called when the socket opens)
+   */
+  start() {
+    this.stop();
+    this.outstanding.clear();
+    this.missed = 0;
+    this.stats.stale = false;
+
+    this.intervalId = setInterval(() => this.beat(), CONFIG.HEARTBEAT_INTERVAL);
+    this.beat();
+  }
+
+  stop() {
+    if (this.intervalId) {
+      clearInterval(this.intervalId);
+      this.intervalId = null;
+    }
+  }
+
+  /**
+   * Send a ping, counting the previous one as missed if unanswered
+   */
+  beat() {
+    if (this.outstanding.size > 0 && this.supported) {
+      this.missed++;
+      Utils.logWarn(`💔 Heartbeat missed (${this.missed}/${CONFIG.HEARTBEAT_MAX_MISSED})`);
+
+      if (this.missed >= CONFIG.HEARTBEAT_MAX_MISSED) {
+        this.markStale();
+        return;
+      }
+
+      this.stats.quality = "poor";
+      this.report();
+    }
+
+    // Only a ping that actually left can go unanswered; one dropped
+    // because the socket is not open is never waited for
+    const id = ++this.nextPingId;
+    const sentAt = performance.now();
+    this.client.emit("ping", { id }).then(
+      () => this.outstanding.set(id, sentAt),
+      () => {}
+    );
+  }
+
+  /**
+   * Any message proves the socket is still alive
+   */
+  markAlive() {
+    this.missed = 0;
+  }
+
+  /**
+   * Update RTT and jitter from a pong
+   * @param {object} payload - {id, serverTime}
+   */
+  handlePong(payload) {
+    const sentAt = this.outstanding.get(payload.id);
+    if (sentAt === undefined) return;
+
+    // Older pings are lost for good
+    this.outstanding.forEach((_, id) => {
+      if (id <= payload.id) this.outstanding.delete(id);
+    });
+
+    this.supported = true;
+    this.missed = 0;
+
+    const rtt = performance.now() - sentAt;
+
+    // Smoothed RTT (RFC 6298) and interarrival jitter (RFC 3550)
+    this.stats.rtt = this.stats.rtt === null ? rtt : this.stats.rtt + (rtt - this.stats.rtt) / 8;
+    if (this.lastRtt !== null) {
+      this.stats.jitter += (Math.abs(rtt - this.lastRtt) - this.stats.jitter) / 16;
+    }
+    this.lastRtt = rtt;
+
+    this.stats.quality = this.rateQuality();
+    this.stats.stale = false;
+    this.report();
+
+    this.client.trigger("pong", { ...payload, rtt: rtt });
+  }
+
+  /**
+   * @returns {string} - "good", "fair" or "poor"
+   */
+  rateQuality() {
+    const level = QUALITY_LEVELS.find(
+      (l) => this.stats.rtt <= l.maxRtt && this.stats.jitter <= l.maxJitter
+    );
+    return level ? level.quality : "poor";
+  }
+
+  /**
+   * Too many beats missed - tear the socket down so WSClient reconnects
+   */
+  markStale() {
+    Utils.logWarn("🧟 Connection stale, forcing reconnect");
+
+    this.stats.stale = true;
+    this.stats.quality = "poor";
+    this.report();
+    this.stop();
+
+    this.client.dropConnection("Heartbeat timeout");
+  }
+
+  report() {
+    uiManager.updateConnectionStatus(this.stats.stale ? "stale" : "connected", this.stats);
+  }
+}
+
+// Export
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = Heartbeat;
+}
+
+if (typeof window !== 'undefined') {
+  window.Heartbeat = Heartbeat;
+}
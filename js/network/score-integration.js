@@ -85,7 +85,7 @@ class ScoreIntegration {
 
   /**
    * Save score to API
-   * @param {number} score - Player's score (treasures collected)
+   * @param {number} score - Player's score (points from the treasures collected)
    * @returns {Promise<boolean>} - Success status
    */
   async saveScore(score) {
@@ -179,7 +179,7 @@ class ScoreIntegration {
           ✅ Pontuação Salva!
         </h2>
         <p style="color: white; font-size: 1.5em; margin: 10px 0;">
-          Score: <strong>${score}</strong> ${score === 1 ? 'tesouro' : 'tesouros'}
+          Score: <strong>${score}</strong> ${score === 1 ? 'ponto' : 'pontos'}
         </p>
         <p style="color: white; font-size: 1.2em; margin: 20px 0;">
           Você será redirecionado em <span id="redirect-countdown">${this.redirectDelay / 1000}</span> segundos...
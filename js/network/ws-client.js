@@ -1,6 +1,27 @@
 // WebSocket Client - Native WebSocket Implementation
 // Manages WebSocket connection with event handling
 
+// Outbound delivery policy per message type:
+//   reliable - queued while offline and flushed in order after reconnect
+//   latest   - queued, but a newer message of the same type replaces it
+//   volatile - sent now or dropped
+// maxAge (ms) drops queued messages that went stale before they could be sent
+const MESSAGE_POLICIES = {
+  move: { mode: "latest", maxAge: 1000 },
+  collect_treasure: { mode: "reliable", maxAge: 5000 },
+  hello: { mode: "volatile" },
+  resume: { mode: "volatile" },
+  ping: { mode: "volatile" },
+  // A new connection starts from a full snapshot anyway
+  snapshot_ack: { mode: "volatile" },
+  resync: { mode: "volatile" },
+};
+const DEFAULT_MESSAGE_POLICY = { mode: "reliable", maxAge: 30000 };
+const MAX_QUEUED_MESSAGES = 100;
+
+// High-frequency messages kept out of the verbose message log
+const QUIET_MESSAGES = ["move", "player_update", "game_update", "ping", "pong", "snapshot_ack"];
+
 class WSClient {
   constructor(server, path, isLocal) {
     this.server = server;
@@ -13,6 +34,13 @@ class WSClient {
     this.reconnectAttempts = 0;
     this.maxReconnectAttempts = 5;
     this.reconnectDelay = 2000;
+    this.outbox = []; // Messages waiting for the socket to reopen
+    this.pendingRequests = new Map(); // requestId -> {resolve, reject, timer, expect}
+    this.requestCounter = 0;
+    this.serverEchoesRequestIds = false;
+    this.heartbeat = new Heartbeat(this);
+    this.codec = Codec.JSON; // Upgraded by the hello handshake
+    this.closedByClient = false; // Set by close(); such a close is not a lost connection
   }
 
   // Build WebSocket URL
@@ -32,6 +60,7 @@ class WSClient {
         Utils.logInfo("Connecting to WebSocket:", wsUrl);
 
         this.ws = new WebSocket(wsUrl);
+        this.ws.binaryType = "arraybuffer";
 
         const timeout = setTimeout(() => {
           Utils.logError("WebSocket connection timeout");
@@ -43,33 +72,26 @@ class WSClient {
           clearTimeout(timeout);
           this.connected = true;
           this.reconnectAttempts = 0;
-          this.id = "ws-" + Math.random().toString(36).substr(2, 9);
+          // Keep the id across reconnects; the server knows us by resume token
+          if (!this.id) {
+            this.id = "ws-" + Math.random().toString(36).substr(2, 9);
+          }
           Utils.logInfo("✅ WebSocket connected successfully!", this.id);
 
           uiManager.updateConnectionStatus("connected");
+          this.heartbeat.start();
+          this.sendHello();
           this.trigger("connect");
+          this.flushOutbox();
           resolve(this);
         };
 
-        this.ws.onclose = (event) => {
-          Utils.logInfo("WebSocket closed", event.code, event.reason);
-          this.connected = false;
-          uiManager.updateConnectionStatus("disconnected");
-          this.trigger("disconnect", event.reason);
-
-          // Attempt reconnection if not a clean close
-          if (
-            event.code !== 1000 &&
-            this.reconnectAttempts < this.maxReconnectAttempts
-          ) {
-            this.attemptReconnect();
-          }
-        };
+        this.ws.onclose = (event) => this.handleClose(event);
 
         this.ws.onerror = (error) => {
           clearTimeout(timeout);
           Utils.logError("WebSocket error:", error);
-          this.trigger("error", error);
+          // "error" is reserved for the server's error message
           this.trigger("connect_error", error);
           reject(error);
         };
@@ -84,62 +106,170 @@ class WSClient {
     });
   }
 
-  // Handle incoming messages
-  handleMessage(event) {
+  // Handle socket close
+  handleClose(event) {
+    Utils.logInfo("WebSocket closed", event.code, event.reason);
+    this.connected = false;
+    this.codec = Codec.JSON;
+    this.heartbeat.stop();
+
+    // Closed on purpose (e.g. the lobby socket once a room is joined):
+    // nothing to report and nothing to resume
+    if (this.closedByClient) {
+      this.rejectOutbox(new Error("Connection closed"));
+      return;
+    }
+
+    uiManager.updateConnectionStatus("disconnected");
+    this.trigger("disconnect", event.reason);
+
+    // Attempt reconnection unless the close was clean or the server
+    // refused our protocol version (reconnecting would not help)
+    if (event.code === 1000 || event.code === 1002) return;
+    if (this.reconnectAttempts < this.maxReconnectAttempts) {
+      this.attemptReconnect();
+    } else {
+      this.rejectOutbox(new Error("Reconnection failed"));
+      this.trigger("reconnect_failed");
+    }
+  }
+
+  /**
+   * Abandon a socket that stopped answering without waiting for
+   * the browser's close handshake, then reconnect as usual
+   * @param {string} reason
+   */
+  dropConnection(reason) {
+    const ws = this.ws;
+    if (!ws) return;
+
+    ws.onopen = null;
+    ws.onclose = null;
+    ws.onerror = null;
+    ws.onmessage = null;
     try {
-      const data = JSON.parse(event.data);
-      const eventType = data.event || data.type;
-
-      // Log with formatted JSON (compact maze as matrix)
-      Utils.logInfo("📨 Received message - Event type:", eventType);
-      Utils.logDebug("📨 Raw message structure:", {
-        hasEvent: !!data.event,
-        hasType: !!data.type,
-        hasPayload: !!data.payload,
-        hasData: !!data.data,
-        eventType: eventType
-      });
+      ws.close(4000, reason);
+    } catch (e) {
+      // Socket may already be gone
+    }
 
-      // Create a copy for logging with compact maze
-      const logData = JSON.parse(JSON.stringify(data));
-
-      // Convert maze to compact matrix representation
-      if (logData.payload?.room?.maze) {
-        const maze = logData.payload.room.maze;
-        const mazeString = maze.map((row) => row.join("")).join("\n");
-        console.log(
-          `🗺️ Maze (${maze.length}x${maze[0].length}):\n${mazeString}`
-        );
-        logData.payload.room.maze = `[${maze.length}x${maze[0].length} matrix - see above]`;
-      }
-      if (logData.payload?.maze) {
-        const maze = logData.payload.maze;
-        const mazeString = maze.map((row) => row.join("")).join("\n");
-        console.log(
-          `🗺️ Maze (${maze.length}x${maze[0].length}):\n${mazeString}`
-        );
-        logData.payload.maze = `[${maze.length}x${maze[0].length} matrix - see above]`;
-      }
+    this.handleClose({ code: 4000, reason: reason });
+  }
 
-      console.log("📦 Message content:", JSON.stringify(logData, null, 2));
-
-      // Trigger event based on message structure
-      if (data.event) {
-        Utils.logDebug("🎯 Triggering event:", data.event);
-        this.trigger(data.event, data.data || data);
-      } else if (data.type) {
-        Utils.logDebug("🎯 Triggering type:", data.type);
-        this.trigger(data.type, data);
-      } else {
-        // Generic message
-        Utils.logWarn("⚠️ Message has no event or type, triggering generic 'message'");
-        this.trigger("message", data);
-      }
+  // Handle incoming messages
+  handleMessage(event) {
+    this.heartbeat.markAlive();
+
+    let data;
+    try {
+      data = this.codec.decode(event.data, this.getPlayers());
     } catch (e) {
-      Utils.logError("❌ Failed to parse message:", e);
+      this.reportProtocolError(null, e.message);
       Utils.logWarn("Raw message data:", event.data);
-      this.trigger("message", event.data);
+      return;
     }
+
+    const result = Protocol.validate("server", data);
+    if (!result.ok) {
+      this.reportProtocolError(data, result.reason);
+      return;
+    }
+
+    const eventType = data.type;
+    if (eventType === "pong") {
+      this.heartbeat.handlePong(data.payload);
+      return;
+    }
+
+    this.logMessage(data);
+
+    // Errors answering a request belong to its caller only
+    if (this.settleRequest(data) && eventType === "error") {
+      return;
+    }
+
+    Utils.logDebug("🎯 Triggering type:", eventType);
+    this.trigger(eventType, data);
+  }
+
+  /**
+   * Log an incoming message by type; a maze it carries is dumped at
+   * debug level as a compact matrix
+   * @param {object} data
+   */
+  logMessage(data) {
+    if (QUIET_MESSAGES.includes(data.type)) {
+      Utils.logDebug("📨 Received", data.type);
+      return;
+    }
+
+    Utils.logInfo("📨 Received message - Event type:", data.type);
+
+    // Print the maze as ASCII art (MazeIO format)
+    const source = data.payload.room?.maze ? data.payload.room : data.payload;
+    if (source.maze) {
+      const maze = source.maze;
+      const mazeString = MazeIO.toASCII(MazeIO.fromGame(maze, source.treasures));
+      Utils.logDebug(`🗺️ Maze (${maze.length}x${maze[0].length}):\n${mazeString}`);
+    }
+  }
+
+  /**
+   * Report a message that does not match the protocol. A request
+   * waiting for it fails right away instead of timing out.
+   * @param {object} data - Parsed message, or null if it was not JSON
+   * @param {string} reason
+   */
+  reportProtocolError(data, reason) {
+    const type = data && typeof data.type === "string" ? data.type : null;
+    Utils.logWarn(`⚠️ Invalid message from server (${type || "no type"}): ${reason}`);
+
+    const pending = data && this.pendingRequests.get(data.requestId);
+    if (pending) {
+      clearTimeout(pending.timer);
+      this.pendingRequests.delete(data.requestId);
+      pending.reject(new Error(`Invalid ${type} reply: ${reason}`));
+    }
+
+    this.trigger("protocol_error", { type, reason });
+  }
+
+  /**
+   * Announce our protocol version and the codecs we speak. A server
+   * speaking another version answers with a protocol_mismatch error
+   * and closes; otherwise it picks the codec for the rest of the session.
+   */
+  sendHello() {
+    const hello = { version: Protocol.VERSION, codecs: CONFIG.NETWORK_CODECS };
+
+    this.request("hello", hello, { expect: ["welcome"] })
+      .then((welcome) => {
+        // Servers that predate codec negotiation only speak JSON
+        this.codec = Codec.get(welcome.codec);
+        Utils.logDebug(`🤝 Protocol v${Protocol.VERSION} accepted, ${this.codec.name} codec`);
+      })
+      .catch((err) => {
+        if (err.code !== "protocol_mismatch") {
+          Utils.logWarn(`⚠️ Protocol handshake failed: ${err.message}`);
+          return;
+        }
+
+        Utils.logError(`❌ Protocol mismatch: ${err.reason}`);
+        this.trigger("protocol_error", {
+          type: "hello",
+          code: err.code,
+          reason: err.reason,
+          message: err.message,
+        });
+      });
+  }
+
+  /**
+   * Player map the binary codec uses to translate slots to ids
+   * @returns {object}
+   */
+  getPlayers() {
+    return window.gameState ? gameState.players : {};
   }
 
   // Attempt to reconnect
@@ -205,8 +335,204 @@ class WSClient {
     return isReady;
   }
 
-  // Send message to server
-  emit(event, data) {
+  // ========================================
+  // REQUEST / RESPONSE
+  // ========================================
+
+  /**
+   * Send a message and wait for the reply carrying the same requestId
+   * @param {string} event - Message type
+   * @param {object} data - Payload
+   * @param {object} options - {timeout, expect}
+   *   expect: reply types accepted without a requestId, for servers
+   *   that do not echo it
+   * @returns {Promise<object>} - Reply payload; rejects on error reply or timeout
+   */
+  request(event, data, options = {}) {
+    const requestId = `req-${++this.requestCounter}`;
+    const timeout = options.timeout || CONFIG.REQUEST_TIMEOUT;
+
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        this.pendingRequests.delete(requestId);
+        reject(new Error(`${event} timed out after ${timeout}ms`));
+      }, timeout);
+
+      this.pendingRequests.set(requestId, {
+        resolve: resolve,
+        reject: reject,
+        timer: timer,
+        expect: options.expect || [],
+      });
+
+      this.emit(event, data, { requestId }).catch((err) => {
+        if (!this.pendingRequests.has(requestId)) return;
+        clearTimeout(timer);
+        this.pendingRequests.delete(requestId);
+        reject(err);
+      });
+    });
+  }
+
+  /**
+   * Resolve or reject the request a message answers
+   * @param {object} data - Parsed message
+   * @returns {boolean} - True if a pending request was settled
+   */
+  settleRequest(data) {
+    const type = data.type;
+    let requestId = data.requestId;
+
+    if (requestId) {
+      this.serverEchoesRequestIds = true;
+    }
+
+    // Fall back to the oldest request expecting this reply type
+    if (!requestId && !this.serverEchoesRequestIds) {
+      for (const [id, pending] of this.pendingRequests) {
+        if (pending.expect.includes(type)) {
+          requestId = id;
+          break;
+        }
+      }
+    }
+
+    const pending = requestId && this.pendingRequests.get(requestId);
+    if (!pending) return false;
+
+    clearTimeout(pending.timer);
+    this.pendingRequests.delete(requestId);
+
+    const payload = data.payload;
+    if (type === "error") {
+      const error = new Error(payload.message || "Erro desconhecido");
+      error.code = payload.code;
+      error.reason = payload.reason;
+      error.payload = payload;
+      pending.reject(error);
+    } else {
+      pending.resolve(payload);
+    }
+    return true;
+  }
+
+  // ========================================
+  // OUTBOUND QUEUE
+  // ========================================
+
+  /**
+   * Send a message, queueing it according to its policy while offline
+   * @param {string} event - Message type
+   * @param {object} data - Payload
+   * @param {object} options - {requestId}
+   * @returns {Promise<boolean>} - Resolves once written to the socket,
+   *   rejects if the message is dropped
+   */
+  emit(event, data, options = {}) {
+    const policy = MESSAGE_POLICIES[event] || DEFAULT_MESSAGE_POLICY;
+
+    const promise = new Promise((resolve, reject) => {
+      const entry = {
+        event: event,
+        data: data,
+        requestId: options.requestId,
+        policy: policy,
+        queuedAt: Date.now(),
+        resolvers: [resolve],
+        rejecters: [reject],
+      };
+
+      // Only volatile messages may overtake the ones already waiting
+      const inTurn = this.outbox.length === 0 || policy.mode === "volatile";
+      if (inTurn && this.isConnected() && this.send(event, data, options.requestId)) {
+        resolve(true);
+        return;
+      }
+
+      this.enqueue(entry);
+    });
+
+    // Callers that ignore the result should not see unhandled rejections
+    promise.catch(() => {});
+    return promise;
+  }
+
+  /**
+   * Add a message to the outbox
+   * @param {object} entry
+   */
+  enqueue(entry) {
+    if (entry.policy.mode === "volatile") {
+      this.settle(entry, new Error(`${entry.event} dropped: not connected`));
+      return;
+    }
+
+    if (entry.policy.mode === "latest") {
+      const idx = this.outbox.findIndex((queued) => queued.event === entry.event);
+      if (idx !== -1) {
+        // The newer message carries the older one's promise
+        const [older] = this.outbox.splice(idx, 1);
+        entry.resolvers.unshift(...older.resolvers);
+        entry.rejecters.unshift(...older.rejecters);
+      }
+    }
+
+    this.outbox.push(entry);
+
+    if (this.outbox.length > MAX_QUEUED_MESSAGES) {
+      this.settle(this.outbox.shift(), new Error("Outbox full"));
+    }
+
+    Utils.logDebug(`📥 Queued ${entry.event} (${this.outbox.length} waiting)`);
+  }
+
+  /**
+   * Send queued messages in order, dropping the ones that went stale
+   */
+  flushOutbox() {
+    if (this.outbox.length === 0) return;
+    Utils.logInfo(`📤 Flushing ${this.outbox.length} queued messages`);
+
+    const now = Date.now();
+    while (this.outbox.length > 0 && this.isConnected()) {
+      const entry = this.outbox[0];
+
+      if (entry.policy.maxAge && now - entry.queuedAt > entry.policy.maxAge) {
+        this.outbox.shift();
+        Utils.logWarn(`🗑️ Dropped stale ${entry.event}`);
+        this.settle(entry, new Error(`${entry.event} went stale`));
+        continue;
+      }
+
+      if (!this.send(entry.event, entry.data, entry.requestId)) break;
+      this.outbox.shift();
+      this.settle(entry);
+    }
+  }
+
+  /**
+   * Fail every queued message
+   * @param {Error} error
+   */
+  rejectOutbox(error) {
+    const entries = this.outbox;
+    this.outbox = [];
+    entries.forEach((entry) => this.settle(entry, error));
+  }
+
+  /**
+   * Resolve (or reject, when an error is given) a queued message
+   */
+  settle(entry, error) {
+    if (error) {
+      entry.rejecters.forEach((reject) => reject(error));
+    } else {
+      entry.resolvers.forEach((resolve) => resolve(true));
+    }
+  }
+
+  // Write a message to the socket right away
+  send(event, data, requestId) {
     // Detailed connection check with logging
     Utils.logDebug("🔍 Checking connection state for emit:", {
       connected: this.connected,
@@ -236,13 +562,17 @@ class WSClient {
       type: event,
       payload: data,
     };
+    if (requestId) {
+      messageObj.requestId = requestId;
+    }
 
-    const message = JSON.stringify(messageObj);
+    const message = this.codec.encode(messageObj, this.getPlayers());
 
     try {
       this.ws.send(message);
-      Utils.logDebug("📤 Sent:", event);
-      console.log(JSON.stringify(messageObj, null, 2));
+      if (!QUIET_MESSAGES.includes(event)) {
+        Utils.logDebug("📤 Sent:", event);
+      }
       return true;
     } catch (e) {
       Utils.logError("Failed to send message:", e);
@@ -253,6 +583,7 @@ class WSClient {
   // Close connection
   close() {
     if (this.ws) {
+      this.closedByClient = true;
       this.ws.close(1000, "Client closing connection");
       this.connected = false;
     }
@@ -1,6 +1,7 @@
 // ========================================
 // WEBSOCKET EVENT HANDLERS
-// Separates event handling logic from WebSocket client
+// Separates event handling logic from WebSocket client.
+// Handlers update gameState; the managers redraw from its events.
 // ========================================
 
 class WSHandlers {
@@ -17,25 +18,36 @@ class WSHandlers {
     // Room events
     this.ws.on("room_created", (data) => this.handleRoomCreated(data));
     
+    // Session events
+    this.ws.on("session", (data) => this.handleSession(data));
+    this.ws.on("resumed", (data) => this.handleResumed(data));
+    this.ws.on("resume_failed", (data) => this.handleResumeFailed(data));
+    this.ws.on("disconnect", () => this.handleDisconnect());
+    this.ws.on("connect", () => this.handleReconnect());
+    this.ws.on("reconnect_failed", () => this.handleReconnectFailed());
+    this.ws.on("pong", (data) => clockSync.addSample(data));
+    
     // Player events
     this.ws.on("player_joined", (data) => this.handlePlayerJoined(data));
     this.ws.on("player_left", (data) => this.handlePlayerLeft(data));
     this.ws.on("ready", (data) => this.handleReady(data));
-    this.ws.on("player_ready", (data) => this.handleReady(data));
     this.ws.on("player_update", (data) => this.handlePlayerUpdate(data));
+    this.ws.on("move_rejected", (data) => this.handleMoveRejected(data));
     
     // Game events
     this.ws.on("game_start", (data) => this.handleGameStart(data));
-    this.ws.on("game_starting", (data) => this.handleGameStart(data));
     this.ws.on("game_update", (data) => this.handleGameUpdate(data));
     this.ws.on("game_win", (data) => this.handleGameWon(data));
     
     // Treasure events
     this.ws.on("treasure_collected", (data) => this.handleTreasureCollected(data));
+    this.ws.on("element_update", (data) => this.handleElementUpdate(data));
+    this.ws.on("maze_shift_warning", (data) => this.handleMazeShiftWarning(data));
+    this.ws.on("maze_shift", (data) => this.handleMazeShift(data));
     
     // Error handling
     this.ws.on("error", (data) => this.handleError(data));
-    this.ws.on("message", (data) => this.handleUnknown(data));
+    this.ws.on("protocol_error", (data) => this.handleProtocolError(data));
     
     Utils.logInfo("✅ All handlers registered");
   }
@@ -47,136 +59,148 @@ class WSHandlers {
   handleRoomCreated(data) {
     Utils.logInfo("🏠 Room created");
     
-    const payload = data.payload || data;
-    const room = payload.room || payload;
-    
-    const roomCode = payload.code || room.code;
-    const hostId = room.host || payload.host;
+    const { code: roomCode, room } = data.payload;
+    const hostId = room.host;
     
     gameState.setRoom(roomCode);
     gameState.setPlayerId(hostId);
     
-    if (room.maze) gameState.setMaze(room.maze);
+    if (room.maze) gameState.setMaze(room.maze, room.mazeInfo, room.levels);
+    if (room.settings) gameState.setRoomSettings(room.settings);
     if (room.treasures) gameState.setTreasures(room.treasures);
+    if (room.elements) gameState.setElements(room.elements);
     if (room.players) gameState.updatePlayers(room.players);
     
     // Join as host
-    this.ws.emit("join", {
+    this.ws.request("join", {
       playerId: hostId,
       name: gameState.myPlayerName,
-    });
-    
-    uiManager.showWaitingRoom(roomCode);
-    uiManager.updatePlayerList();
+    }, { expect: ["game_update", "player_joined"] })
+      .catch((err) => {
+        Utils.logError("❌ Host failed to join own room:", err);
+        alert(`Não foi possível entrar na sala: ${err.message}`);
+      });
   }
 
   // ========================================
-  // PLAYER HANDLERS
+  // SESSION HANDLERS
   // ========================================
 
-  handlePlayerJoined(data) {
-    Utils.logInfo("👤 Player joined");
-    
-    const payload = data.payload || data;
-    
-    if (payload.players) {
-      // Full player list update
-      Object.keys(payload.players).forEach(playerId => {
-        const serverPlayer = payload.players[playerId];
-        if (gameState.players[playerId]) {
-          Object.assign(gameState.players[playerId], serverPlayer);
-        } else {
-          gameState.players[playerId] = serverPlayer;
-        }
-      });
-    } else if (payload.id && payload.name) {
-      // Single player update
-      const isMe = payload.id === gameState.myPlayerId;
-      
-      if (isMe) {
-        if (window._joinTimeout) {
-          clearTimeout(window._joinTimeout);
-          window._joinTimeout = null;
-        }
-        
-        gameState.players[payload.id] = payload;
-        
-        const roomCode = gameState.room || gameState.pendingRoomCode;
-        uiManager.showWaitingRoom(roomCode);
-        uiManager.updatePlayerList();
-      } else {
-        gameState.players[payload.id] = payload;
-      }
-    }
+  handleSession(data) {
+    gameState.setSessionToken(data.payload.token);
+  }
+
+  /**
+   * Socket dropped - keep the game on screen behind an overlay
+   * while WSClient reconnects
+   */
+  handleDisconnect() {
+    if (!gameState.sessionToken) return;
     
-    uiManager.updatePlayerList();
+    Utils.logWarn("📴 Connection lost, waiting to resume...");
+    uiManager.showReconnecting();
+  }
+
+  /**
+   * Socket reopened - present the resume token to get our seat back
+   */
+  handleReconnect() {
+    if (!gameState.sessionToken) return;
     
-    if (gameState.gameStarted) {
-      playerManager.updatePlayerEntities();
-    }
+    Utils.logInfo("🔌 Reconnected, resuming session...");
+    this.ws.emit("resume", { token: gameState.sessionToken });
   }
 
-  handlePlayerLeft(data) {
-    Utils.logInfo("👋 Player left");
+  handleReconnectFailed() {
+    if (!gameState.sessionToken) return;
+    uiManager.showReconnectFailed("Não foi possível reconectar ao servidor.");
+  }
+
+  /**
+   * Restore room, position, treasures and timer after a resume
+   */
+  handleResumed(data) {
+    const payload = data.payload;
+    const room = payload.room;
     
-    const payload = data.payload || data;
+    Utils.logInfo(`✅ Session resumed as ${payload.playerId}`);
     
-    if (payload.players) {
-      gameState.updatePlayers(payload.players);
-    } else if (payload.playerId || payload.id) {
-      const playerId = payload.playerId || payload.id;
-      gameState.removePlayer(playerId);
-      
-      if (gameState.gameStarted) {
-        playerManager.removePlayerEntity(playerId);
-      }
+    gameState.setPlayerId(payload.playerId);
+    gameState.setRoom(room.code);
+    if (room.mazeInfo) gameState.setMazeInfo(room.mazeInfo);
+    if (room.settings) gameState.setRoomSettings(room.settings);
+    if (room.players) gameState.updatePlayers(room.players);
+    
+    uiManager.hideReconnecting();
+    
+    // The game started while we were away - skip the countdown
+    if (room.status === "playing" && gamePhase.is("waiting")) {
+      gameState.startGame(room);
+      gamePhase.transition("playing");
+    }
+    
+    // Set after the game started so the scene picks up our score
+    if (room.treasures) gameState.setTreasures(room.treasures);
+    if (room.elements) gameState.setElements(room.elements);
+    if (room.mazeInfo && room.mazeInfo.shifting && room.maze) {
+      gameState.syncMaze(room.levels || [room.maze]);
     }
     
-    uiManager.updatePlayerList();
+    if (!gamePhase.inGame()) return;
+    
+    const me = gameState.players[gameState.myPlayerId];
+    const movementController = window.gameController?.movementController;
+    if (me && movementController) {
+      movementController.reconcile(me.x, me.z, Infinity, true, me.level);
+    }
     
-    if (gameState.gameStarted) {
-      uiManager.updateLeaderboard();
+    if (room.endsAt) {
+      gameState.setMatchTimes(room.startsAt, room.endsAt);
+      gameController.startTimeLimit();
     }
   }
 
-  handleReady(data) {
-    Utils.logInfo("✅ Ready status update");
+  handleResumeFailed(data) {
+    const reason = data.payload.reason;
+    Utils.logWarn(`❌ Resume failed: ${reason}`);
+    
+    gameState.setSessionToken(null);
+    uiManager.showReconnectFailed(reason);
+  }
+
+  // ========================================
+  // PLAYER HANDLERS
+  // ========================================
+
+  handlePlayerJoined(data) {
+    Utils.logInfo("👤 Player joined");
     
-    const payload = data.payload || data;
+    const player = data.payload;
+    gameState.addPlayer(player);
     
-    if (payload.players) {
-      // Update all players
-      Object.keys(payload.players).forEach(playerId => {
-        if (gameState.players[playerId]) {
-          gameState.players[playerId].ready = payload.players[playerId].ready;
-        } else {
-          gameState.players[playerId] = payload.players[playerId];
-        }
-      });
-    } else if (payload.playerId || payload.id) {
-      // Update single player
-      const playerId = payload.playerId || payload.id;
-      const ready = payload.ready !== undefined ? payload.ready : true;
-      
-      if (gameState.players[playerId]) {
-        gameState.players[playerId].ready = ready;
-      }
+    if (player.id === gameState.myPlayerId && gamePhase.is("lobby")) {
+      gamePhase.transition("waiting");
     }
+  }
+
+  handlePlayerLeft(data) {
+    Utils.logInfo("👋 Player left");
     
-    uiManager.updatePlayerList();
+    gameState.removePlayer(data.payload.playerId);
+  }
+
+  handleReady(data) {
+    Utils.logInfo("✅ Ready status update");
     
-    // Sync my ready button
-    const myPlayer = gameState.players[gameState.myPlayerId];
-    if (myPlayer) {
-      uiManager.updateReadyButton(myPlayer.ready);
-    }
+    // The server sends every player's ready flag
+    gameState.updatePlayers(data.payload.players);
   }
 
   handlePlayerUpdate(data) {
     Utils.logDebug("🔄 Player update received");
     
-    const payload = data.payload || data;
-    const playerId = payload.playerId || payload.id;
+    const payload = data.payload;
+    const playerId = payload.id;
     
     const player = gameState.players[playerId];
     if (!player) {
@@ -184,25 +208,25 @@ class WSHandlers {
       return;
     }
     
-    // For our own player, queue server updates for reconciliation
+    // For our own player, reconcile the predicted position
     if (playerId === gameState.myPlayerId) {
       const movementController = window.gameController?.movementController;
       
-      if (movementController) {
-        // Queue the update - it will be applied when player stops moving
-        movementController.queueServerUpdate(
-          payload.x,
-          payload.z,
-          payload.direction
-        );
+      // Only acknowledged moves carry a seq; without one we cannot
+      // tell which inputs the position already includes
+      if (movementController && payload.seq !== undefined) {
+        movementController.reconcile(payload.x, payload.z, payload.seq);
       }
       
       // Update non-position data immediately
       if (payload.treasures !== undefined) {
         player.treasures = payload.treasures;
       }
+      if (payload.points !== undefined) {
+        player.points = payload.points;
+      }
       if (payload.connected !== undefined) {
-        player.connected = payload.connected;
+        gameState.setPlayerConnected(playerId, payload.connected);
       }
       
       return;
@@ -226,10 +250,31 @@ class WSHandlers {
       updated = true;
     }
     
-    // Update entity if game started
-    if (updated && gameState.gameStarted) {
-      const colorIdx = playerManager.getPlayerColorIndex(playerId);
-      playerManager.updatePlayerEntity(playerId, colorIdx);
+    if (payload.level !== undefined) {
+      player.level = payload.level;
+    }
+    
+    if (payload.connected !== undefined) {
+      gameState.setPlayerConnected(playerId, payload.connected);
+    }
+    
+    // Buffer the position; the interpolation loop moves the avatar
+    if (updated && gamePhase.inGame()) {
+      playerManager.addSnapshot(playerId, player.x, player.z, player.rotation);
+    }
+  }
+
+  /**
+   * Server refused our last move (speed or wall check) - snap back
+   * to the last position it accepted
+   */
+  handleMoveRejected(data) {
+    const payload = data.payload;
+    Utils.logWarn(`🚫 Move rejected by server: ${payload.reason}`);
+    
+    const movementController = window.gameController?.movementController;
+    if (movementController) {
+      movementController.reconcile(payload.x, payload.z, payload.seq || 0, true, payload.level);
     }
   }
 
@@ -240,77 +285,27 @@ class WSHandlers {
   handleGameStart(data) {
     Utils.logInfo("🎮 Game starting!");
     
-    gameState.gameStarted = true;
-    gameState.startGame(data);
-    
-    // Hide status indicator
-    const statusEl = document.getElementById("connectionStatus");
-    if (statusEl) statusEl.classList.add("hidden");
-    
-    // Hide lobby
-    uiManager.hideLobby();
-    
-    // Initialize game
-    gameController.initGame();
+    // A second game_start is a bug; refuse it before touching state
+    gamePhase.assertCan("countdown");
     
-    // Render world after short delay
-    setTimeout(() => {
-      if (gameState.maze) mazeManager.renderMaze();
-      
-      if (gameState.treasures) {
-        if (window.treasureManager) {
-          treasureManager.setTreasures(gameState.treasures);
-          treasureManager.renderTreasures();
-          treasureManager.startProximityCheck();
-        } else {
-          mazeManager.renderTreasures();
-        }
-      }
-      
-      if (Object.keys(gameState.players).length > 0) {
-        playerManager.updatePlayerEntities();
-      }
-      
-      Utils.logInfo("✅ Game world rendered!");
-    }, 200);
+    gameState.startGame(data.payload);
+    gamePhase.transition("countdown");
   }
 
+  /**
+   * Apply a full or delta snapshot, acknowledge it, and ask for a
+   * full resync when a delta's baseline was missed
+   */
   handleGameUpdate(data) {
-    Utils.logInfo("🔄 Game update");
-    
-    const payload = data.payload || data;
+    const snapshot = data.payload;
+    Utils.logDebug(`🔄 Game update #${snapshot.seq} ${snapshot.full ? "(full)" : `(delta from #${snapshot.baseSeq})`}`);
     
-    // Store data
-    if (payload.maze) gameState.setMaze(payload.maze);
-    if (payload.treasures) gameState.setTreasures(payload.treasures);
-    if (payload.players) gameState.updatePlayers(payload.players);
-    
-    // Update UI
-    uiManager.updatePlayerList();
-    
-    // Sync ready button if in lobby
-    if (!gameState.gameStarted) {
-      const myPlayer = gameState.players[gameState.myPlayerId];
-      if (myPlayer) {
-        uiManager.updateReadyButton(myPlayer.ready);
-      }
-    }
-    
-    // Render if game started
-    if (gameState.gameStarted) {
-      if (payload.maze && !mazeManager.rendered) {
-        mazeManager.renderMaze();
-      }
-      
-      if (payload.treasures) {
-        setTimeout(() => mazeManager.renderTreasures(), 100);
-      }
-      
-      if (payload.players) {
-        setTimeout(() => playerManager.updatePlayerEntities(), 100);
-        uiManager.updateLeaderboard();
-      }
+    if (!gameState.applySnapshot(snapshot)) {
+      Utils.logWarn(`⚠️ Missed snapshot #${snapshot.baseSeq}, requesting resync`);
+      this.ws.emit("resync", {});
+      return;
     }
+    this.ws.emit("snapshot_ack", { seq: snapshot.seq });
   }
 
   handleGameWon(data) {
@@ -326,40 +321,55 @@ class WSHandlers {
   handleTreasureCollected(data) {
     Utils.logInfo("💎 Treasure collected");
     
-    const payload = data.payload || data;
+    const payload = data.payload;
+    gameState.collectTreasure(payload.treasureId, payload.playerId, payload.treasures, payload.points);
+  }
+
+  // ========================================
+  // MAZE ELEMENT HANDLERS
+  // ========================================
+
+  handleElementUpdate(data) {
+    const payload = data.payload;
+    Utils.logDebug("🚪 Elements changed:", payload.elements.map((e) => e.id).join(", "));
     
-    if (window.treasureManager) {
-      treasureManager.handleTreasureCollected(payload);
-    } else {
-      // Fallback
-      const treasureId = payload.treasureId;
-      const playerId = payload.playerId;
+    gameState.updateElements(payload.elements, payload.playerId);
+  }
+
+  // ========================================
+  // SHIFTING MAZE HANDLERS
+  // ========================================
+
+  handleMazeShiftWarning(data) {
+    const payload = data.payload;
+    gameState.warnMazeShift(payload.level, payload.changes, clockSync.toLocal(payload.at));
+  }
+
+  /**
+   * Apply a maze shift, then move the players it pushed out of the
+   * new walls
+   */
+  handleMazeShift(data) {
+    const payload = data.payload;
+    Utils.logInfo(`🔀 Maze shift #${payload.id}`);
+    
+    gameState.applyMazeChanges(payload.level, payload.changes);
+    
+    Object.entries(payload.pushed || {}).forEach(([playerId, position]) => {
+      const player = gameState.players[playerId];
+      if (!player) return;
       
-      const treasure = gameState.treasures.find(t => t.id === treasureId);
-      if (treasure) {
-        treasure.collected = true;
-        
-        const treasureEl = document.getElementById(treasureId);
-        if (treasureEl?.parentNode) {
-          treasureEl.parentNode.removeChild(treasureEl);
-        }
-        
-        if (playerId === gameState.myPlayerId) {
-          gameState.myTreasureCount++;
-          const el = document.getElementById('treasureCount');
-          if (el) {
-            el.textContent = `${gameState.myTreasureCount}/${gameState.treasures.length}`;
-          }
-        }
-        
-        if (gameState.players[playerId]) {
-          const newCount = payload.treasures || (gameState.players[playerId].treasures || 0) + 1;
-          gameState.players[playerId].treasures = newCount;
-        }
-        
-        uiManager.updateLeaderboard();
+      if (playerId === gameState.myPlayerId) {
+        // Inputs sent from the old spot no longer apply
+        const movementController = window.gameController?.movementController;
+        if (movementController) movementController.reconcile(position.x, position.z, Infinity, true);
+        return;
       }
-    }
+      
+      player.x = position.x;
+      player.z = position.z;
+      if (gamePhase.inGame()) playerManager.addSnapshot(playerId, player.x, player.z, player.rotation);
+    });
   }
 
   // ========================================
@@ -369,14 +379,26 @@ class WSHandlers {
   handleError(data) {
     Utils.logError("❌ Server error:", data);
     
-    const payload = data.payload || data;
-    const message = payload.message || data.message || "Erro desconhecido";
+    const payload = data.payload;
     
-    alert("Erro: " + message);
+    // Typed rejections are handled silently by their owner
+    if (payload.code === "collect_rejected") {
+      if (window.treasureManager) {
+        treasureManager.handleCollectRejected(payload);
+      }
+      return;
+    }
+    
+    alert("Erro: " + payload.message);
   }
 
-  handleUnknown(data) {
-    Utils.logWarn("⚠️ Unhandled message:", data);
+  /**
+   * Message rejected by Protocol.validate (already logged by WSClient).
+   * A version mismatch cannot be recovered from without a reload.
+   */
+  handleProtocolError(data) {
+    if (data.code !== "protocol_mismatch") return;
+    uiManager.showReconnectFailed(data.message);
   }
 }
 
@@ -0,0 +1,232 @@
+// ========================================
+// CODEC
+// Wire encodings for protocol messages. JSON carries every
+// message; the binary codec packs the high-frequency ones
+// (move / player_update) and falls back to JSON for the rest.
+// The codec is chosen during the hello / welcome handshake.
+// ========================================
+
+(function () {
+  // Binary frame opcodes (first byte)
+  const OPCODES = {
+    move: 1,
+    player_update: 2,
+  };
+
+  // Quantization: positions in 1/256 grid units (up to 255 cells),
+  // yaw in 1/65536 of a turn
+  const POSITION_SCALE = 256;
+  const MAX_POSITION = 0xffff / POSITION_SCALE;
+  const YAW_SCALE = 0x10000 / 360;
+
+  // player_update flags
+  const HAS_SEQ = 1;
+
+  const jsonCodec = {
+    name: "json",
+
+    encode(message) {
+      return JSON.stringify(message);
+    },
+
+    decode(data) {
+      if (typeof data !== "string") throw new Error("binary frame on a JSON connection");
+      return JSON.parse(data);
+    },
+  };
+
+  const binaryCodec = {
+    name: "binary",
+
+    /**
+     * Encode a message, as a binary frame when its shape allows it
+     * @param {object} message - {type, payload, requestId}
+     * @param {object} players - Player map (id -> player with slot)
+     * @returns {ArrayBuffer|string}
+     */
+    encode(message, players) {
+      if (message.requestId === undefined) {
+        if (message.type === "move") {
+          const frame = encodeMove(message.payload);
+          if (frame) return frame;
+        } else if (message.type === "player_update") {
+          const frame = encodePlayerUpdate(message.payload, players);
+          if (frame) return frame;
+        }
+      }
+      return jsonCodec.encode(message);
+    },
+
+    /**
+     * Decode a frame; text frames are JSON
+     * @param {string|ArrayBuffer|Uint8Array} data
+     * @param {object} players - Player map used to resolve slots
+     * @returns {object} - {type, payload}
+     */
+    decode(data, players) {
+      if (typeof data === "string") return jsonCodec.decode(data);
+
+      const view = ArrayBuffer.isView(data)
+        ? new DataView(data.buffer, data.byteOffset, data.byteLength)
+        : new DataView(data);
+
+      if (view.byteLength === 0) throw new Error("empty binary frame");
+
+      switch (view.getUint8(0)) {
+        case OPCODES.move:
+          return decodeMove(view);
+        case OPCODES.player_update:
+          return decodePlayerUpdate(view, players);
+        default:
+          throw new Error(`unknown binary opcode ${view.getUint8(0)}`);
+      }
+    },
+  };
+
+  // ========================================
+  // BINARY LAYOUTS
+  // ========================================
+
+  // move: op u8 | seq u32 | x u16 | z u16 | yaw u16
+  function encodeMove(payload) {
+    if (!isUint32(payload.seq) || !isPosition(payload.x) || !isPosition(payload.z)) return null;
+    if (!Number.isFinite(payload.direction)) return null;
+
+    const view = new DataView(new ArrayBuffer(11));
+    view.setUint8(0, OPCODES.move);
+    view.setUint32(1, payload.seq);
+    view.setUint16(5, quantizePosition(payload.x));
+    view.setUint16(7, quantizePosition(payload.z));
+    view.setUint16(9, quantizeYaw(payload.direction));
+    return view.buffer;
+  }
+
+  function decodeMove(view) {
+    if (view.byteLength !== 11) throw new Error("truncated move frame");
+
+    return {
+      type: "move",
+      payload: {
+        seq: view.getUint32(1),
+        x: view.getUint16(5) / POSITION_SCALE,
+        z: view.getUint16(7) / POSITION_SCALE,
+        direction: dequantizeYaw(view.getUint16(9)),
+      },
+    };
+  }
+
+  // player_update: op u8 | slot u8 | flags u8 | x u16 | z u16 | yaw u16 [| seq u32]
+  function encodePlayerUpdate(payload, players) {
+    const player = players && players[payload.id];
+    if (!player || !Number.isInteger(player.slot) || player.slot > 0xff) return null;
+
+    // Only plain position updates have a binary form
+    const fields = Object.keys(payload);
+    if (fields.some((field) => !["id", "x", "z", "direction", "seq"].includes(field))) return null;
+    if (!isPosition(payload.x) || !isPosition(payload.z) || !Number.isFinite(payload.direction)) return null;
+
+    const hasSeq = payload.seq !== undefined;
+    if (hasSeq && !isUint32(payload.seq)) return null;
+
+    const view = new DataView(new ArrayBuffer(hasSeq ? 13 : 9));
+    view.setUint8(0, OPCODES.player_update);
+    view.setUint8(1, player.slot);
+    view.setUint8(2, hasSeq ? HAS_SEQ : 0);
+    view.setUint16(3, quantizePosition(payload.x));
+    view.setUint16(5, quantizePosition(payload.z));
+    view.setUint16(7, quantizeYaw(payload.direction));
+    if (hasSeq) view.setUint32(9, payload.seq);
+    return view.buffer;
+  }
+
+  function decodePlayerUpdate(view, players) {
+    if (view.byteLength < 9) throw new Error("truncated player_update frame");
+
+    const slot = view.getUint8(1);
+    const hasSeq = (view.getUint8(2) & HAS_SEQ) !== 0;
+    if (hasSeq && view.byteLength < 13) throw new Error("truncated player_update frame");
+
+    const id = Object.keys(players || {}).find((playerId) => players[playerId].slot === slot);
+    if (!id) throw new Error(`unknown player slot ${slot}`);
+
+    const payload = {
+      id: id,
+      x: view.getUint16(3) / POSITION_SCALE,
+      z: view.getUint16(5) / POSITION_SCALE,
+      direction: dequantizeYaw(view.getUint16(7)),
+    };
+    if (hasSeq) payload.seq = view.getUint32(9);
+
+    return { type: "player_update", payload };
+  }
+
+  // ========================================
+  // HELPERS
+  // ========================================
+
+  function isPosition(value) {
+    return Number.isFinite(value) && value >= 0 && value <= MAX_POSITION;
+  }
+
+  function isUint32(value) {
+    return Number.isInteger(value) && value >= 0 && value <= 0xffffffff;
+  }
+
+  function quantizePosition(value) {
+    return Math.round(value * POSITION_SCALE);
+  }
+
+  function quantizeYaw(degrees) {
+    const normalized = ((degrees % 360) + 360) % 360;
+    return Math.round(normalized * YAW_SCALE) & 0xffff;
+  }
+
+  function dequantizeYaw(value) {
+    return Math.round((value / YAW_SCALE) * 100) / 100;
+  }
+
+  const CODECS = {
+    json: jsonCodec,
+    binary: binaryCodec,
+  };
+
+  const Codec = {
+    JSON: jsonCodec,
+
+    /**
+     * Look up a codec by name
+     * @param {string} name
+     * @returns {object} - The codec, or JSON if unknown
+     */
+    get(name) {
+      return CODECS[name] || jsonCodec;
+    },
+
+    /**
+     * Pick the first codec the peer offered that we support
+     * @param {array} offered - Codec names, best first
+     * @returns {object}
+     */
+    negotiate(offered) {
+      const name = (offered || []).find((n) => CODECS[n]);
+      return name ? CODECS[name] : jsonCodec;
+    },
+
+    /**
+     * Register an extra codec ({name, encode, decode})
+     * @param {object} codec
+     */
+    register(codec) {
+      CODECS[codec.name] = codec;
+    },
+  };
+
+  // Export
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Codec;
+  }
+
+  if (typeof window !== 'undefined') {
+    window.Codec = Codec;
+  }
+})();
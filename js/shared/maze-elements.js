@@ -0,0 +1,364 @@
+// ========================================
+// MAZE ELEMENTS
+// Interactive cells placed on top of a maze: locked doors and
+// their keys, pressure plates that toggle barriers, and one-way
+// gates. Elements are {id, type, x, z, level, ...} with x/z the
+// cell center. Shared by the game server, which owns their state,
+// and the browser, which collides with them.
+// ========================================
+
+(function () {
+  const ELEMENT_TYPES = {
+    DOOR: "door", // {open, color} - opened for good by the holder of its key
+    KEY: "key", // {door, color, heldBy} - picked up by walking onto it
+    PLATE: "plate", // {targets} - toggles its barriers when a player steps on it
+    BARRIER: "barrier", // {open} - wall segment toggled by a plate
+    GATE: "gate", // {dx, dz} - can only be crossed in that direction
+  };
+
+  const WALL = 1;
+  const NEIGHBOURS = [[1, 0], [-1, 0], [0, 1], [0, -1]];
+
+  /**
+   * Place elements on every level of a maze. Nothing is placed where
+   * it could cut a player off: the anchors (spawns, stairs) and every
+   * key and plate stay reachable with all doors, barriers and gates
+   * closed, and barriers and gates only go on loops, so closing one
+   * means a detour instead of a trap.
+   * @param {array} levels - levels[level][row][col]
+   * @param {object} options - {anchors: [[{x, z}]] per level, avoid: [{x, z, level}],
+   *   doors, switches, gates (counts per level), colors (number of key colors), random}
+   * @returns {array} - Elements
+   */
+  function place(levels, options = {}) {
+    const random = options.random || Math.random;
+    const elements = [];
+    const counters = {};
+    const nextId = (type) => {
+      counters[type] = (counters[type] || 0) + 1;
+      return `${type}-${counters[type]}`;
+    };
+
+    levels.forEach((grid, level) => {
+      const anchors = ((options.anchors || [])[level] || []).map(toCell);
+      if (anchors.length === 0) return;
+
+      const taken = new Set(anchors.map(cellKey));
+      (options.avoid || [])
+        .filter((p) => (p.level || 0) === level)
+        .forEach((p) => taken.add(cellKey(toCell(p))));
+
+      const blocked = new Set(); // Cells of doors, barriers and gates
+      const required = anchors.slice(); // Cells that must stay reachable
+      let graph = analyse(grid, required[0], blocked);
+      const block = (cell) => {
+        blocked.add(cellKey(cell));
+        graph = analyse(grid, required[0], blocked);
+      };
+      const unblock = (cell) => {
+        blocked.delete(cellKey(cell));
+        graph = analyse(grid, required[0], blocked);
+      };
+
+      // A corridor cell with both ends reachable that is no cut point
+      // lies on a loop, so blocking it only costs a detour
+      const inUse = (cell) => {
+        const [dx, dz] = cell.axis === "x" ? [1, 0] : [0, 1];
+        return [cellKey(cell), cellKey({ x: cell.x - dx, z: cell.z - dz }), cellKey({ x: cell.x + dx, z: cell.z + dz })]
+          .every((key) => graph.reached.has(key));
+      };
+      const onLoop = (cell) => inUse(cell) && !graph.cuts.has(cellKey(cell));
+      const keepsRequired = (cell) => {
+        if (!inUse(cell)) return false;
+        if (!graph.cuts.has(cellKey(cell))) return true;
+        const after = reachable(grid, required[0], new Set(blocked).add(cellKey(cell)));
+        return required.every((p) => after.has(cellKey(p)));
+      };
+
+      const corridors = shuffle(corridorCells(grid).filter((c) => !taken.has(cellKey(c))), random);
+      const nextCorridor = (test) => {
+        const index = corridors.findIndex((c) => !taken.has(cellKey(c)) && test(c));
+        return index === -1 ? null : corridors.splice(index, 1)[0];
+      };
+
+      const pickSpot = (keys = graph.reached) => {
+        const spots = shuffle(Array.from(keys).map(parseKey), random).filter((c) =>
+          grid[c.z][c.x] === 0 &&
+          !taken.has(cellKey(c)) &&
+          anchors.every((a) => Math.abs(a.x - c.x) + Math.abs(a.z - c.z) >= 3)
+        );
+        return spots[0] || null;
+      };
+
+      const add = (type, cell, fields) => {
+        const element = { id: nextId(type), type: type, x: cell.x + 0.5, z: cell.z + 0.5, level: level, ...fields };
+        elements.push(element);
+        taken.add(cellKey(cell));
+        return element;
+      };
+
+      // Doors may close off a dead end (that is what the keys are for),
+      // as long as no anchor, key or plate is behind them
+      for (let i = 0; i < (options.doors || 0); i++) {
+        const cell = nextCorridor(keepsRequired);
+        if (!cell) break;
+
+        block(cell);
+        const spot = pickSpot();
+        if (!spot) {
+          unblock(cell);
+          break;
+        }
+
+        const color = i % (options.colors || 1);
+        const door = add(ELEMENT_TYPES.DOOR, cell, { open: false, color: color });
+        add(ELEMENT_TYPES.KEY, spot, { door: door.id, color: color, heldBy: null });
+        required.push(spot);
+      }
+
+      // Each plate swaps two barriers on loops: one starts closed, the
+      // other open. Mazes without loops get one closed barrier in front
+      // of a dead end instead, with a second plate behind it so nobody
+      // can be locked in.
+      for (let i = 0; i < (options.switches || 0); i++) {
+        let barriers = [];
+        let inside = null;
+        for (let b = 0; b < 2; b++) {
+          const cell = nextCorridor(onLoop);
+          if (!cell) break;
+          block(cell);
+          barriers.push(cell);
+        }
+
+        if (barriers.length === 0) {
+          const cell = nextCorridor(keepsRequired);
+          if (cell) {
+            const before = graph.reached;
+            block(cell);
+            inside = pickSpot(Array.from(before).filter((key) => key !== cellKey(cell) && !graph.reached.has(key)));
+            if (inside) {
+              barriers = [cell];
+            } else {
+              unblock(cell);
+            }
+          }
+        }
+
+        const spot = barriers.length > 0 ? pickSpot() : null;
+        if (!spot) {
+          barriers.forEach(unblock);
+          break;
+        }
+
+        const targets = barriers.map((cell, b) => add(ELEMENT_TYPES.BARRIER, cell, { open: b > 0 }).id);
+        add(ELEMENT_TYPES.PLATE, spot, { targets: targets });
+        if (inside) add(ELEMENT_TYPES.PLATE, inside, { targets: targets });
+        required.push(spot);
+      }
+
+      for (let i = 0; i < (options.gates || 0); i++) {
+        const cell = nextCorridor(onLoop);
+        if (!cell) break;
+
+        block(cell);
+        const sign = random() < 0.5 ? -1 : 1;
+        add(ELEMENT_TYPES.GATE, cell, cell.axis === "x" ? { dx: sign, dz: 0 } : { dx: 0, dz: sign });
+      }
+    });
+
+    return elements;
+  }
+
+  /**
+   * Path cells with exactly two open sides facing each other
+   * @param {array} grid
+   * @returns {array} - [{x, z, axis}] with axis the corridor direction
+   */
+  function corridorCells(grid) {
+    const cells = [];
+    for (let z = 1; z < grid.length - 1; z++) {
+      for (let x = 1; x < grid[z].length - 1; x++) {
+        if (grid[z][x] !== 0) continue;
+        const openX = grid[z][x - 1] !== WALL && grid[z][x + 1] !== WALL;
+        const openZ = grid[z - 1][x] !== WALL && grid[z + 1][x] !== WALL;
+        if (openX && grid[z - 1][x] === WALL && grid[z + 1][x] === WALL) cells.push({ x, z, axis: "x" });
+        if (openZ && grid[z][x - 1] === WALL && grid[z][x + 1] === WALL) cells.push({ x, z, axis: "z" });
+      }
+    }
+    return cells;
+  }
+
+  function isOpen(grid, cell, blocked) {
+    const row = grid[cell.z];
+    return !!row && row[cell.x] !== undefined && row[cell.x] !== WALL && !blocked.has(cellKey(cell));
+  }
+
+  /**
+   * Cells reachable from start without crossing walls or blocked cells
+   * @returns {Set} - "x,z" keys
+   */
+  function reachable(grid, start, blocked) {
+    const seen = new Set([cellKey(start)]);
+    const queue = [start];
+
+    for (let head = 0; head < queue.length; head++) {
+      const { x, z } = queue[head];
+      NEIGHBOURS.forEach(([dx, dz]) => {
+        const next = { x: x + dx, z: z + dz };
+        if (!isOpen(grid, next, blocked) || seen.has(cellKey(next))) return;
+        seen.add(cellKey(next));
+        queue.push(next);
+      });
+    }
+
+    return seen;
+  }
+
+  /**
+   * Reachable cells and the cut points among them (cells whose removal
+   * disconnects something), with an iterative Tarjan walk
+   * @returns {object} - {reached: Set, cuts: Set} of "x,z" keys
+   */
+  function analyse(grid, start, blocked) {
+    const index = new Map();
+    const low = new Map();
+    const cuts = new Set();
+    const startKey = cellKey(start);
+    const stack = [{ cell: start, key: startKey, parent: null, next: 0, children: 0 }];
+    index.set(startKey, 0);
+    low.set(startKey, 0);
+
+    while (stack.length > 0) {
+      const frame = stack[stack.length - 1];
+
+      if (frame.next < NEIGHBOURS.length) {
+        const [dx, dz] = NEIGHBOURS[frame.next++];
+        const cell = { x: frame.cell.x + dx, z: frame.cell.z + dz };
+        if (!isOpen(grid, cell, blocked)) continue;
+
+        const key = cellKey(cell);
+        if (!index.has(key)) {
+          index.set(key, index.size);
+          low.set(key, index.get(key));
+          frame.children++;
+          stack.push({ cell, key, parent: frame.key, next: 0, children: 0 });
+        } else if (key !== frame.parent) {
+          low.set(frame.key, Math.min(low.get(frame.key), index.get(key)));
+        }
+        continue;
+      }
+
+      stack.pop();
+      const parent = stack[stack.length - 1];
+      if (!parent) {
+        if (frame.children > 1) cuts.add(frame.key);
+      } else {
+        low.set(parent.key, Math.min(low.get(parent.key), low.get(frame.key)));
+        if (parent.parent !== null && low.get(frame.key) >= index.get(parent.key)) cuts.add(parent.key);
+      }
+    }
+
+    return { reached: new Set(index.keys()), cuts };
+  }
+
+  // ========================================
+  // COLLISION
+  // ========================================
+
+  /**
+   * Element on a cell
+   * @param {array} elements
+   * @param {number} level
+   * @param {number} x - Grid units
+   * @param {number} z - Grid units
+   * @param {string} type - Optional type filter
+   * @returns {object|null}
+   */
+  function findAt(elements, level, x, z, type) {
+    const cellX = Math.floor(x);
+    const cellZ = Math.floor(z);
+    return (elements || []).find((e) =>
+      (e.level || 0) === (level || 0) &&
+      Math.floor(e.x) === cellX &&
+      Math.floor(e.z) === cellZ &&
+      (!type || e.type === type)
+    ) || null;
+  }
+
+  /**
+   * Check if a closed door or barrier fills a cell. A player already
+   * inside the cell (a barrier closed on them) can still walk out.
+   * @param {array} elements
+   * @param {number} level
+   * @param {number} x - Point being tested, grid units
+   * @param {number} z
+   * @param {object} from - Player position {x, z}, optional
+   * @returns {boolean}
+   */
+  function isSolid(elements, level, x, z, from) {
+    const element = findAt(elements, level, x, z);
+    if (!element || element.open !== false) return false;
+    if (element.type !== ELEMENT_TYPES.DOOR && element.type !== ELEMENT_TYPES.BARRIER) return false;
+    return !from || Math.floor(from.x) !== Math.floor(x) || Math.floor(from.z) !== Math.floor(z);
+  }
+
+  /**
+   * Check if a move crosses a one-way gate the wrong way. Entering or
+   * leaving a gate cell is only allowed in the gate's direction.
+   * @param {array} elements
+   * @param {number} level
+   * @param {object} from - {x, z} grid units
+   * @param {object} to - {x, z} grid units
+   * @returns {boolean}
+   */
+  function gateBlocks(elements, level, from, to) {
+    const dx = Math.sign(Math.floor(to.x) - Math.floor(from.x));
+    const dz = Math.sign(Math.floor(to.z) - Math.floor(from.z));
+    if (dx === 0 && dz === 0) return false;
+
+    return [findAt(elements, level, from.x, from.z, ELEMENT_TYPES.GATE), findAt(elements, level, to.x, to.z, ELEMENT_TYPES.GATE)]
+      .some((gate) => gate && (gate.dx !== dx || gate.dz !== dz));
+  }
+
+  // ========================================
+  // HELPERS
+  // ========================================
+
+  function toCell(point) {
+    return { x: Math.floor(point.x), z: Math.floor(point.z) };
+  }
+
+  function cellKey(cell) {
+    return `${cell.x},${cell.z}`;
+  }
+
+  function parseKey(key) {
+    const [x, z] = key.split(",").map(Number);
+    return { x, z };
+  }
+
+  function shuffle(items, random) {
+    for (let i = items.length - 1; i > 0; i--) {
+      const j = Math.floor(random() * (i + 1));
+      [items[i], items[j]] = [items[j], items[i]];
+    }
+    return items;
+  }
+
+  const MazeElements = {
+    TYPES: ELEMENT_TYPES,
+    place,
+    findAt,
+    isSolid,
+    gateBlocks,
+  };
+
+  // Export
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = MazeElements;
+  }
+
+  if (typeof window !== 'undefined') {
+    window.MazeElements = MazeElements;
+  }
+})();
@@ -0,0 +1,319 @@
+// ========================================
+// MAZE GENERATOR
+// Seeded procedural maze generation shared by the
+// game server and the browser
+// ========================================
+
+(function () {
+  // Supported algorithms and their display names
+  const MAZE_ALGORITHMS = {
+    backtracker: "Recursive Backtracker",
+    prim: "Prim",
+    kruskal: "Kruskal",
+    eller: "Eller",
+    braid: "Braid (com loops)",
+  };
+
+  class MazeGenerator {
+    /**
+     * @param {object} options - {algorithm, width, height, seed, braidFactor}
+     *   width/height are in cells; the grid is (2 * height + 1) x (2 * width + 1)
+     */
+    constructor(options = {}) {
+      this.algorithm = MAZE_ALGORITHMS[options.algorithm] ? options.algorithm : "backtracker";
+      this.width = Math.max(2, Math.floor(options.width || 10));
+      this.height = Math.max(2, Math.floor(options.height || this.width));
+      this.seed = options.seed !== undefined && options.seed !== ""
+        ? String(options.seed)
+        : MazeGenerator.randomSeed();
+      this.braidFactor = options.braidFactor !== undefined ? options.braidFactor : 1;
+      this.random = MazeGenerator.createRandom(`${this.seed}:${this.algorithm}`);
+    }
+
+    // ========================================
+    // SEEDING
+    // ========================================
+
+    /**
+     * Create a deterministic PRNG (mulberry32) from a string seed
+     * @param {string} seed
+     * @returns {function} - Returns floats in [0, 1)
+     */
+    static createRandom(seed) {
+      // FNV-1a hash of the seed string
+      let state = 2166136261;
+      const str = String(seed);
+      for (let i = 0; i < str.length; i++) {
+        state ^= str.charCodeAt(i);
+        state = Math.imul(state, 16777619);
+      }
+
+      return function () {
+        state = (state + 0x6d2b79f5) | 0;
+        let t = Math.imul(state ^ (state >>> 15), 1 | state);
+        t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+      };
+    }
+
+    /**
+     * Generate a short human-friendly seed
+     * @returns {string}
+     */
+    static randomSeed() {
+      return Math.random().toString(36).substr(2, 6);
+    }
+
+    // ========================================
+    // GENERATION
+    // ========================================
+
+    /**
+     * Generate the maze grid
+     * @returns {array} - 2D array where 1 = wall and 0 = path
+     */
+    generate() {
+      this.grid = [];
+      for (let row = 0; row < this.height * 2 + 1; row++) {
+        this.grid.push(new Array(this.width * 2 + 1).fill(1));
+      }
+
+      switch (this.algorithm) {
+        case "prim":
+          this.generatePrim();
+          break;
+        case "kruskal":
+          this.generateKruskal();
+          break;
+        case "eller":
+          this.generateEller();
+          break;
+        case "braid":
+          this.generateBacktracker();
+          this.braid();
+          break;
+        default:
+          this.generateBacktracker();
+      }
+
+      return this.grid;
+    }
+
+    /**
+     * Recursive backtracker (iterative depth-first search)
+     */
+    generateBacktracker() {
+      const visited = new Set([this.key(0, 0)]);
+      const stack = [{ cx: 0, cz: 0 }];
+      this.openCell(0, 0);
+
+      while (stack.length > 0) {
+        const current = stack[stack.length - 1];
+        const neighbors = this.getNeighbors(current.cx, current.cz).filter(
+          (n) => !visited.has(this.key(n.cx, n.cz))
+        );
+
+        if (neighbors.length === 0) {
+          stack.pop();
+          continue;
+        }
+
+        const next = this.pick(neighbors);
+        this.carve(current, next);
+        visited.add(this.key(next.cx, next.cz));
+        stack.push(next);
+      }
+    }
+
+    /**
+     * Randomized Prim's algorithm
+     */
+    generatePrim() {
+      const inMaze = new Set();
+      const frontier = [];
+
+      const add = (cx, cz) => {
+        inMaze.add(this.key(cx, cz));
+        this.openCell(cx, cz);
+        this.getNeighbors(cx, cz).forEach((n) => {
+          if (!inMaze.has(this.key(n.cx, n.cz))) {
+            frontier.push({ from: { cx, cz }, to: n });
+          }
+        });
+      };
+
+      add(Math.floor(this.random() * this.width), Math.floor(this.random() * this.height));
+
+      while (frontier.length > 0) {
+        const idx = Math.floor(this.random() * frontier.length);
+        const edge = frontier[idx];
+        frontier[idx] = frontier[frontier.length - 1];
+        frontier.pop();
+
+        if (inMaze.has(this.key(edge.to.cx, edge.to.cz))) continue;
+
+        this.carve(edge.from, edge.to);
+        add(edge.to.cx, edge.to.cz);
+      }
+    }
+
+    /**
+     * Randomized Kruskal's algorithm (union-find over cells)
+     */
+    generateKruskal() {
+      const parent = [];
+      for (let i = 0; i < this.width * this.height; i++) parent.push(i);
+
+      const find = (i) => {
+        while (parent[i] !== i) {
+          parent[i] = parent[parent[i]];
+          i = parent[i];
+        }
+        return i;
+      };
+
+      const edges = [];
+      for (let cz = 0; cz < this.height; cz++) {
+        for (let cx = 0; cx < this.width; cx++) {
+          this.openCell(cx, cz);
+          if (cx < this.width - 1) edges.push({ from: { cx, cz }, to: { cx: cx + 1, cz } });
+          if (cz < this.height - 1) edges.push({ from: { cx, cz }, to: { cx, cz: cz + 1 } });
+        }
+      }
+
+      this.shuffle(edges).forEach((edge) => {
+        const a = find(edge.from.cz * this.width + edge.from.cx);
+        const b = find(edge.to.cz * this.width + edge.to.cx);
+        if (a !== b) {
+          parent[a] = b;
+          this.carve(edge.from, edge.to);
+        }
+      });
+    }
+
+    /**
+     * Eller's algorithm (row by row with set merging)
+     */
+    generateEller() {
+      let sets = new Array(this.width).fill(null);
+      let nextSet = 0;
+
+      for (let cz = 0; cz < this.height; cz++) {
+        const lastRow = cz === this.height - 1;
+
+        // Cells without a set start their own
+        for (let cx = 0; cx < this.width; cx++) {
+          if (sets[cx] === null) sets[cx] = nextSet++;
+          this.openCell(cx, cz);
+        }
+
+        // Randomly join adjacent cells of different sets (always on the last row)
+        for (let cx = 0; cx < this.width - 1; cx++) {
+          if (sets[cx] !== sets[cx + 1] && (lastRow || this.random() < 0.5)) {
+            const merged = sets[cx + 1];
+            sets = sets.map((s) => (s === merged ? sets[cx] : s));
+            this.carve({ cx, cz }, { cx: cx + 1, cz });
+          }
+        }
+
+        if (lastRow) break;
+
+        // Every set carries at least one cell down to the next row
+        const nextSets = new Array(this.width).fill(null);
+        const members = {};
+        sets.forEach((s, cx) => {
+          (members[s] = members[s] || []).push(cx);
+        });
+
+        Object.values(members).forEach((cells) => {
+          const shuffled = this.shuffle(cells.slice());
+          const count = 1 + Math.floor(this.random() * shuffled.length);
+          shuffled.slice(0, count).forEach((cx) => {
+            nextSets[cx] = sets[cx];
+            this.carve({ cx, cz }, { cx, cz: cz + 1 });
+          });
+        });
+
+        sets = nextSets;
+      }
+    }
+
+    /**
+     * Remove dead ends to create loops
+     */
+    braid() {
+      for (let cz = 0; cz < this.height; cz++) {
+        for (let cx = 0; cx < this.width; cx++) {
+          const neighbors = this.getNeighbors(cx, cz);
+          const open = neighbors.filter((n) => this.isPassage({ cx, cz }, n));
+
+          if (open.length !== 1 || this.random() >= this.braidFactor) continue;
+
+          // Prefer joining another dead end so fewer walls are removed
+          const closed = neighbors.filter((n) => !this.isPassage({ cx, cz }, n));
+          const deadEnds = closed.filter(
+            (n) => this.getNeighbors(n.cx, n.cz).filter((m) => this.isPassage(n, m)).length === 1
+          );
+          this.carve({ cx, cz }, this.pick(deadEnds.length > 0 ? deadEnds : closed));
+        }
+      }
+    }
+
+    // ========================================
+    // HELPERS
+    // ========================================
+
+    key(cx, cz) {
+      return `${cx},${cz}`;
+    }
+
+    openCell(cx, cz) {
+      this.grid[cz * 2 + 1][cx * 2 + 1] = 0;
+    }
+
+    /**
+     * Open the wall between two adjacent cells
+     */
+    carve(a, b) {
+      this.openCell(a.cx, a.cz);
+      this.openCell(b.cx, b.cz);
+      this.grid[a.cz + b.cz + 1][a.cx + b.cx + 1] = 0;
+    }
+
+    isPassage(a, b) {
+      return this.grid[a.cz + b.cz + 1][a.cx + b.cx + 1] === 0;
+    }
+
+    getNeighbors(cx, cz) {
+      return [
+        { cx: cx + 1, cz },
+        { cx: cx - 1, cz },
+        { cx, cz: cz + 1 },
+        { cx, cz: cz - 1 },
+      ].filter((n) => n.cx >= 0 && n.cx < this.width && n.cz >= 0 && n.cz < this.height);
+    }
+
+    pick(items) {
+      return items[Math.floor(this.random() * items.length)];
+    }
+
+    shuffle(items) {
+      for (let i = items.length - 1; i > 0; i--) {
+        const j = Math.floor(this.random() * (i + 1));
+        [items[i], items[j]] = [items[j], items[i]];
+      }
+      return items;
+    }
+  }
+
+  MazeGenerator.ALGORITHMS = MAZE_ALGORITHMS;
+
+  // Export
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = MazeGenerator;
+  }
+
+  if (typeof window !== 'undefined') {
+    window.MazeGenerator = MazeGenerator;
+  }
+})();
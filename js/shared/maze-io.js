@@ -0,0 +1,331 @@
+// ========================================
+// MAZE IO
+// Import/export of mazes (grid, spawns and treasures) as JSON,
+// ASCII art and bitmap pixels. Shared by the game server, which
+// validates uploaded mazes, and the browser.
+// ========================================
+
+(function () {
+  const MAZE_FORMAT = "maze-runner-maze";
+  const MAZE_FORMAT_VERSION = 1;
+
+  // Grid limits: the border must be walls, and the largest grid is what
+  // the generator builds for CONFIG.MAZE_SIZE_MAX (2 * 25 + 1)
+  const MIN_GRID_SIZE = 5;
+  const MAX_GRID_SIZE = 51;
+  const MAX_SPAWNS = 8;
+  const MAX_TREASURES = 50;
+
+  // ASCII art: one character per grid cell
+  const ASCII = {
+    wall: "#",
+    floor: ".",
+    spawn: "S",
+    treasure: "T",
+  };
+
+  // Bitmap: one pixel (or cellPixels square) per grid cell
+  const PIXEL_COLORS = {
+    wall: [0, 0, 0],
+    floor: [255, 255, 255],
+    spawn: [0, 200, 0],
+    treasure: [255, 215, 0],
+  };
+
+  /**
+   * Build a maze document from game state
+   * @param {array} grid - 2D array (1 = wall, 0 = path)
+   * @param {array} treasures - [{x, z, type}] in grid units, optional; type may be left out
+   * @param {array} spawns - [{x, z}] in grid units, optional
+   * @returns {object} - {format, version, width, height, grid, spawns, treasures}
+   */
+  function fromGame(grid, treasures, spawns) {
+    return {
+      format: MAZE_FORMAT,
+      version: MAZE_FORMAT_VERSION,
+      width: grid[0] ? grid[0].length : 0,
+      height: grid.length,
+      grid: grid.map((row) => row.slice()),
+      spawns: (spawns || []).map(toCellCenter),
+      treasures: (treasures || []).map(toTreasure),
+    };
+  }
+
+  /**
+   * Check a maze document
+   * @param {object} doc
+   * @returns {object} - {ok, reason}
+   */
+  function validate(doc) {
+    if (!doc || typeof doc !== "object" || doc.format !== MAZE_FORMAT) {
+      return { ok: false, reason: `format must be "${MAZE_FORMAT}"` };
+    }
+    if (doc.version !== MAZE_FORMAT_VERSION) {
+      return { ok: false, reason: `unsupported version ${doc.version}` };
+    }
+
+    const grid = doc.grid;
+    if (!Array.isArray(grid) || grid.length < MIN_GRID_SIZE || grid.length > MAX_GRID_SIZE) {
+      return { ok: false, reason: `grid must have ${MIN_GRID_SIZE}-${MAX_GRID_SIZE} rows` };
+    }
+
+    const width = Array.isArray(grid[0]) ? grid[0].length : 0;
+    if (width < MIN_GRID_SIZE || width > MAX_GRID_SIZE) {
+      return { ok: false, reason: `grid must have ${MIN_GRID_SIZE}-${MAX_GRID_SIZE} columns` };
+    }
+
+    for (let z = 0; z < grid.length; z++) {
+      const row = grid[z];
+      if (!Array.isArray(row) || row.length !== width) {
+        return { ok: false, reason: `row ${z} must have ${width} cells` };
+      }
+      for (let x = 0; x < width; x++) {
+        if (row[x] !== 0 && row[x] !== 1) {
+          return { ok: false, reason: `cell ${x},${z} must be 0 or 1` };
+        }
+        const border = z === 0 || x === 0 || z === grid.length - 1 || x === width - 1;
+        if (border && row[x] !== 1) {
+          return { ok: false, reason: `border cell ${x},${z} must be a wall` };
+        }
+      }
+    }
+
+    const spawnCheck = validatePoints(grid, doc.spawns, "spawns", MAX_SPAWNS);
+    if (!spawnCheck.ok) return spawnCheck;
+
+    return validatePoints(grid, doc.treasures, "treasures", MAX_TREASURES);
+  }
+
+  function validatePoints(grid, points, field, max) {
+    if (!Array.isArray(points)) {
+      return { ok: false, reason: `${field} must be an array` };
+    }
+    if (points.length > max) {
+      return { ok: false, reason: `at most ${max} ${field}` };
+    }
+
+    const seen = new Set();
+    for (const point of points) {
+      if (!point || !Number.isFinite(point.x) || !Number.isFinite(point.z)) {
+        return { ok: false, reason: `${field} entries must have numeric x and z` };
+      }
+
+      const key = `${Math.floor(point.x)},${Math.floor(point.z)}`;
+      const row = grid[Math.floor(point.z)];
+      if (!row || row[Math.floor(point.x)] !== 0) {
+        return { ok: false, reason: `${field} entry ${key} is not on a path cell` };
+      }
+      if (seen.has(key)) {
+        return { ok: false, reason: `${field} entry ${key} is listed twice` };
+      }
+      seen.add(key);
+    }
+
+    return { ok: true };
+  }
+
+  // ========================================
+  // JSON
+  // ========================================
+
+  function toJSON(doc) {
+    return JSON.stringify(doc, null, 2);
+  }
+
+  /**
+   * @param {string} text
+   * @returns {object} - Validated maze document
+   * @throws {Error} - If the text is not a valid maze
+   */
+  function fromJSON(text) {
+    let doc;
+    try {
+      doc = JSON.parse(text);
+    } catch (e) {
+      throw new Error(`invalid JSON: ${e.message}`);
+    }
+    return checked(doc);
+  }
+
+  // ========================================
+  // ASCII
+  // ========================================
+
+  /**
+   * @param {object} doc
+   * @returns {string} - One line per grid row
+   */
+  function toASCII(doc) {
+    const rows = doc.grid.map((row) => row.map((cell) => (cell === 1 ? ASCII.wall : ASCII.floor)));
+
+    doc.spawns.forEach((s) => { rows[Math.floor(s.z)][Math.floor(s.x)] = ASCII.spawn; });
+    doc.treasures.forEach((t) => { rows[Math.floor(t.z)][Math.floor(t.x)] = ASCII.treasure; });
+
+    return rows.map((row) => row.join("")).join("\n");
+  }
+
+  /**
+   * Parse ASCII art. Spaces count as path; short rows are padded
+   * with path (so a missing border is reported by validate).
+   * @param {string} text
+   * @returns {object} - Validated maze document
+   * @throws {Error}
+   */
+  function fromASCII(text) {
+    const lines = text.replace(/\r/g, "").split("\n");
+    while (lines.length > 0 && lines[lines.length - 1].trim() === "") lines.pop();
+
+    const width = Math.max(0, ...lines.map((line) => line.length));
+    const cells = lines.map((line) => line.padEnd(width, ASCII.floor).split(""));
+
+    return checked(fromCells(cells, (char, x, z) => {
+      switch (char) {
+        case ASCII.wall: return "wall";
+        case ASCII.floor: case " ": return "floor";
+        case ASCII.spawn: return "spawn";
+        case ASCII.treasure: return "treasure";
+        default: throw new Error(`unknown character "${char}" at ${x},${z}`);
+      }
+    }));
+  }
+
+  // ========================================
+  // BITMAP
+  // ========================================
+
+  /**
+   * Render to RGBA pixels (canvas ImageData layout)
+   * @param {object} doc
+   * @param {number} cellPixels - Pixels per grid cell, default 1
+   * @returns {object} - {width, height, data: Uint8ClampedArray}
+   */
+  function toImageData(doc, cellPixels = 1) {
+    const width = doc.width * cellPixels;
+    const height = doc.height * cellPixels;
+    const data = new Uint8ClampedArray(width * height * 4);
+
+    const kinds = doc.grid.map((row) => row.map((cell) => (cell === 1 ? "wall" : "floor")));
+    doc.spawns.forEach((s) => { kinds[Math.floor(s.z)][Math.floor(s.x)] = "spawn"; });
+    doc.treasures.forEach((t) => { kinds[Math.floor(t.z)][Math.floor(t.x)] = "treasure"; });
+
+    for (let py = 0; py < height; py++) {
+      for (let px = 0; px < width; px++) {
+        const color = PIXEL_COLORS[kinds[Math.floor(py / cellPixels)][Math.floor(px / cellPixels)]];
+        const i = (py * width + px) * 4;
+        data[i] = color[0];
+        data[i + 1] = color[1];
+        data[i + 2] = color[2];
+        data[i + 3] = 255;
+      }
+    }
+
+    return { width, height, data };
+  }
+
+  /**
+   * Read RGBA pixels: dark = wall, light = path, green = spawn,
+   * yellow = treasure. Each cell is sampled at its center pixel.
+   * @param {object} image - {width, height, data} (canvas ImageData)
+   * @param {number} cellPixels - Pixels per grid cell, default 1
+   * @returns {object} - Validated maze document
+   * @throws {Error}
+   */
+  function fromImageData(image, cellPixels = 1) {
+    const columns = Math.floor(image.width / cellPixels);
+    const rows = Math.floor(image.height / cellPixels);
+    const half = Math.floor(cellPixels / 2);
+
+    const cells = [];
+    for (let z = 0; z < rows; z++) {
+      cells.push([]);
+      for (let x = 0; x < columns; x++) {
+        const i = ((z * cellPixels + half) * image.width + x * cellPixels + half) * 4;
+        cells[z].push([image.data[i], image.data[i + 1], image.data[i + 2], image.data[i + 3]]);
+      }
+    }
+
+    return checked(fromCells(cells, classifyPixel));
+  }
+
+  function classifyPixel([r, g, b, a]) {
+    if (a < 128) return "floor";
+    if (g > r + 64 && g > b + 64) return "spawn";
+    if (r > 128 && g > 128 && b < 96) return "treasure";
+    return (r + g + b) / 3 < 128 ? "wall" : "floor";
+  }
+
+  // ========================================
+  // HELPERS
+  // ========================================
+
+  /**
+   * Build a document from a 2D array of cells
+   * @param {array} cells
+   * @param {function} classify - (cell, x, z) -> wall | floor | spawn | treasure
+   * @returns {object}
+   */
+  function fromCells(cells, classify) {
+    const grid = [];
+    const spawns = [];
+    const treasures = [];
+
+    cells.forEach((row, z) => {
+      grid.push(row.map((cell, x) => {
+        const kind = classify(cell, x, z);
+        if (kind === "spawn") spawns.push({ x: x + 0.5, z: z + 0.5 });
+        if (kind === "treasure") treasures.push({ x: x + 0.5, z: z + 0.5 });
+        return kind === "wall" ? 1 : 0;
+      }));
+    });
+
+    return fromGame(grid, treasures, spawns);
+  }
+
+  function toCellCenter(point) {
+    return { x: Math.floor(point.x) + 0.5, z: Math.floor(point.z) + 0.5 };
+  }
+
+  // A treasure keeps its type (a CONFIG.TREASURE_TYPES key) when it has one
+  function toTreasure(point) {
+    const treasure = toCellCenter(point);
+    if (typeof point.type === "string") treasure.type = point.type;
+    return treasure;
+  }
+
+  /**
+   * Validate, then normalize (width/height, cell-centered points)
+   */
+  function checked(doc) {
+    const result = validate(doc);
+    if (!result.ok) throw new Error(result.reason);
+    return fromGame(doc.grid, doc.treasures, doc.spawns);
+  }
+
+  const MazeIO = {
+    FORMAT: MAZE_FORMAT,
+    VERSION: MAZE_FORMAT_VERSION,
+    LIMITS: {
+      minGridSize: MIN_GRID_SIZE,
+      maxGridSize: MAX_GRID_SIZE,
+      maxSpawns: MAX_SPAWNS,
+      maxTreasures: MAX_TREASURES,
+    },
+    fromGame,
+    validate,
+    toJSON,
+    fromJSON,
+    toASCII,
+    fromASCII,
+    toImageData,
+    fromImageData,
+  };
+
+  // Export
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = MazeIO;
+  }
+
+  if (typeof window !== 'undefined') {
+    window.MazeIO = MazeIO;
+  }
+})();
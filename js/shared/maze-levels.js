@@ -0,0 +1,132 @@
+// ========================================
+// MAZE LEVELS
+// Multi-floor mazes: levels[level][row][col], level 0 at the
+// bottom. A STAIRS_UP cell climbs to the same cell one level up,
+// which is a STAIRS_DOWN stairwell. Shared by the game server
+// and the browser.
+// ========================================
+
+(function () {
+  const CELL = {
+    PATH: 0,
+    WALL: 1,
+    STAIRS_UP: 2,
+    STAIRS_DOWN: 3,
+  };
+
+  /**
+   * Stack generated grids and connect each pair of neighbouring levels
+   * with stairs on cells that are path on both
+   * @param {array} grids - One 2D grid per level, same size
+   * @param {object} options - {stairs (per connection), avoid: [{x, z}], random}
+   * @returns {array} - levels[level][row][col]
+   */
+  function connectLevels(grids, options = {}) {
+    const stairs = options.stairs || 2;
+    const avoid = options.avoid || [];
+    const random = options.random || Math.random;
+    const levels = grids.map((grid) => grid.map((row) => row.slice()));
+
+    for (let level = 0; level < levels.length - 1; level++) {
+      const lower = levels[level];
+      const upper = levels[level + 1];
+
+      // Dead ends keep stairs out of the corridors everyone walks through
+      const candidates = [];
+      for (let z = 1; z < lower.length - 1; z++) {
+        for (let x = 1; x < lower[z].length - 1; x++) {
+          if (lower[z][x] !== CELL.PATH || upper[z][x] !== CELL.PATH) continue;
+          if (avoid.some((p) => Math.abs(Math.floor(p.x) - x) + Math.abs(Math.floor(p.z) - z) < 3)) continue;
+          candidates.push({ x, z, deadEnd: openSides(lower, x, z) === 1 });
+        }
+      }
+
+      const shuffled = candidates
+        .map((cell) => ({ cell, key: (cell.deadEnd ? 0 : 1) + random() }))
+        .sort((a, b) => a.key - b.key)
+        .map((entry) => entry.cell);
+
+      const placed = [];
+      for (const cell of shuffled) {
+        if (placed.length >= stairs) break;
+        if (placed.some((p) => Math.abs(p.x - cell.x) + Math.abs(p.z - cell.z) < 4)) continue;
+
+        lower[cell.z][cell.x] = CELL.STAIRS_UP;
+        upper[cell.z][cell.x] = CELL.STAIRS_DOWN;
+        placed.push(cell);
+      }
+    }
+
+    return levels;
+  }
+
+  function openSides(grid, x, z) {
+    return [[1, 0], [-1, 0], [0, 1], [0, -1]]
+      .filter(([dx, dz]) => grid[z + dz] && grid[z + dz][x + dx] !== CELL.WALL)
+      .length;
+  }
+
+  /**
+   * Level after a move. The level only changes when the move enters a
+   * stairs cell, so standing on the arrival stairwell does not bounce
+   * the player back.
+   * @param {array} levels
+   * @param {number} level - Level the move starts on
+   * @param {object} from - {x, z} in grid units
+   * @param {object} to - {x, z} in grid units
+   * @returns {number}
+   */
+  function nextLevel(levels, level, from, to) {
+    const grid = levels[level];
+    const toX = Math.floor(to.x);
+    const toZ = Math.floor(to.z);
+    if (!grid || !grid[toZ]) return level;
+    if (Math.floor(from.x) === toX && Math.floor(from.z) === toZ) return level;
+
+    const cell = grid[toZ][toX];
+    if (cell === CELL.STAIRS_UP && levels[level + 1]) return level + 1;
+    if (cell === CELL.STAIRS_DOWN && level > 0) return level - 1;
+    return level;
+  }
+
+  /**
+   * Copy of a level with stairs as plain path, for code that only
+   * knows walls and path (pathfinding, treasure placement)
+   * @param {array} grid
+   * @returns {array}
+   */
+  function flatten(grid) {
+    return grid.map((row) => row.map((cell) => (cell === CELL.WALL ? CELL.WALL : CELL.PATH)));
+  }
+
+  /**
+   * Cells of a given type on one level
+   * @param {array} grid
+   * @param {number} type - A CELL value
+   * @returns {array} - [{x, z}] cell centers
+   */
+  function findCells(grid, type) {
+    const cells = [];
+    grid.forEach((row, z) => row.forEach((cell, x) => {
+      if (cell === type) cells.push({ x: x + 0.5, z: z + 0.5 });
+    }));
+    return cells;
+  }
+
+  const MazeLevels = {
+    CELL,
+    connectLevels,
+    nextLevel,
+    flatten,
+    findCells,
+  };
+
+  // Export
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = MazeLevels;
+  }
+
+  if (typeof window !== 'undefined') {
+    window.MazeLevels = MazeLevels;
+  }
+})();
@@ -0,0 +1,253 @@
+// ========================================
+// MAZE SHIFT
+// Rearranges one square region of a generated maze at a time, for
+// the shifting maze mode. Maze cells sit on odd grid coordinates
+// (as MazeGenerator lays them out); a shift re-carves the passages
+// between the cells of a region and leaves its border alone, so
+// everything that was connected stays connected. The game server
+// plans and applies shifts; the browser applies the same changes.
+// ========================================
+
+(function () {
+  const PATH = 0;
+  const WALL = 1;
+  const NEIGHBOURS = [[1, 0], [-1, 0], [0, 1], [0, -1]];
+
+  /**
+   * Plan a shift on one level
+   * @param {array} grid
+   * @param {object} options - {cells (region side, in maze cells), protect: [{x, z}]
+   *   points whose cell must not change, required: [{x, z}] points that must stay
+   *   connected, random, attempts}
+   * @returns {object|null} - {region: {x, z, size}, changes: [{x, z, cell}]} in
+   *   grid cells, or null when no region could be shifted
+   */
+  function plan(grid, options = {}) {
+    const cells = options.cells || 3;
+    const random = options.random || Math.random;
+    const attempts = options.attempts || 20;
+    const protect = new Set((options.protect || []).map((p) => cellKey(toCell(p))));
+
+    // Region origins are maze cells, i.e. odd grid coordinates
+    const originsX = (grid[0].length - 1) / 2 - cells + 1;
+    const originsZ = (grid.length - 1) / 2 - cells + 1;
+    if (originsX < 1 || originsZ < 1) return null;
+
+    for (let attempt = 0; attempt < attempts; attempt++) {
+      const region = {
+        x: 1 + 2 * Math.floor(random() * originsX),
+        z: 1 + 2 * Math.floor(random() * originsZ),
+        size: cells * 2 - 1,
+      };
+      if (!fits(grid, region, protect)) continue;
+
+      const changes = recarve(grid, region, cells, random);
+      if (changes.length === 0 || !keepsConnected(grid, changes, options.required || [])) continue;
+
+      return { region, changes };
+    }
+
+    return null;
+  }
+
+  /**
+   * Write changes into a grid, in place
+   * @param {array} grid
+   * @param {array} changes - [{x, z, cell}]
+   */
+  function apply(grid, changes) {
+    changes.forEach(({ x, z, cell }) => {
+      if (grid[z] && grid[z][x] !== undefined) grid[z][x] = cell;
+    });
+  }
+
+  /**
+   * Cells that differ between two grids of the same size
+   * @param {array} from
+   * @param {array} to
+   * @returns {array} - [{x, z, cell}] with the cell value in to
+   */
+  function diff(from, to) {
+    const changes = [];
+    to.forEach((row, z) => row.forEach((cell, x) => {
+      if (from[z] && from[z][x] !== cell) changes.push({ x, z, cell });
+    }));
+    return changes;
+  }
+
+  /**
+   * Where a player must go after a shift. Players whose body overlaps a
+   * wall are moved to the center of the nearest open cell.
+   * @param {array} grid - After the shift
+   * @param {object} point - {x, z} grid units
+   * @param {number} radius - Player radius, grid units
+   * @returns {object|null} - {x, z} cell center, or null when the player is free
+   */
+  function resolvePosition(grid, point, radius = 0) {
+    const corners = [[0, 0], [radius, radius], [radius, -radius], [-radius, radius], [-radius, -radius]];
+    const pinned = corners.some(([dx, dz]) => isWall(grid, toCell({ x: point.x + dx, z: point.z + dz })));
+    if (!pinned) return null;
+
+    const start = toCell(point);
+    const seen = new Set([cellKey(start)]);
+    const queue = [start];
+
+    // Breadth-first through walls too, so the first open cell is the nearest
+    for (let head = 0; head < queue.length; head++) {
+      const cell = queue[head];
+      if (!isWall(grid, cell)) return { x: cell.x + 0.5, z: cell.z + 0.5 };
+
+      NEIGHBOURS.forEach(([dx, dz]) => {
+        const next = { x: cell.x + dx, z: cell.z + dz };
+        if (!grid[next.z] || grid[next.z][next.x] === undefined || seen.has(cellKey(next))) return;
+        seen.add(cellKey(next));
+        queue.push(next);
+      });
+    }
+
+    return null;
+  }
+
+  /**
+   * Most grid cells one shift can change: every passage inside a region
+   * @param {number} cells - Region side, in maze cells
+   * @returns {number}
+   */
+  function maxChanges(cells) {
+    return 2 * cells * (cells - 1);
+  }
+
+  // ========================================
+  // HELPERS
+  // ========================================
+
+  /**
+   * A region can shift when it is laid out like a generated maze - open
+   * cells, wall pillars, plain path or wall between them - and holds
+   * nothing protected
+   */
+  function fits(grid, region, protect) {
+    for (let z = region.z; z < region.z + region.size; z++) {
+      for (let x = region.x; x < region.x + region.size; x++) {
+        const cell = grid[z] && grid[z][x];
+        const oddX = (x - region.x) % 2 === 0;
+        const oddZ = (z - region.z) % 2 === 0;
+
+        if (protect.has(cellKey({ x, z }))) return false;
+        if (oddX && oddZ && cell !== PATH) return false;
+        if (!oddX && !oddZ && cell !== WALL) return false;
+        if (cell !== PATH && cell !== WALL) return false;
+      }
+    }
+    return true;
+  }
+
+  /**
+   * New passages for a region: a random spanning tree over its cells,
+   * plus extra passages so braided regions keep as many loops
+   * @returns {array} - Changed grid cells
+   */
+  function recarve(grid, region, cells, random) {
+    const passages = [];
+    for (let cz = 0; cz < cells; cz++) {
+      for (let cx = 0; cx < cells; cx++) {
+        if (cx < cells - 1) passages.push({ a: cz * cells + cx, b: cz * cells + cx + 1, x: region.x + cx * 2 + 1, z: region.z + cz * 2 });
+        if (cz < cells - 1) passages.push({ a: cz * cells + cx, b: (cz + 1) * cells + cx, x: region.x + cx * 2, z: region.z + cz * 2 + 1 });
+      }
+    }
+    const openBefore = passages.filter((p) => grid[p.z][p.x] === PATH).length;
+
+    const parent = Array.from({ length: cells * cells }, (_, i) => i);
+    const find = (i) => (parent[i] === i ? i : (parent[i] = find(parent[i])));
+
+    const open = new Set();
+    const rest = [];
+    shuffle(passages.slice(), random).forEach((passage) => {
+      const a = find(passage.a);
+      const b = find(passage.b);
+      if (a !== b) {
+        parent[a] = b;
+        open.add(passage);
+      } else {
+        rest.push(passage);
+      }
+    });
+    rest.slice(0, Math.max(openBefore - open.size, 0)).forEach((passage) => open.add(passage));
+
+    return passages
+      .map((p) => ({ x: p.x, z: p.z, cell: open.has(p) ? PATH : WALL }))
+      .filter((change) => grid[change.z][change.x] !== change.cell);
+  }
+
+  /**
+   * Every required point reachable before the changes is still reachable
+   */
+  function keepsConnected(grid, changes, required) {
+    if (required.length === 0) return true;
+
+    const after = grid.map((row) => row.slice());
+    apply(after, changes);
+
+    const start = toCell(required[0]);
+    const before = reachable(grid, start);
+    const now = reachable(after, start);
+    return required
+      .map((p) => cellKey(toCell(p)))
+      .every((key) => !before.has(key) || now.has(key));
+  }
+
+  function reachable(grid, start) {
+    const seen = new Set();
+    if (isWall(grid, start)) return seen;
+
+    seen.add(cellKey(start));
+    const queue = [start];
+    for (let head = 0; head < queue.length; head++) {
+      const cell = queue[head];
+      NEIGHBOURS.forEach(([dx, dz]) => {
+        const next = { x: cell.x + dx, z: cell.z + dz };
+        if (isWall(grid, next) || seen.has(cellKey(next))) return;
+        seen.add(cellKey(next));
+        queue.push(next);
+      });
+    }
+    return seen;
+  }
+
+  function isWall(grid, cell) {
+    return !grid[cell.z] || grid[cell.z][cell.x] === undefined || grid[cell.z][cell.x] === WALL;
+  }
+
+  function toCell(point) {
+    return { x: Math.floor(point.x), z: Math.floor(point.z) };
+  }
+
+  function cellKey(cell) {
+    return `${cell.x},${cell.z}`;
+  }
+
+  function shuffle(items, random) {
+    for (let i = items.length - 1; i > 0; i--) {
+      const j = Math.floor(random() * (i + 1));
+      [items[i], items[j]] = [items[j], items[i]];
+    }
+    return items;
+  }
+
+  const MazeShift = {
+    plan,
+    apply,
+    diff,
+    resolvePosition,
+    maxChanges,
+  };
+
+  // Export
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = MazeShift;
+  }
+
+  if (typeof window !== 'undefined') {
+    window.MazeShift = MazeShift;
+  }
+})();
@@ -0,0 +1,159 @@
+// ========================================
+// PROTOCOL
+// Versioned message schemas shared by the game server
+// and the browser
+// ========================================
+
+(function () {
+  // Bump whenever a message shape changes incompatibly
+  const PROTOCOL_VERSION = 1;
+
+  // Payload fields per message type. A trailing "?" marks a field
+  // as optional (it may be missing or null). Fields not listed are
+  // allowed and ignored.
+  const MESSAGE_SCHEMAS = {
+    // Client -> Server
+    client: {
+      hello: { version: "integer", codecs: "array?" },
+      create_room: { playerId: "string", name: "string", maxPlayers: "integer?", maze: "object?", settings: "object?" },
+      join: { playerId: "string", name: "string" },
+      resume: { token: "string" },
+      ready: { ready: "boolean?" },
+      move: { x: "number", z: "number", direction: "number?", seq: "integer?" },
+      collect_treasure: { treasureId: "string", playerId: "string?" },
+      leave_room: { playerId: "string?", roomCode: "string?" },
+      ping: { id: "integer" },
+      snapshot_ack: { seq: "integer" },
+      resync: {},
+    },
+
+    // Server -> Client
+    server: {
+      welcome: { version: "integer", codec: "string?" },
+      room_created: { code: "string", room: "object" },
+      session: { token: "string", playerId: "string", roomCode: "string" },
+      resumed: { playerId: "string", room: "object" },
+      resume_failed: { reason: "string" },
+      // Full snapshot (full: true) or delta against baseSeq
+      game_update: {
+        seq: "integer",
+        baseSeq: "integer?",
+        full: "boolean?",
+        maze: "array?",
+        levels: "array?",
+        mazeInfo: "object?",
+        settings: "object?",
+        treasures: "array?",
+        elements: "array?",
+        players: "object?",
+        removedPlayers: "array?",
+        collected: "array?",
+      },
+      player_joined: { id: "string", slot: "integer", name: "string" },
+      player_left: { playerId: "string" },
+      ready: { playerId: "string", ready: "boolean", players: "object" },
+      player_update: {
+        id: "string",
+        x: "number?",
+        z: "number?",
+        direction: "number?",
+        level: "integer?",
+        seq: "integer?",
+        connected: "boolean?",
+      },
+      move_rejected: {
+        x: "number",
+        z: "number",
+        direction: "number?",
+        level: "integer?",
+        seq: "integer?",
+        reason: "string",
+      },
+      game_start: {
+        maze: "array",
+        levels: "array?",
+        treasures: "array",
+        elements: "array?",
+        players: "object",
+        settings: "object?",
+        startsAt: "number?",
+        endsAt: "number?",
+      },
+      // Shifting mazes: changes are [{x, z, cell}] on one level, announced at
+      // maze_shift_warning and applied at maze_shift; pushed: playerId -> {x, z}
+      maze_shift_warning: { id: "integer", level: "integer", changes: "array", at: "number" },
+      maze_shift: { id: "integer", level: "integer", changes: "array", pushed: "object?" },
+      // Doors, keys and barriers whose state changed; playerId is who changed them
+      element_update: { elements: "array", playerId: "string?" },
+      treasure_collected: { treasureId: "string", playerId: "string", treasures: "integer", points: "integer?" },
+      game_win: { playerId: "string?", playerName: "string", treasures: "integer", points: "integer?", timeUp: "boolean?" },
+      pong: { id: "integer?", serverTime: "number" },
+      error: { message: "string", code: "string?", reason: "string?" },
+    },
+  };
+
+  const TYPE_CHECKS = {
+    string: (value) => typeof value === "string",
+    number: (value) => Number.isFinite(value),
+    integer: (value) => Number.isInteger(value),
+    boolean: (value) => typeof value === "boolean",
+    object: (value) => value !== null && typeof value === "object" && !Array.isArray(value),
+    array: (value) => Array.isArray(value),
+  };
+
+  /**
+   * Check a parsed message against the schema for its direction
+   * @param {string} direction - "client" (client -> server) or "server" (server -> client)
+   * @param {object} message - {type, payload, requestId}
+   * @returns {object} - {ok, reason}
+   */
+  function validateMessage(direction, message) {
+    if (!TYPE_CHECKS.object(message) || typeof message.type !== "string") {
+      return { ok: false, reason: "message must be an object with a string type" };
+    }
+    if (message.requestId !== undefined && typeof message.requestId !== "string") {
+      return { ok: false, reason: "requestId must be a string" };
+    }
+
+    const schema = MESSAGE_SCHEMAS[direction][message.type];
+    if (!schema) {
+      return { ok: false, reason: `unknown message type "${message.type}"` };
+    }
+
+    const payload = message.payload;
+    if (!TYPE_CHECKS.object(payload)) {
+      return { ok: false, reason: `${message.type}: payload must be an object` };
+    }
+
+    for (const [field, spec] of Object.entries(schema)) {
+      const optional = spec.endsWith("?");
+      const type = optional ? spec.slice(0, -1) : spec;
+      const value = payload[field];
+
+      if (value === undefined || value === null) {
+        if (optional) continue;
+        return { ok: false, reason: `${message.type}: missing ${field}` };
+      }
+      if (!TYPE_CHECKS[type](value)) {
+        return { ok: false, reason: `${message.type}: ${field} must be of type ${type}` };
+      }
+    }
+
+    return { ok: true };
+  }
+
+  const Protocol = {
+    VERSION: PROTOCOL_VERSION,
+    SCHEMAS: MESSAGE_SCHEMAS,
+    validate: validateMessage,
+  };
+
+  // Export
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Protocol;
+  }
+
+  if (typeof window !== 'undefined') {
+    window.Protocol = Protocol;
+  }
+})();
@@ -0,0 +1,382 @@
+// ========================================
+// TREASURE PLACEMENT
+// Places treasures on reachable floor cells with a minimum
+// path distance between them, balanced across spawn points
+// ========================================
+
+(function () {
+  class TreasurePlacement {
+    /**
+     * @param {array} maze - 2D grid (1 = wall, 0 = path)
+     * @param {object} options - {count, spawns, exclude, minSpacing, attempts, refineSteps, random}
+     *   exclude: [{x, z}] cells that never get a treasure (e.g. stairs)
+     */
+    constructor(maze, options = {}) {
+      this.maze = maze;
+      this.count = options.count || 10;
+      this.spawns = options.spawns || TreasurePlacement.findSpawnPoints(maze);
+      this.attempts = options.attempts || 10;
+      this.refineSteps = options.refineSteps || 150;
+      this.random = options.random || Math.random;
+      this.exclude = options.exclude || [];
+
+      this.spawnDistances = this.spawns.map((spawn) =>
+        TreasurePlacement.distanceMap(maze, Math.floor(spawn.x), Math.floor(spawn.z))
+      );
+      this.candidates = this.getCandidateCells();
+      this.minSpacing = options.minSpacing || this.getDefaultSpacing();
+    }
+
+    // ========================================
+    // PATHFINDING
+    // ========================================
+
+    /**
+     * Breadth-first path distances from a cell
+     * @param {array} maze
+     * @param {number} startX - Grid column
+     * @param {number} startZ - Grid row
+     * @returns {array} - 2D array of step counts (-1 = unreachable)
+     */
+    static distanceMap(maze, startX, startZ) {
+      const distances = maze.map((row) => new Array(row.length).fill(-1));
+
+      if (!maze[startZ] || maze[startZ][startX] !== 0) {
+        return distances;
+      }
+
+      distances[startZ][startX] = 0;
+      const queue = [{ x: startX, z: startZ }];
+
+      for (let head = 0; head < queue.length; head++) {
+        const { x, z } = queue[head];
+        const next = [
+          { x: x + 1, z },
+          { x: x - 1, z },
+          { x, z: z + 1 },
+          { x, z: z - 1 },
+        ];
+
+        next.forEach((n) => {
+          if (maze[n.z] && maze[n.z][n.x] === 0 && distances[n.z][n.x] === -1) {
+            distances[n.z][n.x] = distances[z][x] + 1;
+            queue.push(n);
+          }
+        });
+      }
+
+      return distances;
+    }
+
+    /**
+     * Floor cell nearest to each corner of the maze
+     * @param {array} maze
+     * @returns {array} - Array of {x, z} grid positions (cell centers)
+     */
+    static findSpawnPoints(maze) {
+      const height = maze.length;
+      const width = maze[0].length;
+      const corners = [
+        { x: 1, z: 1 },
+        { x: width - 2, z: height - 2 },
+        { x: width - 2, z: 1 },
+        { x: 1, z: height - 2 },
+      ];
+
+      return corners.map((corner) => {
+        let best = null;
+        let bestDistance = Infinity;
+
+        for (let z = 0; z < height; z++) {
+          for (let x = 0; x < width; x++) {
+            if (maze[z][x] !== 0) continue;
+            const distance = Math.abs(x - corner.x) + Math.abs(z - corner.z);
+            if (distance < bestDistance) {
+              bestDistance = distance;
+              best = { x: x + 0.5, z: z + 0.5 };
+            }
+          }
+        }
+
+        return best;
+      });
+    }
+
+    // ========================================
+    // PLACEMENT
+    // ========================================
+
+    /**
+     * Floor cells reachable from every spawn, excluding the spawns
+     * themselves and the excluded cells
+     * @returns {array} - Array of {x, z} grid cells
+     */
+    getCandidateCells() {
+      const cells = [];
+      const spawnKeys = new Set(
+        this.spawns.concat(this.exclude).map((s) => `${Math.floor(s.x)},${Math.floor(s.z)}`)
+      );
+
+      for (let z = 0; z < this.maze.length; z++) {
+        for (let x = 0; x < this.maze[z].length; x++) {
+          if (this.maze[z][x] !== 0 || spawnKeys.has(`${x},${z}`)) continue;
+          if (this.spawnDistances.every((map) => map[z][x] > 0)) {
+            cells.push({ x, z });
+          }
+        }
+      }
+
+      return cells;
+    }
+
+    /**
+     * Spacing that spreads the treasures over the whole maze
+     * @returns {number}
+     */
+    getDefaultSpacing() {
+      return Math.max(2, Math.floor(Math.sqrt(this.candidates.length / this.count) * 2));
+    }
+
+    /**
+     * Place treasures, keeping the most balanced of several attempts
+     * @returns {object} - {treasures, spawns, metrics}
+     */
+    place() {
+      let spacing = this.minSpacing;
+      let best = null;
+
+      // Relax the spacing until the maze can hold every treasure
+      while (!best && spacing >= 1) {
+        for (let i = 0; i < this.attempts; i++) {
+          let cells = this.pickCells(spacing);
+          if (cells.length < Math.min(this.count, this.candidates.length)) continue;
+
+          cells = this.refine(cells, spacing);
+          const imbalance = this.getSpawnStats(cells).imbalance;
+          if (!best || imbalance < best.imbalance) {
+            best = { cells, imbalance };
+          }
+        }
+        if (!best) spacing--;
+      }
+
+      const cells = best ? best.cells : [];
+
+      return {
+        treasures: cells.map((cell, idx) => ({
+          id: `treasure-${idx + 1}`,
+          x: cell.x + 0.5,
+          z: cell.z + 0.5,
+        })),
+        spawns: this.spawns,
+        metrics: this.measure(cells, spacing),
+      };
+    }
+
+    /**
+     * Greedily pick random cells that respect the spacing
+     * @param {number} spacing - Minimum path distance between treasures
+     * @returns {array}
+     */
+    pickCells(spacing) {
+      const picked = [];
+      const blocked = new Set();
+      const order = this.shuffle(this.candidates.slice());
+
+      for (const cell of order) {
+        if (picked.length >= this.count) break;
+        if (blocked.has(`${cell.x},${cell.z}`)) continue;
+        if (this.isInSpawnArea(cell, spacing)) continue;
+
+        picked.push(cell);
+
+        const distances = TreasurePlacement.distanceMap(this.maze, cell.x, cell.z);
+        this.candidates.forEach((c) => {
+          const d = distances[c.z][c.x];
+          if (d >= 0 && d < spacing) blocked.add(`${c.x},${c.z}`);
+        });
+      }
+
+      return picked;
+    }
+
+    /**
+     * Hill-climb towards a more balanced placement by moving one
+     * treasure at a time while keeping the spacing
+     * @param {array} cells - Initial placement
+     * @param {number} spacing
+     * @returns {array}
+     */
+    refine(cells, spacing) {
+      let current = cells.slice();
+      let imbalance = this.getSpawnStats(current).imbalance;
+      const taken = new Set(current.map((c) => `${c.x},${c.z}`));
+
+      for (let step = 0; step < this.refineSteps && imbalance > 0; step++) {
+        const idx = Math.floor(this.random() * current.length);
+        const candidate = this.candidates[Math.floor(this.random() * this.candidates.length)];
+
+        if (taken.has(`${candidate.x},${candidate.z}`)) continue;
+        if (this.isInSpawnArea(candidate, spacing)) continue;
+
+        const trial = current.slice();
+        trial[idx] = candidate;
+        const trialImbalance = this.getSpawnStats(trial).imbalance;
+        if (trialImbalance >= imbalance) continue;
+
+        const distances = TreasurePlacement.distanceMap(this.maze, candidate.x, candidate.z);
+        const tooClose = current.some(
+          (c, i) => i !== idx && distances[c.z][c.x] < spacing
+        );
+
+        if (!tooClose) {
+          taken.delete(`${current[idx].x},${current[idx].z}`);
+          taken.add(`${candidate.x},${candidate.z}`);
+          current = trial;
+          imbalance = trialImbalance;
+        }
+      }
+
+      return current;
+    }
+
+    /**
+     * Keep treasures out of the spawn areas
+     * @param {object} cell
+     * @param {number} spacing
+     * @returns {boolean}
+     */
+    isInSpawnArea(cell, spacing) {
+      return this.spawnDistances.some((map) => map[cell.z][cell.x] < spacing / 2);
+    }
+
+    /**
+     * Give each treasure without a type one from a catalogue. Unique
+     * types nobody holds yet go to the treasures farthest from their
+     * nearest spawn, so no player starts next to them; the rest are
+     * drawn by rarity.
+     * @param {array} treasures - {x, z, type} on this maze; type is set in place
+     * @param {object} types - Catalogue, see CONFIG.TREASURE_TYPES
+     * @param {object} options - {unique: false to leave out unique types}
+     * @returns {array} - The same treasures
+     */
+    assignTypes(treasures, types, options = {}) {
+      const ids = Object.keys(types);
+      const untyped = treasures.filter((t) => !t.type);
+      const held = treasures.map((t) => t.type);
+      const unique = options.unique === false
+        ? []
+        : ids.filter((id) => types[id].unique && !held.includes(id));
+      const drawn = ids.filter((id) => !types[id].unique && types[id].rarity > 0);
+      const total = drawn.reduce((sum, id) => sum + types[id].rarity, 0);
+
+      // Ties go to the treasure whose distance differs least between spawns
+      const ranked = untyped
+        .map((t) => {
+          const distances = this.spawnDistances.map((map) => map[Math.floor(t.z)][Math.floor(t.x)]);
+          return { treasure: t, depth: Math.min(...distances), spread: Math.max(...distances) - Math.min(...distances) };
+        })
+        .sort((a, b) => b.depth - a.depth || a.spread - b.spread);
+      unique.forEach((id, idx) => {
+        if (ranked[idx]) ranked[idx].treasure.type = id;
+      });
+
+      untyped.forEach((t) => {
+        if (t.type) return;
+        let roll = this.random() * total;
+        t.type = drawn.find((id) => (roll -= types[id].rarity) < 0) || drawn[drawn.length - 1];
+      });
+      return treasures;
+    }
+
+    // ========================================
+    // FAIRNESS METRICS
+    // ========================================
+
+    /**
+     * Measure how evenly treasures are spread between spawns
+     * @param {array} cells - Picked treasure cells
+     * @param {number} spacing - Spacing used for this placement
+     * @returns {object} - {fairness, imbalance, minSpacing, treasureCount, spawns}
+     */
+    measure(cells, spacing) {
+      const { spawns, imbalance } = this.getSpawnStats(cells);
+
+      return {
+        fairness: Math.round((1 - Math.min(imbalance, 1)) * 100),
+        imbalance: Math.round(imbalance * 1000) / 1000,
+        minSpacing: this.getActualSpacing(cells, spacing),
+        treasureCount: cells.length,
+        spawns: spawns,
+      };
+    }
+
+    /**
+     * Average path distance from each spawn to its closest share of
+     * treasures, and the relative spread between spawns
+     * @param {array} cells
+     * @returns {object} - {spawns, imbalance}
+     */
+    getSpawnStats(cells) {
+      // Each player competes for roughly count / players treasures
+      const share = Math.max(1, Math.ceil(cells.length / this.spawns.length));
+
+      const spawns = this.spawnDistances.map((map, idx) => {
+        const distances = cells.map((c) => map[c.z][c.x]).sort((a, b) => a - b);
+        const closest = distances.slice(0, share);
+        const average = closest.length > 0
+          ? closest.reduce((sum, d) => sum + d, 0) / closest.length
+          : 0;
+
+        return {
+          x: this.spawns[idx].x,
+          z: this.spawns[idx].z,
+          nearest: distances.length > 0 ? distances[0] : null,
+          averageNearest: Math.round(average * 10) / 10,
+        };
+      });
+
+      const averages = spawns.map((s) => s.averageNearest);
+      const mean = averages.reduce((sum, a) => sum + a, 0) / (averages.length || 1);
+      const imbalance = mean > 0 ? (Math.max(...averages) - Math.min(...averages)) / mean : 0;
+
+      return { spawns, imbalance };
+    }
+
+    /**
+     * Smallest path distance between any two treasures
+     * @param {array} cells
+     * @param {number} fallback - Returned when there are fewer than two treasures
+     * @returns {number}
+     */
+    getActualSpacing(cells, fallback) {
+      if (cells.length < 2) return fallback;
+
+      let min = Infinity;
+      cells.forEach((cell, i) => {
+        const distances = TreasurePlacement.distanceMap(this.maze, cell.x, cell.z);
+        for (let j = i + 1; j < cells.length; j++) {
+          min = Math.min(min, distances[cells[j].z][cells[j].x]);
+        }
+      });
+      return min;
+    }
+
+    shuffle(items) {
+      for (let i = items.length - 1; i > 0; i--) {
+        const j = Math.floor(this.random() * (i + 1));
+        [items[i], items[j]] = [items[j], items[i]];
+      }
+      return items;
+    }
+  }
+
+  // Export
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = TreasurePlacement;
+  }
+
+  if (typeof window !== 'undefined') {
+    window.TreasurePlacement = TreasurePlacement;
+  }
+})();
@@ -9,13 +9,16 @@ class CollisionUtils {
   }
 
   /**
-   * Check if position collides with wall
+   * Check if position collides with wall, closed door or barrier
    * @param {number} x - Grid X coordinate
    * @param {number} z - Grid Z coordinate
+   * @param {number} level - Maze level, defaults to the player's
+   * @param {object} from - Player position {x, z}, so a barrier that closed
+   *   on the player does not trap them; optional
    * @returns {boolean} - True if collision detected
    */
-  checkWallCollision(x, z) {
-    const maze = this.gameState.maze;
+  checkWallCollision(x, z, level, from) {
+    const maze = this.gameState.getLevel(level);
     
     if (!maze || maze.length === 0) {
       return false;
@@ -46,9 +49,17 @@ class CollisionUtils {
     
     if (isWall) {
       Utils.logDebug(`🧱 Wall at (${gridX}, ${gridZ})`);
+      return true;
+    }
+    
+    // Doors and barriers change at runtime, so they are not in the grid
+    const elementLevel = level === undefined ? this.gameState.getMyLevel() : level;
+    if (MazeElements.isSolid(this.gameState.elements, elementLevel, x, z, from)) {
+      Utils.logDebug(`🚪 Closed at (${gridX}, ${gridZ})`);
+      return true;
     }
     
-    return isWall;
+    return false;
   }
 
   /**
@@ -56,11 +67,20 @@ class CollisionUtils {
    * @param {number} x - Grid X coordinate
    * @param {number} z - Grid Z coordinate
    * @param {number} radius - Player radius
+   * @param {number} level - Maze level, defaults to the player's
+   * @param {object} from - Player position {x, z} before the move, optional
    * @returns {boolean} - True if collision detected
    */
-  checkWallCollisionWithRadius(x, z, radius = 0.25) {
+  checkWallCollisionWithRadius(x, z, radius = 0.25, level, from) {
     // Check center
-    if (this.checkWallCollision(x, z)) {
+    if (this.checkWallCollision(x, z, level, from)) {
+      return true;
+    }
+    
+    // One-way gates only care where the center goes
+    const elementLevel = level === undefined ? this.gameState.getMyLevel() : level;
+    if (from && MazeElements.gateBlocks(this.gameState.elements, elementLevel, from, { x, z })) {
+      Utils.logDebug(`⛔ One-way gate at (${Math.floor(x)}, ${Math.floor(z)})`);
       return true;
     }
     
@@ -73,7 +93,7 @@ class CollisionUtils {
     ];
     
     for (const offset of offsets) {
-      if (this.checkWallCollision(x + offset.dx, z + offset.dz)) {
+      if (this.checkWallCollision(x + offset.dx, z + offset.dz, level, from)) {
         return true;
       }
     }
@@ -108,10 +128,11 @@ class CollisionUtils {
    * Get cell type at position
    * @param {number} x - X coordinate
    * @param {number} z - Z coordinate
-   * @returns {number|null} - Cell value (0=path, 1=wall) or null if invalid
+   * @param {number} level - Maze level, defaults to the player's
+   * @returns {number|null} - Cell value (0=path, 1=wall, 2/3=stairs up/down) or null if invalid
    */
-  getCellAt(x, z) {
-    const maze = this.gameState.maze;
+  getCellAt(x, z, level) {
+    const maze = this.gameState.getLevel(level);
     
     if (!maze || maze.length === 0) {
       return null;
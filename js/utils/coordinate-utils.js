@@ -54,6 +54,15 @@ class CoordinateUtils {
     };
   }
 
+  /**
+   * World height of a maze level's floor
+   * @param {number} level - 0 is the ground floor
+   * @returns {number}
+   */
+  levelToWorldY(level) {
+    return (level || 0) * CONFIG.LEVEL_HEIGHT;
+  }
+
   /**
    * Normalize angle to 0-360 range
    * @param {number} angle - Angle in degrees
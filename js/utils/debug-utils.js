@@ -10,7 +10,7 @@ window.debugPlayers = function() {
   console.log("My Player ID:", gameState.myPlayerId);
   console.log("My Player Name:", gameState.myPlayerName);
   console.log("Room Code:", gameState.room);
-  console.log("Game Started:", gameState.gameStarted);
+  console.log("Phase:", gamePhase.current);
   console.log("---");
   
   const players = Object.values(gameState.players);
@@ -21,6 +21,7 @@ window.debugPlayers = function() {
     console.log(`  Position: (${player.x}, ${player.z})`);
     console.log(`  Direction: ${player.direction}`);
     console.log(`  Treasures: ${player.treasures || 0}`);
+    console.log(`  Points: ${player.points || 0}`);
     console.log(`  Ready: ${player.ready ? '✅' : '❌'}`);
     
     // Check if 3D entity exists
@@ -62,7 +63,7 @@ window.debugWebSocket = function() {
 window.debugTestMove = function(direction = 'north') {
   console.log(`🧪 Testing move: ${direction}`);
   
-  if (!gameState.gameStarted) {
+  if (!gamePhase.is("playing")) {
     console.error("❌ Game not started!");
     return;
   }
@@ -86,7 +87,7 @@ window.debugLeaderboard = function() {
   console.group("🏆 LEADERBOARD DEBUG");
   
   const players = Object.values(gameState.players)
-    .sort((a, b) => (b.treasures || 0) - (a.treasures || 0));
+    .sort((a, b) => (b.points || 0) - (a.points || 0) || (b.treasures || 0) - (a.treasures || 0));
   
   console.log(`Total Treasures in Game: ${gameState.treasures.length}`);
   console.log(`My Treasure Count: ${gameState.myTreasureCount}`);
@@ -95,7 +96,7 @@ window.debugLeaderboard = function() {
   players.forEach((player, idx) => {
     const rank = idx === 0 ? "🥇" : idx === 1 ? "🥈" : idx === 2 ? "🥉" : `${idx + 1}.`;
     const isMe = player.id === gameState.myPlayerId ? " (ME)" : "";
-    console.log(`${rank} ${player.name}${isMe}: ${player.treasures || 0}/${gameState.treasures.length} 💎`);
+    console.log(`${rank} ${player.name}${isMe}: ${player.points || 0} pts (${player.treasures || 0}/${gameState.treasures.length} 💎)`);
   });
   
   const leaderboardEl = document.getElementById('leaderboardList');
@@ -174,8 +175,9 @@ window.debugSendEvent = function(eventName, data) {
     return;
   }
   
-  const sent = window.socket.emit(eventName, data);
-  console.log(sent ? "✅ Sent successfully" : "❌ Failed to send");
+  window.socket.emit(eventName, data)
+    .then(() => console.log("✅ Sent successfully"))
+    .catch((err) => console.log("❌ Failed to send:", err.message));
 };
 
 // Função para verificar o estado completo
@@ -191,7 +193,7 @@ window.debugFullState = function() {
   console.log("My Player ID:", gameState.myPlayerId);
   console.log("My Player Name:", gameState.myPlayerName);
   console.log("Room Code:", gameState.room);
-  console.log("Game Started:", gameState.gameStarted);
+  console.log("Phase:", gamePhase.current);
   console.log("My Treasure Count:", gameState.myTreasureCount);
   console.log("Total Players:", Object.keys(gameState.players).length);
   console.log("Total Treasures:", gameState.treasures.length);
@@ -1,11 +1,22 @@
-// Simple Express server to serve the frontend
+// Express server to serve the frontend and host the local game server
 require('dotenv').config();
 const express = require('express');
+const http = require('http');
 const path = require('path');
+const CONFIG = require('./js/config/config');
+const GameServer = require('./server/game-server');
+const createRoomsRouter = require('./server/rooms-api');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
+// WebSocket game server shares the HTTP port
+const server = http.createServer(app);
+const gameServer = new GameServer(server, { wsPath: CONFIG.WS_PATH });
+
+// Room directory
+app.use('/api/rooms', createRoomsRouter(gameServer));
+
 // Serve static files from current directory
 app.use(express.static(__dirname));
 
@@ -15,7 +26,8 @@ app.get('/', (req, res) => {
 });
 
 // Start server
-app.listen(PORT, () => {
+server.listen(PORT, () => {
   console.log(`Maze Runner VR Frontend`);
+  console.log(`Game server listening on ws://localhost:${PORT}${CONFIG.WS_PATH}`);
   console.log(`Open http://localhost:${PORT} in your browser\n`);
 });
\ No newline at end of file
@@ -0,0 +1,110 @@
+// ========================================
+// ACTION VALIDATOR
+// Server-side checks for move and collect_treasure so a
+// modified client cannot teleport or collect from afar
+// ========================================
+
+const CONFIG = require("../js/config/config");
+const MazeElements = require("../js/shared/maze-elements");
+
+// Longest gap between moves that still earns movement budget
+const MAX_MOVE_GAP = 2000; // ms
+
+/**
+ * Check if a grid position is a wall or outside the maze
+ * @param {array} maze
+ * @param {number} x
+ * @param {number} z
+ * @returns {boolean}
+ */
+function isBlocked(maze, x, z) {
+  const gridX = Math.floor(x);
+  const gridZ = Math.floor(z);
+
+  if (gridZ < 0 || gridZ >= maze.length || gridX < 0 || gridX >= maze[0].length) {
+    return true;
+  }
+  return maze[gridZ][gridX] === 1;
+}
+
+/**
+ * Validate a move request against speed, walls and closed doors,
+ * barriers and gates
+ * @param {array} maze - Grid of the level the player is on
+ * @param {object} from - Last accepted {x, z}
+ * @param {object} to - Requested {x, z}
+ * @param {number} elapsed - ms since the last accepted move
+ * @param {array} elements - Maze elements, optional
+ * @param {number} level - Level the player is on, default 0
+ * @returns {object} - {ok, reason}
+ */
+function validateMove(maze, from, to, elapsed, elements = [], level = 0) {
+  if (!Number.isFinite(to.x) || !Number.isFinite(to.z)) {
+    return { ok: false, reason: "invalid_position" };
+  }
+
+  const distance = Math.hypot(to.x - from.x, to.z - from.z);
+  const seconds = Math.min(Math.max(elapsed, 0), MAX_MOVE_GAP) / 1000;
+  const maxDistance = CONFIG.MOVE_SPEED * seconds * CONFIG.MOVE_SPEED_TOLERANCE + CONFIG.MOVE_SLACK;
+
+  if (distance > maxDistance) {
+    return { ok: false, reason: "too_fast" };
+  }
+
+  if (isBlocked(maze, to.x, to.z)) {
+    return { ok: false, reason: "wall" };
+  }
+
+  // Sample the segment so a move cannot cut through a wall corner
+  // or slip past a closed door
+  const steps = Math.max(Math.ceil(distance / 0.25), 1);
+  let previous = from;
+  for (let i = 1; i <= steps; i++) {
+    const t = i / steps;
+    const point = { x: from.x + (to.x - from.x) * t, z: from.z + (to.z - from.z) * t };
+    if (isBlocked(maze, point.x, point.z)) {
+      return { ok: false, reason: "wall" };
+    }
+    if (MazeElements.isSolid(elements, level, point.x, point.z, from)) {
+      return { ok: false, reason: "closed" };
+    }
+    if (MazeElements.gateBlocks(elements, level, previous, point)) {
+      return { ok: false, reason: "one_way" };
+    }
+    previous = point;
+  }
+
+  return { ok: true };
+}
+
+/**
+ * Validate that a player is close enough to collect a treasure
+ * @param {object} player - {x, z, level}
+ * @param {object} treasure - {x, z, level, collected}
+ * @returns {object} - {ok, reason}
+ */
+function validateCollect(player, treasure) {
+  if (!treasure) {
+    return { ok: false, reason: "unknown_treasure" };
+  }
+  if (treasure.collected) {
+    return { ok: false, reason: "already_collected" };
+  }
+
+  if ((treasure.level || 0) !== (player.level || 0)) {
+    return { ok: false, reason: "wrong_level" };
+  }
+
+  const distance = Math.hypot(player.x - treasure.x, player.z - treasure.z);
+  if (distance > CONFIG.COLLECT_RADIUS) {
+    return { ok: false, reason: "too_far" };
+  }
+
+  return { ok: true };
+}
+
+module.exports = {
+  isBlocked,
+  validateMove,
+  validateCollect,
+};
@@ -0,0 +1,705 @@
+// ========================================
+// GAME SERVER
+// Local authoritative WebSocket server speaking the same
+// protocol as the hosted backend (see WSHandlers.registerAll)
+// ========================================
+
+const crypto = require("crypto");
+const { WebSocketServer, WebSocket } = require("ws");
+const CONFIG = require("../js/config/config");
+const Protocol = require("../js/shared/protocol");
+const Codec = require("../js/shared/codec");
+const MazeIO = require("../js/shared/maze-io");
+const MazeLevels = require("../js/shared/maze-levels");
+const Room = require("./room");
+const { validateMove, validateCollect } = require("./action-validator");
+
+class GameServer {
+  /**
+   * @param {http.Server} httpServer - Server to attach the upgrade handler to
+   * @param {object} options - {wsPath}
+   */
+  constructor(httpServer, options = {}) {
+    this.wsPath = options.wsPath || CONFIG.WS_PATH;
+    this.rooms = new Map(); // code -> Room
+    this.sessions = new Map(); // resume token -> {roomCode, playerId, timer}
+    this.wss = new WebSocketServer({ noServer: true });
+
+    httpServer.on("upgrade", (req, socket, head) => this.handleUpgrade(req, socket, head));
+    this.wss.on("connection", (ws, req) => this.handleConnection(ws, req));
+
+    this.gameUpdateTimer = setInterval(() => this.sendGameUpdates(), CONFIG.GAME_UPDATE_INTERVAL);
+  }
+
+  // ========================================
+  // CONNECTION
+  // ========================================
+
+  /**
+   * Accept upgrades on /ws and /ws/:roomCode only
+   */
+  handleUpgrade(req, socket, head) {
+    const { pathname } = new URL(req.url, "http://localhost");
+
+    if (pathname !== this.wsPath && !pathname.startsWith(this.wsPath + "/")) {
+      socket.destroy();
+      return;
+    }
+
+    this.wss.handleUpgrade(req, socket, head, (ws) => {
+      this.wss.emit("connection", ws, req);
+    });
+  }
+
+  handleConnection(ws, req) {
+    const { pathname } = new URL(req.url, "http://localhost");
+    const pathCode = pathname.slice(this.wsPath.length + 1).toLowerCase();
+
+    const client = {
+      ws: ws,
+      playerId: null,
+      roomCode: pathCode || null,
+      codec: Codec.JSON, // Until hello picks another
+      ackedSnapshot: null, // Last game_update seq the client applied
+    };
+
+    ws.on("message", (raw, isBinary) => this.handleMessage(client, raw, isBinary));
+    ws.on("close", () => this.handleDisconnect(client));
+    ws.on("error", (err) => console.error("[WS] Socket error:", err.message));
+  }
+
+  handleMessage(client, raw, isBinary) {
+    const room = this.getClientRoom(client);
+
+    let message;
+    try {
+      message = client.codec.decode(isBinary ? raw : raw.toString(), room ? room.players : {});
+    } catch (e) {
+      this.sendError(client, "Mensagem inválida", "invalid_message", e.message);
+      return;
+    }
+
+    // null, numbers, strings and arrays are valid JSON but not messages
+    if (!message || typeof message !== "object" || Array.isArray(message)) {
+      this.sendError(client, "Mensagem inválida", "invalid_message", "message must be an object");
+      return;
+    }
+
+    try {
+      const result = Protocol.validate("client", message);
+      if (!result.ok) {
+        console.log(`[WS] Invalid message: ${result.reason}`);
+        this.sendError(client, "Mensagem inválida", "invalid_message", result.reason);
+        return;
+      }
+
+      // Replies sent to this client while handling the message echo its requestId
+      client.requestId = message.requestId || null;
+      this.dispatch(client, message.type, message.payload);
+    } finally {
+      client.requestId = null;
+    }
+  }
+
+  dispatch(client, type, payload) {
+    switch (type) {
+      case "hello":
+        this.handleHello(client, payload);
+        break;
+      case "create_room":
+        this.handleCreateRoom(client, payload);
+        break;
+      case "join":
+        this.handleJoin(client, payload);
+        break;
+      case "resume":
+        this.handleResume(client, payload);
+        break;
+      case "ready":
+        this.handleReady(client, payload);
+        break;
+      case "move":
+        this.handleMove(client, payload);
+        break;
+      case "collect_treasure":
+        this.handleCollectTreasure(client, payload);
+        break;
+      case "leave_room":
+        this.handleLeave(client);
+        break;
+      case "snapshot_ack":
+        this.handleSnapshotAck(client, payload);
+        break;
+      case "resync":
+        this.handleResync(client);
+        break;
+      case "ping":
+        this.send(client, "pong", { id: payload.id, serverTime: Date.now() });
+        break;
+    }
+  }
+
+  /**
+   * Version handshake sent by the client right after connecting
+   */
+  handleHello(client, payload) {
+    if (payload.version !== Protocol.VERSION) {
+      console.log(`[WS] Protocol mismatch: client v${payload.version}, server v${Protocol.VERSION}`);
+      this.sendError(
+        client,
+        "Versão do jogo desatualizada. Recarregue a página.",
+        "protocol_mismatch",
+        `server speaks protocol v${Protocol.VERSION}`
+      );
+      client.ws.close(1002, "Protocol mismatch");
+      return;
+    }
+
+    // Binary frames start after the welcome, which is always JSON
+    const codec = Codec.negotiate(payload.codecs);
+    this.send(client, "welcome", { version: Protocol.VERSION, codec: codec.name });
+    client.codec = codec;
+  }
+
+  handleDisconnect(client) {
+    const room = this.getClientRoom(client);
+
+    // Hold the seat for a while so the player can resume
+    if (room && client.playerId && room.clients.get(client.playerId) === client && room.status !== "finished") {
+      this.suspendPlayer(room, client.playerId);
+      return;
+    }
+
+    this.handleLeave(client);
+
+    // Host closed the tab before joining the room it created
+    if (room && room.isEmpty()) {
+      this.rooms.delete(room.code);
+    }
+  }
+
+  // ========================================
+  // ROOM HANDLERS
+  // ========================================
+
+  handleCreateRoom(client, payload) {
+    if (!payload.playerId || !payload.name) {
+      this.sendError(client, "Dados do jogador ausentes");
+      return;
+    }
+    // A second room would orphan the first one, which nobody could reach
+    if (client.roomCode) {
+      this.sendError(client, "Você já está em uma sala");
+      return;
+    }
+    if (payload.maze && payload.maze.custom) {
+      const check = MazeIO.validate(payload.maze.custom);
+      if (!check.ok) {
+        this.sendError(client, "Labirinto inválido", "invalid_maze", check.reason);
+        return;
+      }
+    }
+
+    let code = Room.generateCode();
+    while (this.rooms.has(code)) {
+      code = Room.generateCode();
+    }
+
+    const room = new Room(code, {
+      hostId: payload.playerId,
+      hostName: payload.name,
+      maxPlayers: payload.maxPlayers,
+      maze: payload.maze,
+      settings: payload.settings,
+    });
+    this.rooms.set(code, room);
+    client.roomCode = code;
+
+    const mazeLabel = room.mazeInfo.seed ? `${room.mazeInfo.algorithm}, seed ${room.mazeInfo.seed}` : room.mazeInfo.algorithm;
+    console.log(`[ROOM] ${code} created by ${payload.name} (${mazeLabel})`);
+
+    this.send(client, "room_created", { code: code, room: room.toJSON() });
+  }
+
+  handleJoin(client, payload) {
+    const room = this.rooms.get(client.roomCode);
+
+    if (!room) {
+      this.sendError(client, "Sala não encontrada");
+      return;
+    }
+    if (!payload.playerId || !payload.name) {
+      this.sendError(client, "Dados do jogador ausentes");
+      return;
+    }
+    if (room.status !== "waiting") {
+      this.sendError(client, "O jogo já começou nesta sala");
+      return;
+    }
+    if (room.players[payload.playerId]) {
+      // Repeated join - just resend the room state
+      this.sendFullUpdate(room, client, true);
+      return;
+    }
+    if (room.isFull()) {
+      this.sendError(client, "A sala está cheia");
+      return;
+    }
+
+    client.playerId = payload.playerId;
+    const player = room.addPlayer(payload.playerId, payload.name, client);
+
+    console.log(`[ROOM] ${payload.name} joined ${room.code} (${room.getPlayerCount()}/${room.maxPlayers})`);
+
+    // Private resume token for reconnecting as this player
+    this.send(client, "session", {
+      token: this.createSession(room, player.id),
+      playerId: player.id,
+      roomCode: room.code,
+    });
+
+    // Give the newcomer the current room state (the only time it gets
+    // the maze), then announce them to everyone
+    this.sendFullUpdate(room, client, true);
+    this.broadcast(room, "player_joined", player);
+  }
+
+  handleReady(client, payload) {
+    const room = this.getClientRoom(client);
+    if (!room || !room.players[client.playerId]) {
+      this.sendError(client, "Você não está em uma sala");
+      return;
+    }
+
+    room.players[client.playerId].ready = payload.ready !== false;
+
+    this.broadcast(room, "ready", {
+      playerId: client.playerId,
+      ready: room.players[client.playerId].ready,
+      players: room.players,
+    });
+
+    if (room.canStart()) {
+      this.startGame(room);
+    }
+  }
+
+  handleLeave(client) {
+    const room = this.getClientRoom(client);
+    if (!room || !client.playerId) return;
+
+    const playerId = client.playerId;
+    if (room.clients.get(playerId) !== client) return;
+
+    client.playerId = null;
+    this.removeFromRoom(room, playerId);
+  }
+
+  /**
+   * Remove a player for good and close the room once empty
+   * @param {Room} room
+   * @param {string} playerId
+   */
+  removeFromRoom(room, playerId) {
+    const droppedKeys = room.dropKeys(playerId);
+    room.removePlayer(playerId);
+    this.dropSession(playerId);
+
+    console.log(`[ROOM] ${playerId} left ${room.code}`);
+
+    if (room.isEmpty()) {
+      clearTimeout(room.endTimer);
+      clearTimeout(room.shiftTimer);
+      this.rooms.delete(room.code);
+      console.log(`[ROOM] ${room.code} closed`);
+      return;
+    }
+
+    this.broadcast(room, "player_left", { playerId: playerId });
+    if (droppedKeys.length > 0) {
+      this.broadcast(room, "element_update", { playerId: playerId, elements: droppedKeys });
+    }
+
+    if (room.canStart()) {
+      this.startGame(room);
+    }
+  }
+
+  // ========================================
+  // SESSIONS
+  // ========================================
+
+  /**
+   * Issue a resume token for a player
+   * @returns {string}
+   */
+  createSession(room, playerId) {
+    this.dropSession(playerId);
+
+    const token = crypto.randomBytes(16).toString("hex");
+    this.sessions.set(token, { roomCode: room.code, playerId: playerId, timer: null });
+    return token;
+  }
+
+  dropSession(playerId) {
+    this.sessions.forEach((session, token) => {
+      if (session.playerId !== playerId) return;
+      clearTimeout(session.timer);
+      this.sessions.delete(token);
+    });
+  }
+
+  /**
+   * Mark a player as disconnected and remove them if they do not
+   * resume within the grace period
+   * @param {Room} room
+   * @param {string} playerId
+   */
+  suspendPlayer(room, playerId) {
+    const session = [...this.sessions.values()].find((s) => s.playerId === playerId);
+    if (!session) {
+      this.removeFromRoom(room, playerId);
+      return;
+    }
+
+    room.clients.delete(playerId);
+    room.players[playerId].connected = false;
+    console.log(`[ROOM] ${playerId} disconnected from ${room.code}, holding seat`);
+
+    this.broadcast(room, "player_update", { id: playerId, connected: false });
+
+    session.timer = setTimeout(() => {
+      if (this.rooms.get(room.code) === room && room.players[playerId]) {
+        this.removeFromRoom(room, playerId);
+      }
+    }, CONFIG.RESUME_GRACE_PERIOD);
+  }
+
+  handleResume(client, payload) {
+    const session = this.sessions.get(payload.token);
+    const room = session && this.rooms.get(session.roomCode);
+    const player = room && room.players[session.playerId];
+
+    if (!player) {
+      this.send(client, "resume_failed", { reason: "Sessão expirada" });
+      return;
+    }
+
+    clearTimeout(session.timer);
+    session.timer = null;
+
+    // A half-open socket may still be registered for this player
+    const previous = room.clients.get(player.id);
+    if (previous && previous !== client) {
+      previous.playerId = null;
+      previous.ws.close(1000, "Resumed elsewhere");
+    }
+
+    client.playerId = player.id;
+    client.roomCode = room.code;
+    room.clients.set(player.id, client);
+    room.lastMoveAt.set(player.id, Date.now());
+    player.connected = true;
+
+    console.log(`[ROOM] ${player.name} resumed in ${room.code}`);
+
+    this.send(client, "resumed", {
+      playerId: player.id,
+      room: room.toJSON(),
+    });
+    this.broadcast(room, "player_update", { id: player.id, connected: true }, client);
+  }
+
+  // ========================================
+  // STATE SYNC
+  // ========================================
+
+  /**
+   * Periodic game_update: each client gets what changed since the
+   * snapshot it last acknowledged
+   */
+  sendGameUpdates() {
+    this.rooms.forEach((room) => {
+      if (room.clients.size === 0 || room.status === "finished") return;
+
+      const seq = room.takeSnapshot();
+      room.clients.forEach((client) => {
+        const delta = client.ackedSnapshot !== null ? room.getDelta(client.ackedSnapshot, seq) : null;
+
+        if (!delta) {
+          // No usable baseline (never acked, or too old to diff against)
+          this.send(client, "game_update", room.getFullSnapshot(seq, false));
+        } else if (delta.players || delta.removedPlayers || delta.collected) {
+          this.send(client, "game_update", delta);
+        }
+      });
+    });
+  }
+
+  /**
+   * Send the whole room state and forget the client's baseline
+   * @param {Room} room
+   * @param {object} client
+   * @param {boolean} includeMaze
+   */
+  sendFullUpdate(room, client, includeMaze) {
+    client.ackedSnapshot = null;
+    this.send(client, "game_update", room.getFullSnapshot(room.takeSnapshot(), includeMaze));
+  }
+
+  handleSnapshotAck(client, payload) {
+    const room = this.getClientRoom(client);
+    if (room && room.snapshots.has(payload.seq)) {
+      client.ackedSnapshot = payload.seq;
+    }
+  }
+
+  /**
+   * Client saw a delta whose baseline it never applied
+   */
+  handleResync(client) {
+    const room = this.getClientRoom(client);
+    if (!room || room.clients.get(client.playerId) !== client) return;
+
+    console.log(`[SYNC] Full resync for ${client.playerId} in ${room.code}`);
+    this.sendFullUpdate(room, client, false);
+  }
+
+  // ========================================
+  // GAME HANDLERS
+  // ========================================
+
+  startGame(room) {
+    room.start();
+    console.log(`[GAME] ${room.code} started with ${room.getPlayerCount()} players`);
+
+    this.broadcast(room, "game_start", {
+      maze: room.maze,
+      levels: room.getLevelsPayload(),
+      treasures: room.treasures,
+      players: room.players,
+      settings: room.settings,
+      elements: room.elements,
+      startsAt: room.startsAt,
+      endsAt: room.endsAt,
+    });
+
+    room.endTimer = setTimeout(() => this.handleTimeUp(room), room.endsAt - Date.now());
+    if (room.mazeInfo.shifting) this.scheduleShift(room);
+  }
+
+  /**
+   * Warn the room SHIFT_WARNING_TIME before the next shift, with the
+   * cells that are going to change
+   * @param {Room} room
+   */
+  scheduleShift(room) {
+    room.shiftTimer = setTimeout(() => {
+      if (room.status !== "playing") return;
+
+      const shift = room.planShift();
+      if (!shift) {
+        this.scheduleShift(room);
+        return;
+      }
+
+      this.broadcast(room, "maze_shift_warning", {
+        id: shift.id,
+        level: shift.level,
+        changes: shift.changes,
+        at: Date.now() + CONFIG.SHIFT_WARNING_TIME,
+      });
+      room.shiftTimer = setTimeout(() => this.shiftMaze(room, shift), CONFIG.SHIFT_WARNING_TIME);
+    }, CONFIG.SHIFT_INTERVAL - CONFIG.SHIFT_WARNING_TIME);
+  }
+
+  /**
+   * @param {Room} room
+   * @param {object} shift - Announced by scheduleShift
+   */
+  shiftMaze(room, shift) {
+    if (room.status !== "playing") return;
+
+    const pushed = room.applyShift(shift);
+    console.log(`[GAME] ${room.code} maze shift #${shift.id} on level ${shift.level}: ${shift.changes.length} cells, ${Object.keys(pushed).length} players moved`);
+
+    this.broadcast(room, "maze_shift", {
+      id: shift.id,
+      level: shift.level,
+      changes: shift.changes,
+      pushed: pushed,
+    });
+    this.scheduleShift(room);
+  }
+
+  /**
+   * Deadline reached - the player with the most points wins
+   * @param {Room} room
+   */
+  handleTimeUp(room) {
+    if (room.status !== "playing") return;
+
+    const winner = room.getLeader();
+    room.finish();
+    console.log(`[GAME] ${room.code} time up, won by ${winner ? winner.name : "nobody"}`);
+
+    this.broadcast(room, "game_win", {
+      playerId: winner ? winner.id : null,
+      playerName: winner ? winner.name : "Ninguém",
+      treasures: winner ? winner.treasures : 0,
+      points: winner ? winner.points : 0,
+      timeUp: true,
+    });
+  }
+
+  handleMove(client, payload) {
+    const room = this.getClientRoom(client);
+    if (!room || room.status !== "playing") return;
+
+    const player = room.players[client.playerId];
+    if (!player) return;
+
+    const now = Date.now();
+    const elapsed = now - (room.lastMoveAt.get(player.id) || now);
+    const from = { x: player.x, z: player.z, level: player.level };
+    const result = validateMove(room.levels[player.level], player, payload, elapsed, room.elements, player.level);
+
+    if (!result.ok) {
+      console.log(`[CHEAT] Move rejected for ${player.name}: ${result.reason}`);
+      this.send(client, "move_rejected", {
+        x: player.x,
+        z: player.z,
+        direction: player.direction,
+        level: player.level,
+        seq: payload.seq,
+        reason: result.reason,
+      });
+      return;
+    }
+
+    const level = MazeLevels.nextLevel(room.levels, player.level, player, payload);
+    const levelChanged = level !== player.level;
+
+    player.x = payload.x;
+    player.z = payload.z;
+    player.level = level;
+    if (typeof payload.direction === "number") player.direction = payload.direction;
+    room.lastMoveAt.set(player.id, now);
+
+    const update = { id: player.id, x: player.x, z: player.z, direction: player.direction };
+    // Only level changes carry the level, so plain moves keep their binary frame
+    if (levelChanged) update.level = level;
+    this.broadcast(room, "player_update", update, client);
+
+    // Acknowledge the move so the sender can reconcile its prediction
+    if (Number.isInteger(payload.seq)) {
+      this.send(client, "player_update", { ...update, seq: payload.seq });
+    }
+
+    const changed = room.interact(player, from);
+    if (changed.length > 0) {
+      console.log(`[GAME] ${player.name} changed ${changed.map((e) => e.id).join(", ")} in ${room.code}`);
+      this.broadcast(room, "element_update", { playerId: player.id, elements: changed });
+    }
+  }
+
+  handleCollectTreasure(client, payload) {
+    const room = this.getClientRoom(client);
+    const player = room && room.players[client.playerId];
+
+    const result = room && room.status === "playing" && player
+      ? validateCollect(player, room.getTreasure(payload.treasureId))
+      : { ok: false, reason: "not_playing" };
+
+    if (!result.ok) {
+      // Losing a race for a treasure is normal; anything else is suspicious
+      if (!["already_collected", "not_playing"].includes(result.reason)) {
+        console.log(`[CHEAT] Collect rejected for ${player.name}: ${result.reason}`);
+      }
+      this.send(client, "error", {
+        code: "collect_rejected",
+        treasureId: payload.treasureId,
+        reason: result.reason,
+        message: "Coleta recusada pelo servidor",
+      });
+      return;
+    }
+
+    const treasure = room.collectTreasure(payload.treasureId, player.id);
+
+    this.broadcast(room, "treasure_collected", {
+      treasureId: treasure.id,
+      playerId: player.id,
+      treasures: player.treasures,
+      points: player.points,
+    });
+
+    if (room.allTreasuresCollected()) {
+      const winner = room.getLeader();
+      room.finish();
+      console.log(`[GAME] ${room.code} won by ${winner.name}`);
+
+      this.broadcast(room, "game_win", {
+        playerId: winner.id,
+        playerName: winner.name,
+        treasures: winner.treasures,
+        points: winner.points,
+      });
+    }
+  }
+
+  // ========================================
+  // HELPERS
+  // ========================================
+
+  getClientRoom(client) {
+    return client.roomCode ? this.rooms.get(client.roomCode) : null;
+  }
+
+  /**
+   * Send message to one client
+   * @param {object} client
+   * @param {string} type
+   * @param {object} payload
+   */
+  send(client, type, payload) {
+    if (client.ws.readyState !== WebSocket.OPEN) return;
+
+    const message = { type, payload };
+    if (client.requestId) message.requestId = client.requestId;
+
+    const room = this.getClientRoom(client);
+    client.ws.send(client.codec.encode(message, room ? room.players : {}));
+  }
+
+  /**
+   * Send message to every client in a room
+   * @param {Room} room
+   * @param {string} type
+   * @param {object} payload
+   * @param {object} except - Client to skip
+   */
+  broadcast(room, type, payload, except = null) {
+    room.clients.forEach((client) => {
+      if (client !== except) {
+        this.send(client, type, payload);
+      }
+    });
+  }
+
+  /**
+   * Send an error message
+   * @param {object} client
+   * @param {string} message - Shown to the player
+   * @param {string} code - Machine-readable kind, optional
+   * @param {string} reason - Details for logs, optional
+   */
+  sendError(client, message, code, reason) {
+    const payload = { message };
+    if (code) payload.code = code;
+    if (reason) payload.reason = reason;
+    this.send(client, "error", payload);
+  }
+}
+
+module.exports = GameServer;
@@ -0,0 +1,688 @@
+// ========================================
+// ROOM
+// Authoritative state for a single game room
+// ========================================
+
+const CONFIG = require("../js/config/config");
+const MazeGenerator = require("../js/shared/maze-generator");
+const TreasurePlacement = require("../js/shared/treasure-placement");
+const MazeIO = require("../js/shared/maze-io");
+const MazeLevels = require("../js/shared/maze-levels");
+const MazeElements = require("../js/shared/maze-elements");
+const MazeShift = require("../js/shared/maze-shift");
+
+const { DOOR, KEY, PLATE } = MazeElements.TYPES;
+
+const CODE_ALPHABET = "abcdefghjkmnpqrstuvwxyz23456789";
+
+// Player fields compared for game_update deltas; positions stream
+// through player_update instead
+const DELTA_FIELDS = ["name", "slot", "ready", "treasures", "points", "connected", "level"];
+
+class Room {
+  /**
+   * @param {string} code - Room code (lowercase)
+   * @param {object} options - {hostId, hostName, maxPlayers, maze, settings}
+   *   maze: {algorithm, size, seed, floors, elements, shifting} chosen by the room creator, or
+   *   {custom} with a MazeIO document (validated by GameServer)
+   *   settings: {mapTreasures, mapOpponents} - what the minimap shows
+   */
+  constructor(code, options) {
+    this.code = code;
+    this.host = options.hostId;
+    this.hostName = options.hostName;
+    this.maxPlayers = Math.min(options.maxPlayers || CONFIG.MAX_PLAYERS, CONFIG.MAX_PLAYERS);
+    this.createdAt = Date.now();
+    this.startsAt = null;
+    this.endsAt = null; // Shared deadline, enforced by GameServer
+    this.endTimer = null;
+    this.shiftTimer = null; // Next maze shift or its warning, shifting mazes only
+    this.shiftCount = 0;
+    this.status = "waiting";
+    this.settings = Room.normalizeSettings(options.settings || {});
+
+    this.players = {};
+    this.clients = new Map(); // playerId -> client
+    this.lastMoveAt = new Map(); // playerId -> timestamp of last accepted move
+
+    this.snapshotSeq = 0;
+    this.snapshots = new Map(); // seq -> {players, collected}, baselines for deltas
+
+    this.generateMaze(options.maze || {});
+  }
+
+  /**
+   * Generate a random room code
+   * @returns {string}
+   */
+  static generateCode() {
+    let code = "";
+    for (let i = 0; i < 6; i++) {
+      code += CODE_ALPHABET[Math.floor(Math.random() * CODE_ALPHABET.length)];
+    }
+    return code;
+  }
+
+  /**
+   * Room settings with defaults for anything missing
+   * @param {object} settings - From create_room
+   * @returns {object} - {mapTreasures, mapOpponents}
+   */
+  static normalizeSettings(settings) {
+    const flag = (value, fallback) => (typeof value === "boolean" ? value : fallback);
+    return {
+      mapTreasures: flag(settings.mapTreasures, CONFIG.MAP_SHOW_TREASURES),
+      mapOpponents: flag(settings.mapOpponents, CONFIG.MAP_SHOW_OPPONENTS),
+    };
+  }
+
+  /**
+   * Generate maze, spawns and fairly placed treasures from the creator's options.
+   * With several floors each level is its own maze, joined by stairs.
+   * Unless elements is false, doors, keys, plates and gates are added.
+   * Shifting mazes rearrange during the match and get no elements, since
+   * a shift could wall a key in behind its own door.
+   * @param {object} mazeOptions - {algorithm, size, seed, floors, elements, shifting} or {custom}
+   */
+  generateMaze(mazeOptions) {
+    if (mazeOptions.custom) {
+      this.loadMaze(mazeOptions.custom);
+      return;
+    }
+
+    const size = Math.min(
+      Math.max(parseInt(mazeOptions.size, 10) || CONFIG.MAZE_SIZE, CONFIG.MAZE_SIZE_MIN),
+      CONFIG.MAZE_SIZE_MAX
+    );
+    const floors = Math.min(Math.max(parseInt(mazeOptions.floors, 10) || 1, 1), CONFIG.MAZE_FLOORS_MAX);
+    const seed = typeof mazeOptions.seed === "string" ? mazeOptions.seed.trim().slice(0, 32) : "";
+
+    const generator = new MazeGenerator({
+      algorithm: mazeOptions.algorithm || CONFIG.MAZE_ALGORITHM,
+      width: size,
+      height: size,
+      seed: seed,
+    });
+
+    const grids = [generator.generate()];
+    for (let level = 1; level < floors; level++) {
+      grids.push(new MazeGenerator({
+        algorithm: generator.algorithm,
+        width: size,
+        height: size,
+        seed: `${generator.seed}-${level}`,
+      }).generate());
+    }
+
+    this.spawns = TreasurePlacement.findSpawnPoints(grids[0]).slice(0, this.maxPlayers);
+    this.levels = MazeLevels.connectLevels(grids, {
+      stairs: CONFIG.STAIRS_PER_FLOOR,
+      avoid: this.spawns,
+      random: MazeGenerator.createRandom(`${generator.seed}:stairs`),
+    });
+    this.maze = this.levels[0];
+
+    const placement = this.placeTreasures(`${generator.seed}:treasures`);
+    this.treasures = placement.treasures;
+
+    const shifting = typeof mazeOptions.shifting === "boolean" ? mazeOptions.shifting : CONFIG.SHIFTING_MAZE;
+    this.shiftRandom = shifting ? MazeGenerator.createRandom(`${generator.seed}:shifts`) : null;
+
+    const withElements = typeof mazeOptions.elements === "boolean" ? mazeOptions.elements : CONFIG.MAZE_ELEMENTS;
+    this.elements = withElements && !shifting ? this.placeElements(`${generator.seed}:elements`) : [];
+
+    this.mazeInfo = {
+      algorithm: generator.algorithm,
+      size: size,
+      seed: generator.seed,
+      floors: floors,
+      shifting: shifting,
+      fairness: placement.metrics,
+      spawns: this.spawns,
+    };
+  }
+
+  /**
+   * Spread CONFIG.TREASURE_COUNT treasures over the levels. Level 0 is
+   * balanced between the player spawns, upper levels between the
+   * stairwells players arrive from. Each treasure gets a type from
+   * CONFIG.TREASURE_TYPES.
+   * @param {string} seed
+   * @returns {object} - {treasures, metrics}, metrics for level 0
+   */
+  placeTreasures(seed) {
+    const perLevel = Math.floor(CONFIG.TREASURE_COUNT / this.levels.length);
+    const treasures = [];
+    let metrics = null;
+
+    this.levels.forEach((grid, level) => {
+      const count = level === 0 ? CONFIG.TREASURE_COUNT - perLevel * (this.levels.length - 1) : perLevel;
+      const placer = new TreasurePlacement(MazeLevels.flatten(grid), {
+        count: count,
+        spawns: level === 0 ? this.spawns : MazeLevels.findCells(grid, MazeLevels.CELL.STAIRS_DOWN),
+        exclude: MazeLevels.findCells(grid, MazeLevels.CELL.STAIRS_UP),
+        random: MazeGenerator.createRandom(level === 0 ? seed : `${seed}:${level}`),
+      });
+      const placement = placer.place();
+
+      // Unique treasures (the relic) are balanced between the players' spawns
+      placer.assignTypes(placement.treasures, CONFIG.TREASURE_TYPES, { unique: level === 0 });
+      placement.treasures.forEach((t) => {
+        treasures.push({ id: `treasure-${treasures.length + 1}`, x: t.x, z: t.z, level: level, type: t.type });
+      });
+      if (level === 0) metrics = placement.metrics;
+    });
+
+    return { treasures, metrics };
+  }
+
+  /**
+   * Doors, keys, plates and gates on every level, kept clear of the
+   * treasures and never cutting off spawns or stairs
+   * @param {string} seed
+   * @returns {array}
+   */
+  placeElements(seed) {
+    const stairs = (grid) => MazeLevels.findCells(grid, MazeLevels.CELL.STAIRS_UP)
+      .concat(MazeLevels.findCells(grid, MazeLevels.CELL.STAIRS_DOWN));
+
+    return MazeElements.place(this.levels, {
+      anchors: this.levels.map((grid, level) => (level === 0 ? this.spawns : []).concat(stairs(grid))),
+      avoid: this.treasures,
+      doors: CONFIG.DOORS_PER_LEVEL,
+      switches: CONFIG.SWITCHES_PER_LEVEL,
+      gates: CONFIG.GATES_PER_LEVEL,
+      colors: CONFIG.KEY_COLORS.length,
+      random: MazeGenerator.createRandom(seed),
+    });
+  }
+
+  /**
+   * Levels for clients; single-level mazes only send maze
+   * @returns {array|undefined}
+   */
+  getLevelsPayload() {
+    return this.levels.length > 1 ? this.levels : undefined;
+  }
+
+  /**
+   * Use an uploaded maze. Missing spawns and treasures are placed
+   * the same way as for generated mazes, and so are the treasures
+   * when none of the uploaded ones is reachable from every spawn.
+   * @param {object} doc - Valid MazeIO document
+   */
+  loadMaze(doc) {
+    this.maze = doc.grid.map((row) => row.slice());
+    this.levels = [this.maze];
+    this.elements = [];
+    this.shiftRandom = null;
+
+    const spawns = doc.spawns.length > 0
+      ? doc.spawns.slice(0, this.maxPlayers)
+      : TreasurePlacement.findSpawnPoints(this.maze).slice(0, this.maxPlayers);
+    const placer = new TreasurePlacement(this.maze, {
+      count: CONFIG.TREASURE_COUNT,
+      spawns: spawns,
+      random: MazeGenerator.createRandom(MazeIO.toASCII(doc)),
+    });
+
+    // Treasures some spawn cannot reach (or sitting on a spawn) are left
+    // out, as the placer would never pick them and they would skew the metrics
+    const reachable = new Set(placer.candidates.map((c) => `${c.x},${c.z}`));
+    const treasures = doc.treasures.filter((t) => reachable.has(`${Math.floor(t.x)},${Math.floor(t.z)}`));
+
+    let metrics;
+    if (treasures.length > 0) {
+      const cells = treasures.map((t) => ({ x: Math.floor(t.x), z: Math.floor(t.z) }));
+      this.treasures = treasures.map((t, idx) => ({ id: `treasure-${idx + 1}`, x: t.x, z: t.z }));
+      this.keepTreasureTypes(treasures);
+      metrics = placer.measure(cells, placer.minSpacing);
+    } else {
+      const placement = placer.place();
+      this.treasures = placement.treasures;
+      metrics = placement.metrics;
+    }
+    placer.assignTypes(this.treasures, CONFIG.TREASURE_TYPES);
+
+    this.spawns = spawns;
+    this.mazeInfo = {
+      algorithm: "custom",
+      width: Math.floor(doc.width / 2),
+      height: Math.floor(doc.height / 2),
+      seed: "",
+      fairness: metrics,
+      spawns: this.spawns,
+    };
+  }
+
+  /**
+   * Copy the types of uploaded treasures onto this.treasures (same order).
+   * Only catalogue types are kept, and a unique type only once; the
+   * others are assigned by TreasurePlacement.assignTypes.
+   * @param {array} uploaded - Document treasures
+   */
+  keepTreasureTypes(uploaded) {
+    const types = CONFIG.TREASURE_TYPES;
+    const taken = new Set();
+
+    uploaded.forEach((t, idx) => {
+      if (!Object.keys(types).includes(t.type)) return;
+      if (types[t.type].unique && taken.has(t.type)) return;
+      this.treasures[idx].type = t.type;
+      taken.add(t.type);
+    });
+  }
+
+  // ========================================
+  // PLAYERS
+  // ========================================
+
+  /**
+   * Add player to room at the next free spawn point
+   * @param {string} playerId
+   * @param {string} name
+   * @param {object} client
+   * @returns {object} - Player state
+   */
+  addPlayer(playerId, name, client) {
+    const spawn = this.spawns[this.getPlayerCount() % this.spawns.length];
+
+    // Lowest free slot - a small per-room number binary frames use instead of the id
+    const taken = Object.values(this.players).map((p) => p.slot);
+    let slot = 0;
+    while (taken.includes(slot)) slot++;
+
+    const player = {
+      id: playerId,
+      slot: slot,
+      name: name,
+      x: spawn.x,
+      z: spawn.z,
+      level: 0,
+      direction: 0,
+      ready: false,
+      treasures: 0,
+      points: 0,
+      connected: true,
+    };
+
+    this.players[playerId] = player;
+    this.clients.set(playerId, client);
+    return player;
+  }
+
+  /**
+   * Remove player from room
+   * @param {string} playerId
+   */
+  removePlayer(playerId) {
+    delete this.players[playerId];
+    this.clients.delete(playerId);
+    this.lastMoveAt.delete(playerId);
+
+    if (playerId === this.host) {
+      const nextHost = Object.keys(this.players)[0];
+      this.host = nextHost || null;
+      this.hostName = nextHost ? this.players[nextHost].name : null;
+    }
+  }
+
+  getPlayerCount() {
+    return Object.keys(this.players).length;
+  }
+
+  isFull() {
+    return this.getPlayerCount() >= this.maxPlayers;
+  }
+
+  isEmpty() {
+    return this.getPlayerCount() === 0;
+  }
+
+  /**
+   * Check if every player is ready and the room has enough players
+   * @returns {boolean}
+   */
+  canStart() {
+    const players = Object.values(this.players);
+    return (
+      this.status === "waiting" &&
+      players.length >= CONFIG.MIN_PLAYERS &&
+      players.every((p) => p.ready)
+    );
+  }
+
+  // ========================================
+  // GAME
+  // ========================================
+
+  start() {
+    this.status = "playing";
+
+    const now = Date.now();
+    this.startsAt = now;
+    this.endsAt = now + CONFIG.GAME_TIME_LIMIT;
+    Object.keys(this.players).forEach((playerId) => this.lastMoveAt.set(playerId, now));
+  }
+
+  /**
+   * Get treasure by ID
+   * @param {string} treasureId
+   * @returns {object|null}
+   */
+  getTreasure(treasureId) {
+    return this.treasures.find((t) => t.id === treasureId) || null;
+  }
+
+  /**
+   * Mark treasure as collected
+   * @param {string} treasureId
+   * @param {string} playerId
+   * @returns {object|null} - Treasure if collected, null otherwise
+   */
+  collectTreasure(treasureId, playerId) {
+    const treasure = this.getTreasure(treasureId);
+    const player = this.players[playerId];
+
+    if (!treasure || treasure.collected || !player) {
+      return null;
+    }
+
+    treasure.collected = true;
+    treasure.collectedBy = playerId;
+    player.treasures++;
+    player.points += this.getTreasureType(treasure).points;
+    return treasure;
+  }
+
+  /**
+   * Catalogue entry of a treasure
+   * @param {object} treasure
+   * @returns {object} - See CONFIG.TREASURE_TYPES
+   */
+  getTreasureType(treasure) {
+    return CONFIG.TREASURE_TYPES[treasure.type] || CONFIG.TREASURE_TYPES[CONFIG.DEFAULT_TREASURE_TYPE];
+  }
+
+  // ========================================
+  // MAZE ELEMENTS
+  // ========================================
+
+  getElement(elementId) {
+    return this.elements.find((e) => e.id === elementId) || null;
+  }
+
+  /**
+   * Apply what an accepted move triggers: picking up a key, opening
+   * doors the player holds the key for, stepping onto a plate
+   * @param {object} player - After the move
+   * @param {object} from - {x, z, level} before the move
+   * @returns {array} - Elements that changed
+   */
+  interact(player, from) {
+    const changed = [];
+    const here = MazeElements.findAt(this.elements, player.level, player.x, player.z);
+    const entered = from.level !== player.level ||
+      Math.floor(from.x) !== Math.floor(player.x) ||
+      Math.floor(from.z) !== Math.floor(player.z);
+
+    if (here && here.type === KEY && !here.heldBy) {
+      here.heldBy = player.id;
+      changed.push(here);
+    }
+
+    // Plates fire once per step onto them, not while standing still
+    if (here && here.type === PLATE && entered) {
+      here.targets.map((id) => this.getElement(id)).forEach((barrier) => {
+        barrier.open = !barrier.open;
+        changed.push(barrier);
+      });
+    }
+
+    this.elements
+      .filter((door) => door.type === DOOR && !door.open && door.level === player.level)
+      .filter((door) => Math.hypot(door.x - player.x, door.z - player.z) <= CONFIG.DOOR_OPEN_RADIUS)
+      .filter((door) => this.elements.some((key) => key.type === KEY && key.door === door.id && key.heldBy === player.id))
+      .forEach((door) => {
+        door.open = true;
+        changed.push(door);
+      });
+
+    return changed;
+  }
+
+  /**
+   * Put a leaving player's keys back where they were found
+   * @param {string} playerId
+   * @returns {array} - Keys that were dropped
+   */
+  dropKeys(playerId) {
+    const keys = this.elements.filter((e) => e.type === KEY && e.heldBy === playerId);
+    keys.forEach((key) => { key.heldBy = null; });
+    return keys;
+  }
+
+  /**
+   * Check if all treasures have been collected
+   * @returns {boolean}
+   */
+  allTreasuresCollected() {
+    return this.treasures.every((t) => t.collected);
+  }
+
+  /**
+   * Get player with the most points; ties go to the most treasures
+   * @returns {object|null}
+   */
+  getLeader() {
+    let leader = null;
+    Object.values(this.players).forEach((player) => {
+      if (!leader || player.points > leader.points ||
+          (player.points === leader.points && player.treasures > leader.treasures)) {
+        leader = player;
+      }
+    });
+    return leader;
+  }
+
+  finish() {
+    this.status = "finished";
+    clearTimeout(this.endTimer);
+    this.endTimer = null;
+    clearTimeout(this.shiftTimer);
+    this.shiftTimer = null;
+  }
+
+  // ========================================
+  // SHIFTING MAZE
+  // ========================================
+
+  /**
+   * Pick the next region to rearrange, on a random level. Treasures and
+   * stairs stay where they are and stay reachable.
+   * @returns {object|null} - {id, level, changes}, null if nothing can shift
+   */
+  planShift() {
+    if (!this.shiftRandom) return null;
+
+    const first = Math.floor(this.shiftRandom() * this.levels.length);
+    for (let i = 0; i < this.levels.length; i++) {
+      const level = (first + i) % this.levels.length;
+      const grid = this.levels[level];
+      const treasures = this.treasures.filter((t) => !t.collected && (t.level || 0) === level);
+      const stairs = MazeLevels.findCells(grid, MazeLevels.CELL.STAIRS_UP)
+        .concat(MazeLevels.findCells(grid, MazeLevels.CELL.STAIRS_DOWN));
+
+      const shift = MazeShift.plan(grid, {
+        cells: CONFIG.SHIFT_REGION_CELLS,
+        protect: treasures,
+        required: (level === 0 ? this.spawns : []).concat(stairs, treasures),
+        random: this.shiftRandom,
+      });
+      if (shift) {
+        this.shiftCount++;
+        return { id: this.shiftCount, level: level, changes: shift.changes };
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Rearrange the maze and move players caught by new walls to the
+   * nearest open cell
+   * @param {object} shift - From planShift
+   * @returns {object} - playerId -> {x, z} for every player that was moved
+   */
+  applyShift(shift) {
+    const grid = this.levels[shift.level];
+    MazeShift.apply(grid, shift.changes);
+
+    const pushed = {};
+    Object.values(this.players)
+      .filter((player) => player.level === shift.level)
+      .forEach((player) => {
+        const position = MazeShift.resolvePosition(grid, player, CONFIG.PLAYER_RADIUS);
+        if (!position) return;
+
+        player.x = position.x;
+        player.z = position.z;
+        this.lastMoveAt.set(player.id, Date.now());
+        pushed[player.id] = position;
+      });
+    return pushed;
+  }
+
+  // ========================================
+  // SNAPSHOTS
+  // ========================================
+
+  /**
+   * Record the current players and collected treasures under a new seq
+   * @returns {number} - Snapshot seq
+   */
+  takeSnapshot() {
+    const players = {};
+    Object.values(this.players).forEach((player) => {
+      players[player.id] = { ...player };
+    });
+
+    const seq = ++this.snapshotSeq;
+    this.snapshots.set(seq, {
+      players: players,
+      collected: this.treasures.filter((t) => t.collected).map((t) => t.id),
+    });
+
+    // Maps iterate in insertion order, so the first key is the oldest
+    if (this.snapshots.size > CONFIG.GAME_UPDATE_HISTORY) {
+      this.snapshots.delete(this.snapshots.keys().next().value);
+    }
+
+    return seq;
+  }
+
+  /**
+   * game_update payload carrying the whole room state
+   * @param {number} seq - Snapshot the state belongs to
+   * @param {boolean} includeMaze - Only needed by clients that do not have it yet
+   * @returns {object}
+   */
+  getFullSnapshot(seq, includeMaze) {
+    const snapshot = {
+      seq: seq,
+      full: true,
+      treasures: this.treasures,
+      elements: this.elements,
+      players: this.players,
+    };
+    if (includeMaze) {
+      snapshot.maze = this.maze;
+      snapshot.levels = this.getLevelsPayload();
+      snapshot.mazeInfo = this.mazeInfo;
+      snapshot.settings = this.settings;
+    }
+    return snapshot;
+  }
+
+  /**
+   * game_update payload with what changed between two snapshots:
+   * changed player fields, joined and left players, collected treasures
+   * @param {number} baseSeq - Snapshot the client acknowledged
+   * @param {number} seq - Current snapshot
+   * @returns {object|null} - Null if baseSeq is no longer kept
+   */
+  getDelta(baseSeq, seq) {
+    const base = this.snapshots.get(baseSeq);
+    const current = this.snapshots.get(seq);
+    if (!base || !current) return null;
+
+    const delta = { seq: seq, baseSeq: baseSeq };
+
+    const players = {};
+    Object.values(current.players).forEach((player) => {
+      const before = base.players[player.id];
+      if (!before) {
+        players[player.id] = player;
+        return;
+      }
+
+      const changed = {};
+      DELTA_FIELDS.forEach((field) => {
+        if (player[field] !== before[field]) changed[field] = player[field];
+      });
+      if (Object.keys(changed).length > 0) players[player.id] = changed;
+    });
+    if (Object.keys(players).length > 0) delta.players = players;
+
+    const removed = Object.keys(base.players).filter((id) => !current.players[id]);
+    if (removed.length > 0) delta.removedPlayers = removed;
+
+    const collected = current.collected.filter((id) => !base.collected.includes(id));
+    if (collected.length > 0) delta.collected = collected;
+
+    return delta;
+  }
+
+  // ========================================
+  // SERIALIZATION
+  // ========================================
+
+  /**
+   * Public room listing for the rooms API
+   * @returns {object}
+   */
+  toSummary() {
+    return {
+      code: this.code,
+      playerCount: this.getPlayerCount(),
+      maxPlayers: this.maxPlayers,
+      status: this.status,
+      hostName: this.hostName,
+      createdAt: new Date(this.createdAt).toISOString(),
+      mazeInfo: this.mazeInfo,
+    };
+  }
+
+  /**
+   * Room payload in the shape WSHandlers expects
+   * @returns {object}
+   */
+  toJSON() {
+    return {
+      code: this.code,
+      host: this.host,
+      maxPlayers: this.maxPlayers,
+      status: this.status,
+      startsAt: this.startsAt,
+      endsAt: this.endsAt,
+      maze: this.maze,
+      levels: this.getLevelsPayload(),
+      mazeInfo: this.mazeInfo,
+      settings: this.settings,
+      treasures: this.treasures,
+      elements: this.elements,
+      players: this.players,
+    };
+  }
+}
+
+module.exports = Room;
@@ -0,0 +1,42 @@
+// ========================================
+// ROOMS API
+// REST room directory used by requestRoomsList() and
+// Utils.checkBackendHttp()
+// ========================================
+
+const express = require("express");
+
+/**
+ * Create the /api/rooms router
+ * @param {GameServer} gameServer
+ * @returns {express.Router}
+ */
+function createRoomsRouter(gameServer) {
+  const router = express.Router();
+
+  // List open rooms, newest first
+  router.get("/", (req, res) => {
+    const rooms = Array.from(gameServer.rooms.values())
+      .filter((room) => room.status !== "finished")
+      .sort((a, b) => b.createdAt - a.createdAt)
+      .map((room) => room.toSummary());
+
+    res.json({ rooms });
+  });
+
+  // Fetch a single room by code
+  router.get("/:code", (req, res) => {
+    const room = gameServer.rooms.get(req.params.code.toLowerCase());
+
+    if (!room) {
+      res.status(404).json({ error: "Sala não encontrada" });
+      return;
+    }
+
+    res.json(room.toSummary());
+  });
+
+  return router;
+}
+
+module.exports = createRoomsRouter;
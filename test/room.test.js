@@ -0,0 +1,71 @@
+// ========================================
+// ROOM
+// Server-side room setup from uploaded mazes
+// ========================================
+
+const test = require("node:test");
+const assert = require("node:assert");
+
+const CONFIG = require("../js/config/config");
+const Room = require("../server/room");
+const MazeIO = require("../js/shared/maze-io");
+
+// The cell at (5, 1) is walled in on every side
+const GRID = [
+  "#######",
+  "#...#.#",
+  "#.#.###",
+  "#.....#",
+  "#.###.#",
+  "#.....#",
+  "#######",
+].map((row) => row.split("").map((c) => (c === "#" ? 1 : 0)));
+
+const SPAWNS = [{ x: 1.5, z: 1.5 }, { x: 5.5, z: 5.5 }];
+
+function createRoom(treasures) {
+  const doc = MazeIO.fromGame(GRID, treasures, SPAWNS);
+  assert.ok(MazeIO.validate(doc).ok);
+  return new Room("abc123", { hostId: "host", hostName: "Host", maze: { custom: doc } });
+}
+
+test("uploaded treasures no spawn can reach are left out", () => {
+  const room = createRoom([{ x: 5.5, z: 1.5 }, { x: 3.5, z: 3.5 }]);
+
+  assert.deepStrictEqual(room.treasures.map((t) => [t.x, t.z]), [[3.5, 3.5]]);
+  assert.strictEqual(room.mazeInfo.fairness.treasureCount, 1);
+  room.mazeInfo.fairness.spawns.forEach((spawn) => {
+    assert.ok(spawn.nearest > 0);
+    assert.ok(spawn.averageNearest > 0);
+  });
+});
+
+test("uploaded treasures are placed again when none is reachable", () => {
+  const room = createRoom([{ x: 5.5, z: 1.5 }]);
+
+  assert.ok(room.treasures.length > 0);
+  assert.ok(room.treasures.every((t) => !(Math.floor(t.x) === 5 && Math.floor(t.z) === 1)));
+});
+
+test("uploaded treasure types are kept and only missing ones assigned", () => {
+  const room = createRoom([
+    { x: 3.5, z: 3.5, type: "chest" },
+    { x: 1.5, z: 3.5 },
+    { x: 5.5, z: 3.5, type: "unknown" },
+  ]);
+  const types = room.treasures.map((t) => t.type);
+
+  assert.strictEqual(types[0], "chest");
+  assert.ok(types.every((type) => Object.keys(CONFIG.TREASURE_TYPES).includes(type)));
+  assert.strictEqual(types.filter((type) => type === "relic").length, 1);
+});
+
+test("an uploaded unique treasure type is not handed out again", () => {
+  const room = createRoom([
+    { x: 3.5, z: 3.5, type: "relic" },
+    { x: 1.5, z: 3.5, type: "relic" },
+    { x: 5.5, z: 3.5 },
+  ]);
+
+  assert.deepStrictEqual(room.treasures.map((t) => t.type === "relic"), [true, false, false]);
+});
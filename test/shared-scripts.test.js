@@ -0,0 +1,44 @@
+// ========================================
+// SHARED SCRIPTS
+// index.html loads js/shared/ as plain <script> tags, which share one
+// global scope. Load them the same way, in the same order, into a
+// single context so clashing top-level names fail here and not only
+// in the browser.
+// ========================================
+
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const path = require("path");
+const vm = require("vm");
+
+const ROOT = path.join(__dirname, "..");
+
+function sharedScripts() {
+  const html = fs.readFileSync(path.join(ROOT, "index.html"), "utf8");
+  return [...html.matchAll(/<script src="\.\/(js\/shared\/[^"]+)"/g)].map((match) => match[1]);
+}
+
+test("shared scripts load together and only add their module", () => {
+  const scripts = sharedScripts();
+  assert.ok(scripts.length > 0, "no js/shared scripts found in index.html");
+
+  const context = vm.createContext({ console });
+  context.window = context;
+
+  scripts.forEach((script) => {
+    const source = fs.readFileSync(path.join(ROOT, script), "utf8");
+    const name = source.match(/window\.(\w+) = /)[1];
+    const before = Object.keys(context);
+
+    assert.doesNotThrow(() => vm.runInContext(source, context, { filename: script }), script);
+    assert.deepStrictEqual(Object.keys(context).filter((key) => !before.includes(key)), [name], script);
+
+    // Top-level const and class never show up on window but still clash;
+    // a script that declares none can run twice
+    assert.doesNotThrow(() => vm.runInContext(source, context, { filename: script }), script);
+
+    // The same object the server gets through require()
+    assert.deepStrictEqual(Object.keys(context[name]), Object.keys(require(path.join(ROOT, script))), script);
+  });
+});
@@ -0,0 +1,109 @@
+// ========================================
+// WS CLIENT
+// Runs the browser WSClient and MovementController in a vm context
+// against a fake WebSocket, with timers held until the test fires them
+// ========================================
+
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const path = require("path");
+const vm = require("vm");
+
+const ROOT = path.join(__dirname, "..");
+const SCRIPTS = [
+  "js/shared/protocol.js",
+  "js/shared/codec.js",
+  "js/network/heartbeat.js",
+  "js/network/ws-client.js",
+  "js/controllers/movement-controller.js",
+];
+
+class FakeWebSocket {
+  constructor(url) {
+    this.url = url;
+    this.readyState = FakeWebSocket.CONNECTING;
+    this.sent = [];
+    FakeWebSocket.instances.push(this);
+  }
+
+  send(message) {
+    this.sent.push(JSON.parse(message));
+  }
+
+  close() {
+    this.readyState = FakeWebSocket.CLOSED;
+  }
+
+  open() {
+    this.readyState = FakeWebSocket.OPEN;
+    this.onopen();
+  }
+
+  drop() {
+    this.readyState = FakeWebSocket.CLOSED;
+    this.onclose({ code: 1006, reason: "" });
+  }
+}
+FakeWebSocket.CONNECTING = 0;
+FakeWebSocket.OPEN = 1;
+FakeWebSocket.CLOSED = 3;
+
+function createBrowser() {
+  const timers = [];
+  const quiet = () => {};
+  const context = vm.createContext({
+    console: { log: quiet, warn: quiet, error: quiet },
+    CONFIG: require("../js/config/config"),
+    WebSocket: FakeWebSocket,
+    Utils: {
+      normalizeServer: () => ({ wsProto: "ws", host: "localhost" }),
+      logDebug: quiet,
+      logInfo: quiet,
+      logWarn: quiet,
+      logError: quiet,
+    },
+    uiManager: { updateConnectionStatus: quiet },
+    setTimeout: (callback, delay) => timers.push({ callback, delay }),
+    clearTimeout: quiet,
+    setInterval: quiet,
+    clearInterval: quiet,
+    performance: { now: () => Date.now() },
+    Date: Date,
+  });
+  context.window = context;
+
+  SCRIPTS.forEach((script) => {
+    vm.runInContext(fs.readFileSync(path.join(ROOT, script), "utf8"), context, { filename: script });
+  });
+
+  return { context, timers };
+}
+
+test("moves made while offline are flushed as the latest one only", async () => {
+  FakeWebSocket.instances = [];
+  const { context, timers } = createBrowser();
+
+  const client = new context.WSClient("http://localhost", "/ws/abc123", true);
+  const connecting = client.connect();
+  FakeWebSocket.instances[0].open();
+  await connecting;
+
+  const controller = new context.MovementController({}, null, {});
+  controller.socket = client;
+
+  FakeWebSocket.instances[0].drop();
+  controller.broadcastPosition(1.5, 1.5, 0);
+  controller.broadcastPosition(2.25, 1.5, 90);
+  controller.broadcastPosition(3, 1.5, 90);
+  assert.ok(!FakeWebSocket.instances[0].sent.some((message) => message.type === "move"));
+
+  // Fire the reconnect timer and let the new socket open
+  timers.filter((timer) => timer.delay === client.reconnectDelay).forEach((timer) => timer.callback());
+  const socket = FakeWebSocket.instances[1];
+  socket.open();
+
+  const moves = socket.sent.filter((message) => message.type === "move");
+  assert.strictEqual(moves.length, 1);
+  assert.deepStrictEqual(moves[0].payload, { x: 3, z: 1.5, direction: 90, seq: 3 });
+});